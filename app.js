@@ -1,636 +1,6981 @@
-// ==================== 数据管理类 ====================
-class DataManager {
-    constructor() {
-        this.members = this.loadData('members') || [];
-        this.activities = this.loadData('activities') || [];
-        this.schedules = this.loadData('schedules') || [];
-        this.settings = this.loadData('settings') || {
-            algorithm: 'rotation',
-            notificationEnabled: true,
-            notificationDays: 3
-        };
+// ==================== 日期工具类 ====================
+// 排班日期统一使用 YYYY-MM-DD 字符串，计算时按 UTC 零点处理，避免时区和夏令时影响
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+class DateUtils {
+    static format(date) {
+        return date.toISOString().split('T')[0];
     }
 
-    loadData(key) {
-        const data = localStorage.getItem(key);
-        return data ? JSON.parse(data) : null;
+    // 本地时区的今天
+    static today() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
     }
 
-    saveData(key, data) {
-        localStorage.setItem(key, JSON.stringify(data));
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return DateUtils.format(result);
     }
 
-    // 成员管理
-    addMember(member) {
-        member.id = Date.now().toString();
-        member.participationCount = 0;
-        member.status = 'active';
-        this.members.push(member);
-        this.saveData('members', this.members);
-        return member;
+    // b 减 a 的天数
+    static daysBetween(a, b) {
+        return Math.round((new Date(b) - new Date(a)) / DAY_MS);
     }
 
-    updateMember(id, updates) {
-        const index = this.members.findIndex(m => m.id === id);
-        if (index !== -1) {
-            this.members[index] = { ...this.members[index], ...updates };
-            this.saveData('members', this.members);
-            return this.members[index];
+    // 0 为星期日
+    static weekday(date) {
+        return new Date(date).getUTCDay();
+    }
+
+    // 所在周的星期一
+    static weekStart(date) {
+        return DateUtils.addDays(date, -((DateUtils.weekday(date) + 6) % 7));
+    }
+}
+
+// ==================== 重复规则类 ====================
+// 活动的重复规则参考 RRULE：frequency/frequencyUnit 相当于 INTERVAL/FREQ，
+// activity.recurrence 中可选地指定星期几、每月第几个星期几以及开始/结束日期和次数
+class RecurrenceRule {
+    // 返回活动在 [rangeStart, rangeEnd] 内的所有日期（YYYY-MM-DD）
+    static getOccurrences(activity, rangeStart, rangeEnd) {
+        const rule = activity.recurrence || {};
+        const interval = Math.max(parseInt(activity.frequency) || 1, 1);
+        const unit = activity.frequencyUnit;
+        // 没有锚定开始日期时沿用旧行为，从生成的开始日期起算
+        const anchor = rule.startDate || rangeStart;
+        const lastDate = rule.endDate && rule.endDate < rangeEnd ? rule.endDate : rangeEnd;
+        const maxCount = parseInt(rule.count) || Infinity;
+
+        const occurrences = [];
+        let produced = 0;
+
+        for (let period = 0; produced < maxCount; period++) {
+            const dates = RecurrenceRule.getPeriodDates(rule, anchor, unit, interval * period)
+                .filter(date => date >= anchor);
+            if (dates.length > 0 && dates[0] > lastDate) break;
+            // 防止规则无法产生日期时死循环
+            if (period > 100000) break;
+
+            for (const date of dates) {
+                if (date > lastDate || produced >= maxCount) break;
+                produced++;
+                if (date >= rangeStart) {
+                    occurrences.push(date);
+                }
+            }
         }
-        return null;
+
+        return occurrences;
     }
 
-    deleteMember(id) {
-        this.members = this.members.filter(m => m.id !== id);
-        this.saveData('members', this.members);
+    // 从锚定日期起第 offset 个单位所在周期内的日期
+    static getPeriodDates(rule, anchor, unit, offset) {
+        if (unit === 'days') {
+            return [DateUtils.addDays(anchor, offset)];
+        }
+
+        if (unit === 'weeks') {
+            const weekdays = rule.byWeekday || [];
+            if (weekdays.length === 0) {
+                return [DateUtils.addDays(anchor, offset * 7)];
+            }
+            const weekStart = DateUtils.addDays(DateUtils.weekStart(anchor), offset * 7);
+            // 周一为一周第一天，星期日排在最后
+            return weekdays
+                .map(day => DateUtils.addDays(weekStart, (day + 6) % 7))
+                .sort();
+        }
+
+        if (unit === 'months') {
+            const [year, month, day] = anchor.split('-').map(Number);
+            const target = new Date(Date.UTC(year, month - 1 + offset, 1));
+            const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+
+            if (rule.monthlyBy === 'weekday') {
+                const setPos = parseInt(rule.setPos) || 1;
+                const weekday = parseInt(rule.weekday) || 0;
+                const matches = [];
+                for (let d = 1; d <= daysInMonth; d++) {
+                    target.setUTCDate(d);
+                    if (target.getUTCDay() === weekday) {
+                        matches.push(DateUtils.format(target));
+                    }
+                }
+                const date = setPos === -1 ? matches[matches.length - 1] : matches[setPos - 1];
+                return date ? [date] : [];
+            }
+
+            // 按日期重复时，遇到小月取当月最后一天，不会因为 31 号而漂移
+            target.setUTCDate(Math.min(day, daysInMonth));
+            return [DateUtils.format(target)];
+        }
+
+        return [];
     }
 
-    getActiveMembers() {
-        return this.members.filter(m => m.status === 'active');
+    // 生成规则的中文描述，例如"每2周的星期二、四"、"每月最后一个星期五"
+    static describe(activity) {
+        const rule = activity.recurrence || {};
+        const unitText = { days: '天', weeks: '周', months: '月' }[activity.frequencyUnit] || activity.frequencyUnit;
+        const interval = parseInt(activity.frequency) || 1;
+        let text = interval === 1 && activity.frequencyUnit !== 'days'
+            ? `每${unitText}`
+            : `每${interval}${unitText}`;
+
+        if (activity.frequencyUnit === 'weeks' && (rule.byWeekday || []).length > 0) {
+            const days = [...rule.byWeekday]
+                .sort((a, b) => (a + 6) % 7 - (b + 6) % 7)
+                .map(day => WEEKDAY_NAMES[day]);
+            text += `的星期${days.join('、')}`;
+        } else if (activity.frequencyUnit === 'months' && rule.monthlyBy === 'weekday') {
+            const setPos = parseInt(rule.setPos) || 1;
+            const position = setPos === -1 ? '最后一个' : `第${setPos}个`;
+            text += `${position}星期${WEEKDAY_NAMES[parseInt(rule.weekday) || 0]}`;
+        }
+
+        const limits = [];
+        if (rule.startDate) limits.push(`${rule.startDate} 起`);
+        if (rule.endDate) limits.push(`至 ${rule.endDate}`);
+        if (rule.count) limits.push(`共 ${rule.count} 次`);
+        return limits.length > 0 ? `${text}（${limits.join('，')}）` : text;
     }
+}
 
-    // 活动管理
-    addActivity(activity) {
-        activity.id = Date.now().toString();
-        this.activities.push(activity);
-        this.saveData('activities', this.activities);
-        return activity;
+// ==================== 存储后端类 ====================
+// DataManager 通过存储后端同步读写数据：get(key)、set(key, data)、remove(key)，
+// key 为 teams、currentTeam 或 team:<团队id>:<名称>；get 每次返回新的副本。
+// batch(fn) 中的多次写入合并为一次保存，生成排班等一次添加大量记录的操作使用
+class LocalStorageBackend {
+    constructor() {
+        // batch 期间推迟的写入，每项数据只保留最后一次
+        this.deferred = null;
     }
 
-    updateActivity(id, updates) {
-        const index = this.activities.findIndex(a => a.id === id);
-        if (index !== -1) {
-            this.activities[index] = { ...this.activities[index], ...updates };
-            this.saveData('activities', this.activities);
-            return this.activities[index];
+    get(key) {
+        if (this.deferred && this.deferred.has(key)) {
+            return JSON.parse(JSON.stringify(this.deferred.get(key)));
         }
-        return null;
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : null;
     }
 
-    deleteActivity(id) {
-        this.activities = this.activities.filter(a => a.id !== id);
-        this.saveData('activities', this.activities);
+    set(key, data) {
+        if (this.deferred) {
+            this.deferred.set(key, data);
+            return;
+        }
+        localStorage.setItem(key, JSON.stringify(data));
     }
 
-    // 排班管理
-    addSchedule(schedule) {
-        schedule.id = Date.now().toString() + Math.random();
-        this.schedules.push(schedule);
-        this.saveData('schedules', this.schedules);
-        return schedule;
+    remove(key) {
+        if (this.deferred) this.deferred.delete(key);
+        localStorage.removeItem(key);
     }
 
-    updateSchedule(id, updates) {
-        const index = this.schedules.findIndex(s => s.id === id);
-        if (index !== -1) {
-            this.schedules[index] = { ...this.schedules[index], ...updates };
-            this.saveData('schedules', this.schedules);
-            return this.schedules[index];
+    batch(fn) {
+        if (this.deferred) return fn();
+        this.deferred = new Map();
+        try {
+            return fn();
+        } finally {
+            const deferred = this.deferred;
+            this.deferred = null;
+            deferred.forEach((data, key) => this.set(key, data));
         }
-        return null;
     }
+}
 
-    deleteSchedule(id) {
-        this.schedules = this.schedules.filter(s => s.id !== id);
-        this.saveData('schedules', this.schedules);
+// 内存后端：数据只在进程中保存，命令行工具在 Node.js 中读写数据文件时使用
+class MemoryBackend {
+    constructor() {
+        this.values = new Map();
     }
 
-    clearSchedules() {
-        this.schedules = [];
-        this.saveData('schedules', this.schedules);
+    get(key) {
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
     }
 
-    getSchedulesByDateRange(startDate, endDate) {
-        return this.schedules.filter(s => {
-            const scheduleDate = new Date(s.date);
-            return scheduleDate >= startDate && scheduleDate <= endDate;
-        });
+    set(key, data) {
+        this.values.set(key, JSON.stringify(data));
     }
 
-    getUpcomingSchedules(limit = 10) {
-        const now = new Date();
-        now.setHours(0, 0, 0, 0);
-        return this.schedules
-            .filter(s => new Date(s.date) >= now)
-            .sort((a, b) => new Date(a.date) - new Date(b.date))
-            .slice(0, limit);
+    remove(key) {
+        this.values.delete(key);
     }
 
-    // 设置管理
-    updateSettings(settings) {
-        this.settings = { ...this.settings, ...settings };
-        this.saveData('settings', this.settings);
+    batch(fn) {
+        return fn();
     }
+}
 
-    // 导出数据
-    exportData() {
-        return {
-            members: this.members,
-            activities: this.activities,
-            schedules: this.schedules,
-            settings: this.settings,
-            exportDate: new Date().toISOString()
-        };
+const STORAGE_DB_NAME = 'team-scheduling-data';
+const STORAGE_DB_VERSION = 2;
+// 按记录保存的团队数据，其余数据整体保存
+const RECORD_COLLECTIONS = ['members', 'activities', 'schedules', 'swapRequests', 'changeLog'];
+// 变更记录单独写入，写入失败不影响同时修改的数据
+const SEPARATE_WRITE_COLLECTIONS = ['changeLog', 'changeLogPosition'];
+
+// IndexedDB 后端：打开时把全部数据读入内存，读取仍是同步的；写入先记在内存中，
+// 同一轮事件中（或 batch 期间）的所有修改合并为一个事务。成员、排班等列表按记录 id 逐条保存，
+// 记录的先后顺序另存为 id 列表，只写入有变化的记录，添加或删除一条排班不会重写其他排班。
+// 事务完成后才更新已保存的内容，事务失败时修改重新排队，随下一次写入重试，并调用 onError
+class IndexedDBBackend {
+    constructor(db) {
+        this.db = db;
+        // 已保存的内容：整体保存的数据为 JSON，按记录保存的为 { ids, records: Map<id, JSON> }
+        this.values = new Map();
+        this.records = new Map();
+        // 等待写入的数据（写入时才序列化）和要删除的键
+        this.pending = new Map();
+        this.removals = new Set();
+        // 正在写入的数据（事务尚未完成）：key → { data } 或 { removed: true }
+        this.inflight = new Map();
+        this.writing = null;
+        this.batchDepth = 0;
+        this.flushQueued = false;
+        // 连接已让给其他标签页升级数据库，之后的修改无法保存
+        this.closed = false;
+        this.onError = null;
     }
 
-    // 导入数据
-    importData(data) {
-        if (data.members) {
-            this.members = data.members;
-            this.saveData('members', this.members);
-        }
-        if (data.activities) {
-            this.activities = data.activities;
-            this.saveData('activities', this.activities);
-        }
-        if (data.schedules) {
-            this.schedules = data.schedules;
-            this.saveData('schedules', this.schedules);
+    // 打开数据库并读入全部数据；第一次使用时从 localStorage 迁移。
+    // 其他标签页仍在使用旧版本的数据库、升级被阻塞时不再等待，抛出 blocked 为真的错误
+    static async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('浏览器不支持 IndexedDB');
         }
-        if (data.settings) {
-            this.settings = data.settings;
-            this.saveData('settings', this.settings);
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+            let blocked = false;
+            request.onblocked = () => {
+                blocked = true;
+                const error = new Error('本系统的其他标签页仍在使用旧版本的数据，请关闭其他标签页后刷新');
+                error.blocked = true;
+                reject(error);
+            };
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('values', { keyPath: 'key' });
+                    db.createObjectStore('records', { keyPath: ['key', 'id'] });
+                } else if (event.oldVersion < 2) {
+                    IndexedDBBackend.upgradeRecordKeys(request.transaction);
+                }
+            };
+            // 已经放弃等待时，其他标签页关闭后才打开的连接不再使用
+            request.onsuccess = () => (blocked ? request.result.close() : resolve(request.result));
+            request.onerror = () => reject(request.error);
+        });
+        const backend = new IndexedDBBackend(db);
+        db.onversionchange = () => backend.close();
+        await backend.load();
+        if (!backend.values.has('teams') && typeof localStorage !== 'undefined') {
+            await backend.migrateFromLocalStorage();
         }
+        return backend;
     }
 
-    // 清除所有数据
-    clearAllData() {
-        localStorage.clear();
-        this.members = [];
-        this.activities = [];
-        this.schedules = [];
-        this.settings = {
-            algorithm: 'rotation',
-            notificationEnabled: true,
-            notificationDays: 3
+    // 第 1 版的记录按 [key, position] 保存，改为按 [key, id] 保存并另存顺序
+    static upgradeRecordKeys(transaction) {
+        const db = transaction.db;
+        transaction.objectStore('records').getAll().onsuccess = (e) => {
+            const lists = new Map();
+            e.target.result.forEach(({ key, position, record }) => {
+                if (!lists.has(key)) lists.set(key, []);
+                lists.get(key)[position] = record;
+            });
+            db.deleteObjectStore('records');
+            const records = db.createObjectStore('records', { keyPath: ['key', 'id'] });
+            const values = transaction.objectStore('values');
+            lists.forEach((list, key) => {
+                const rows = IndexedDBBackend.toRows(key, list.filter(record => record !== undefined));
+                if (rows) {
+                    rows.records.forEach(row => records.put(row));
+                    values.put(rows.value);
+                } else {
+                    values.put({ key, value: list });
+                }
+            });
         };
     }
-}
 
-// ==================== 排班算法类 ====================
-class ScheduleGenerator {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
+    static isRecordKey(key) {
+        const parsed = DataManager.parseTeamKey(key);
+        return parsed !== null && RECORD_COLLECTIONS.includes(parsed.key);
     }
 
-    generate(startDate, endDate) {
-        const activities = this.dataManager.activities;
-        const members = this.dataManager.getActiveMembers();
-        const algorithm = this.dataManager.settings.algorithm;
-
-        if (members.length === 0) {
-            throw new Error('没有活跃的成员，无法生成排班');
-        }
-
-        if (activities.length === 0) {
-            throw new Error('没有活动，无法生成排班');
-        }
-
-        // 清除旧的排班
-        this.dataManager.clearSchedules();
+    static isSeparateKey(key) {
+        const parsed = DataManager.parseTeamKey(key);
+        return parsed !== null && SEPARATE_WRITE_COLLECTIONS.includes(parsed.key);
+    }
 
-        // 重置参与次数
-        members.forEach(member => {
-            member.participationCount = 0;
+    // 列表中每条记录都有不重复的 id 时才能按记录保存，否则返回 null，整体保存
+    static hasUniqueIds(list) {
+        const ids = new Set();
+        return list.every(record => {
+            if (!record || (typeof record.id !== 'string' && typeof record.id !== 'number') || ids.has(record.id)) {
+                return false;
+            }
+            ids.add(record.id);
+            return true;
         });
+    }
 
-        const schedules = [];
+    static toRows(key, list) {
+        if (!IndexedDBBackend.hasUniqueIds(list)) return null;
+        return {
+            value: { key, order: list.map(record => record.id) },
+            records: list.map(record => ({ key, id: record.id, record }))
+        };
+    }
 
-        activities.forEach(activity => {
-            const activitySchedules = this.generateActivitySchedules(
-                activity,
-                members,
-                startDate,
-                endDate,
-                algorithm
-            );
-            schedules.push(...activitySchedules);
-        });
+    static recordRange(key) {
+        return IDBKeyRange.bound([key], [key, []]);
+    }
 
-        // 保存所有排班
-        schedules.forEach(schedule => {
-            this.dataManager.addSchedule(schedule);
+    load() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['values', 'records'], 'readonly');
+            const loaded = new Map();
+            tx.objectStore('values').getAll().onsuccess = (e) => {
+                e.target.result.forEach(({ key, value, order }) => {
+                    if (order) {
+                        this.records.set(key, { ids: order, records: new Map() });
+                    } else {
+                        this.values.set(key, JSON.stringify(value));
+                    }
+                });
+            };
+            tx.objectStore('records').getAll().onsuccess = (e) => {
+                e.target.result.forEach(({ key, id, record }) => {
+                    if (!loaded.has(key)) loaded.set(key, new Map());
+                    loaded.get(key).set(id, JSON.stringify(record));
+                });
+            };
+            tx.oncomplete = () => {
+                this.records.forEach((saved, key) => {
+                    const records = loaded.get(key) || new Map();
+                    saved.ids = saved.ids.filter(id => records.has(id));
+                    saved.records = records;
+                });
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
         });
+    }
 
-        // 更新成员参与次数
-        this.dataManager.saveData('members', this.dataManager.members);
+    // 迁移应用自己的键（团队列表、各团队数据、同步状态），写入成功后从 localStorage 删除以释放空间
+    async migrateFromLocalStorage() {
+        const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)).filter(key =>
+            key === 'teams' || key === 'currentTeam' || TEAM_DATA_KEYS.includes(key) ||
+            key.startsWith('team:') || key.startsWith('sync:')
+        );
+        if (keys.length === 0) return;
 
-        return schedules;
+        keys.forEach(key => this.set(key, JSON.parse(localStorage.getItem(key))));
+        if (!(await this.flush())) {
+            throw new Error('从 localStorage 迁移数据失败');
+        }
+        keys.forEach(key => localStorage.removeItem(key));
     }
 
-    generateActivitySchedules(activity, members, startDate, endDate, algorithm) {
-        const schedules = [];
-        const frequency = parseInt(activity.frequency);
-        const frequencyUnit = activity.frequencyUnit;
+    get(key) {
+        if (this.removals.has(key)) return null;
+        if (this.pending.has(key)) {
+            return JSON.parse(JSON.stringify(this.pending.get(key)));
+        }
+        if (this.inflight.has(key)) {
+            const write = this.inflight.get(key);
+            return write.removed ? null : JSON.parse(JSON.stringify(write.data));
+        }
+        if (this.records.has(key)) {
+            const saved = this.records.get(key);
+            return JSON.parse(`[${saved.ids.map(id => saved.records.get(id)).join(',')}]`);
+        }
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+    }
 
-        let currentDate = new Date(startDate);
-        let memberIndex = 0;
-        const sortedMembers = [...members].sort((a, b) =>
-            a.participationCount - b.participationCount
-        );
+    set(key, data) {
+        this.removals.delete(key);
+        this.pending.set(key, data);
+        this.scheduleFlush();
+    }
 
-        while (currentDate <= endDate) {
-            let assignedMember;
+    remove(key) {
+        this.pending.delete(key);
+        this.removals.add(key);
+        this.scheduleFlush();
+    }
 
-            switch (algorithm) {
-                case 'rotation':
-                    assignedMember = sortedMembers[memberIndex % sortedMembers.length];
-                    memberIndex++;
-                    break;
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            this.flush();
+        }
+    }
 
-                case 'random':
-                    assignedMember = sortedMembers[Math.floor(Math.random() * sortedMembers.length)];
-                    break;
+    scheduleFlush() {
+        if (this.flushQueued) return;
+        this.flushQueued = true;
+        Promise.resolve().then(() => {
+            this.flushQueued = false;
+            this.flush();
+        });
+    }
 
-                case 'balanced':
-                    // 选择参与次数最少的成员
-                    sortedMembers.sort((a, b) => a.participationCount - b.participationCount);
-                    assignedMember = sortedMembers[0];
-                    break;
+    // 其他标签页打开了新版本需要升级数据库时关闭连接，不阻塞升级，并提示刷新本页
+    close() {
+        this.db.close();
+        this.closed = true;
+        if (this.onError) this.onError(new Error('本系统已在其他标签页中更新，请刷新页面后再修改'));
+    }
 
-                default:
-                    assignedMember = sortedMembers[0];
-            }
+    // 把等待中的修改写入数据库：变更记录一个事务，其余数据一个事务；全部完成后返回是否都成功。
+    // 上一次写入完成前不开始新的写入，保证每次都与已保存的内容比较
+    flush() {
+        if (this.batchDepth > 0 || (this.pending.size === 0 && this.removals.size === 0)) {
+            return Promise.resolve(true);
+        }
+        if (this.closed) {
+            return Promise.resolve(false);
+        }
+        if (this.writing) {
+            return this.writing.then(() => this.flush());
+        }
 
-            schedules.push({
-                activityId: activity.id,
-                activityName: activity.name,
-                memberId: assignedMember.id,
-                memberName: assignedMember.name,
-                date: currentDate.toISOString().split('T')[0],
-                notified: false
+        const groups = [new Map(), new Map()];
+        this.removals.forEach(key => groups[IndexedDBBackend.isSeparateKey(key) ? 1 : 0].set(key, { removed: true }));
+        this.pending.forEach((data, key) => groups[IndexedDBBackend.isSeparateKey(key) ? 1 : 0].set(key, { data }));
+        this.pending.clear();
+        this.removals.clear();
+
+        this.writing = Promise.all(groups
+            .map((writes, index) => writes.size > 0 ? this.write(writes, index === 0) : true))
+            .then(results => {
+                this.writing = null;
+                return results.every(Boolean);
             });
+        return this.writing;
+    }
 
-            // 更新成员参与次数
-            assignedMember.participationCount++;
-
-            // 计算下一个日期
-            if (frequencyUnit === 'days') {
-                currentDate.setDate(currentDate.getDate() + frequency);
-            } else if (frequencyUnit === 'weeks') {
-                currentDate.setDate(currentDate.getDate() + (frequency * 7));
-            } else if (frequencyUnit === 'months') {
-                currentDate.setMonth(currentDate.getMonth() + frequency);
+    // 在一个事务中写入 writes（key → { data } 或 { removed: true }），与已保存的内容比较，只写入有变化的记录。
+    // 事务完成后才更新已保存的内容；失败时 retry 为真则重新排队随下一次写入重试，否则放弃这些修改
+    write(writes, retry) {
+        const tx = this.db.transaction(['values', 'records'], 'readwrite');
+        const values = tx.objectStore('values');
+        const records = tx.objectStore('records');
+        // 事务完成后的已保存内容
+        const results = new Map();
+
+        writes.forEach((write, key) => {
+            this.inflight.set(key, write);
+            const before = this.records.get(key);
+            const rows = !write.removed && Array.isArray(write.data) && IndexedDBBackend.isRecordKey(key)
+                ? IndexedDBBackend.toRows(key, write.data)
+                : null;
+
+            if (write.removed) {
+                values.delete(key);
+                records.delete(IndexedDBBackend.recordRange(key));
+                results.set(key, { removed: true });
+            } else if (rows) {
+                const saved = { ids: rows.value.order, records: new Map() };
+                // 之前整体保存或没有保存过时，先清除可能残留的记录
+                if (!before) records.delete(IndexedDBBackend.recordRange(key));
+                rows.records.forEach(row => {
+                    const json = JSON.stringify(row.record);
+                    saved.records.set(row.id, json);
+                    if (!before || before.records.get(row.id) !== json) records.put(row);
+                });
+                if (before) {
+                    before.records.forEach((json, id) => {
+                        if (!saved.records.has(id)) records.delete([key, id]);
+                    });
+                }
+                if (!before || before.ids.join('\n') !== saved.ids.join('\n')) values.put(rows.value);
+                results.set(key, { records: saved });
+            } else {
+                values.put({ key, value: write.data });
+                if (before) records.delete(IndexedDBBackend.recordRange(key));
+                results.set(key, { value: JSON.stringify(write.data) });
             }
-        }
+        });
 
-        return schedules;
+        return new Promise(resolve => {
+            tx.oncomplete = () => {
+                results.forEach((result, key) => {
+                    this.values.delete(key);
+                    this.records.delete(key);
+                    if (result.records) this.records.set(key, result.records);
+                    if (result.value !== undefined) this.values.set(key, result.value);
+                });
+                writes.forEach((write, key) => this.inflight.delete(key));
+                resolve(true);
+            };
+            tx.onabort = () => {
+                const error = tx.error || new Error('写入被中止');
+                writes.forEach((write, key) => {
+                    this.inflight.delete(key);
+                    // 写入期间又有新的修改时以新的为准
+                    if (!retry || this.pending.has(key) || this.removals.has(key)) return;
+                    if (write.removed) {
+                        this.removals.add(key);
+                    } else {
+                        this.pending.set(key, write.data);
+                    }
+                });
+                if (retry) {
+                    if (this.onError) this.onError(error);
+                } else {
+                    console.log('变更记录保存失败：', error.message);
+                }
+                resolve(false);
+            };
+        });
     }
 }
 
-// ==================== 通知管理类 ====================
-class NotificationManager {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
-        this.checkInterval = null;
+const SYNC_CONFIG_KEY = 'syncServer';
+const SYNC_POLL_INTERVAL = 30 * 1000;
+const SYNC_PUSH_DELAY = 500;
+
+// 同步服务器后端（见 server/server.js）：数据仍保存在本地，离线可用、读取不用等待网络；
+// 修改后推送到服务器，并定期拉取其他人的修改。推送时带上所基于的服务器版本，
+// 服务器上已被其他人修改时按记录合并后重试，双方修改了同一条记录时保留服务器上的版本
+class ServerSyncBackend {
+    constructor(config, cache = new LocalStorageBackend()) {
+        this.url = config.url.replace(/\/+$/, '');
+        this.token = config.token || '';
+        this.cache = cache;
+        // 每次连接时重新开始同步，断开期间的修改会在重新连接时按"服务器为准、本机独有的上传"处理
+        this.connection = config.connectedAt || null;
+        const sameConnection = cache.get('sync:connection') === this.connection;
+        // 每项数据在服务器上的版本和该版本的内容：{ key: { version, base } }，合并时作为共同的基准
+        this.versions = (sameConnection && cache.get('sync:versions')) || {};
+        // 还没推送到服务器的数据
+        this.dirty = new Set((sameConnection && cache.get('sync:dirty')) || []);
+        this.status = { state: 'idle', error: '', syncedAt: null };
+        this.syncing = null;
+        this.running = false;
+        this.pushTimer = null;
+        this.pollTimer = null;
+        // 服务器上的修改写入本地后的回调 (key, data)、合并冲突的回调 (key, conflicts) 和同步状态变化的回调
+        this.onRemoteChange = null;
+        this.onConflict = null;
+        this.onStatusChange = null;
+        this.onWake = () => {
+            if (!document.hidden) this.sync();
+        };
     }
 
-    start() {
-        // 每天检查一次
-        this.checkInterval = setInterval(() => {
-            this.checkUpcomingSchedules();
-        }, 24 * 60 * 60 * 1000);
-
-        // 启动时立即检查一次
-        this.checkUpcomingSchedules();
+    static loadConfig() {
+        const data = localStorage.getItem(SYNC_CONFIG_KEY);
+        return data ? JSON.parse(data) : null;
     }
 
-    stop() {
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-            this.checkInterval = null;
+    // 连接时记下连接时间，已保存的同步状态属于之前的连接时不再使用
+    static saveConfig(config) {
+        if (config) {
+            localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify({ ...config, connectedAt: new Date().toISOString() }));
+        } else {
+            localStorage.removeItem(SYNC_CONFIG_KEY);
         }
     }
 
-    checkUpcomingSchedules() {
-        if (!this.dataManager.settings.notificationEnabled) {
-            return;
+    get(key) {
+        return this.cache.get(key);
+    }
+
+    set(key, data) {
+        this.cache.set(key, data);
+        const parsed = DataManager.parseTeamKey(key);
+        if (key !== 'teams' && !(parsed && TEAM_DATA_KEYS.includes(parsed.key))) return;
+        if (!this.dirty.has(key)) {
+            this.dirty.add(key);
+            this.cache.set('sync:dirty', [...this.dirty]);
         }
+        this.schedulePush();
+    }
 
-        const notificationDays = this.dataManager.settings.notificationDays;
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+    // 删除团队时由 teams 的变化同步到服务器，这里只清除本地的同步状态
+    remove(key) {
+        this.cache.remove(key);
+        delete this.versions[key];
+        this.dirty.delete(key);
+        this.saveState();
+    }
 
-        const targetDate = new Date(today);
-        targetDate.setDate(targetDate.getDate() + notificationDays);
+    batch(fn) {
+        return this.cache.batch(fn);
+    }
 
-        const schedules = this.dataManager.schedules.filter(s => {
-            const scheduleDate = new Date(s.date);
-            scheduleDate.setHours(0, 0, 0, 0);
-            return scheduleDate.getTime() === targetDate.getTime() && !s.notified;
-        });
+    saveState() {
+        this.cache.set('sync:connection', this.connection);
+        this.cache.set('sync:versions', this.versions);
+        this.cache.set('sync:dirty', [...this.dirty]);
+    }
 
-        schedules.forEach(schedule => {
-            this.sendNotification(schedule);
-            schedule.notified = true;
-        });
+    setStatus(status) {
+        this.status = { ...this.status, ...status };
+        if (this.onStatusChange) this.onStatusChange(this.status);
+    }
 
-        if (schedules.length > 0) {
-            this.dataManager.saveData('schedules', this.dataManager.schedules);
+    start() {
+        this.running = true;
+        this.pollTimer = setInterval(() => this.sync(), SYNC_POLL_INTERVAL);
+        document.addEventListener('visibilitychange', this.onWake);
+        window.addEventListener('online', this.onWake);
+        return this.sync();
+    }
+
+    stop() {
+        this.running = false;
+        clearInterval(this.pollTimer);
+        clearTimeout(this.pushTimer);
+        document.removeEventListener('visibilitychange', this.onWake);
+        window.removeEventListener('online', this.onWake);
+    }
+
+    // 连续的修改合并为一次推送
+    schedulePush() {
+        if (!this.running) return;
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), SYNC_PUSH_DELAY);
+    }
+
+    async request(method, path, body, headers = {}) {
+        const response = await fetch(this.url + path, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        // 409 表示版本冲突，由调用方合并
+        if (!response.ok && response.status !== 409) {
+            throw new Error((data && data.error) || `服务器返回 ${response.status}`);
         }
+        return { status: response.status, body: data };
     }
 
-    sendNotification(schedule) {
-        if ('Notification' in window && Notification.permission === 'granted') {
-            new Notification('排班提醒', {
-                body: `${schedule.memberName}，您将在${schedule.date}负责${schedule.activityName}`,
-                icon: '📅'
+    // 同步团队列表，再拉取各团队的数据、推送本地的修改；同一时间只进行一次
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
             });
-        } else {
-            console.log(`通知: ${schedule.memberName}将在${schedule.date}负责${schedule.activityName}`);
         }
+        return this.syncing;
     }
 
-    requestPermission() {
-        if ('Notification' in window && Notification.permission === 'default') {
-            Notification.requestPermission();
+    async runSync() {
+        this.setStatus({ state: 'syncing' });
+        try {
+            const teams = await this.syncTeams();
+            for (const team of teams) {
+                await this.pullTeam(team.id);
+            }
+            for (const key of [...this.dirty]) {
+                await this.pushKey(key);
+            }
+            this.setStatus({ state: 'synced', error: '', syncedAt: new Date().toISOString() });
+        } catch (error) {
+            this.setStatus({ state: 'error', error: error.message });
+        } finally {
+            this.saveState();
         }
     }
-}
 
-// ==================== UI管理类 ====================
-class UIManager {
-    constructor(dataManager, scheduleGenerator, notificationManager) {
-        this.dataManager = dataManager;
-        this.scheduleGenerator = scheduleGenerator;
-        this.notificationManager = notificationManager;
-        this.filterStartDate = null;
-        this.filterEndDate = null;
-        this.initializeEventListeners();
-        this.renderAll();
+    async syncTeams() {
+        const remote = (await this.request('GET', '/api/teams')).body;
+        const local = this.cache.get('teams') || [];
+        const base = (this.versions.teams || {}).base || [];
+        const { data } = ServerSyncBackend.mergeRecords(base, local, remote);
+
+        for (const team of data) {
+            const current = remote.find(t => t.id === team.id);
+            if (!current || !ServerSyncBackend.isSame(current, team)) {
+                await this.request('PUT', `/api/teams/${encodeURIComponent(team.id)}`, team);
+            }
+        }
+        for (const team of remote.filter(t => !data.some(d => d.id === t.id))) {
+            await this.request('DELETE', `/api/teams/${encodeURIComponent(team.id)}`);
+        }
+
+        this.versions.teams = { version: 0, base: data };
+        this.dirty.delete('teams');
+        if (!ServerSyncBackend.isSame(data, local)) {
+            this.cache.set('teams', data);
+            this.emitRemoteChange('teams');
+        }
+        return data;
     }
 
-    initializeEventListeners() {
-        // 标签页切换
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
+    async pullTeam(teamId) {
+        const collections = (await this.request('GET', `/api/teams/${encodeURIComponent(teamId)}`)).body;
+        TEAM_DATA_KEYS.forEach(collection => {
+            const key = `team:${teamId}:${collection}`;
+            const remote = collections[collection] || { version: 0, data: null };
+            const state = this.versions[key];
+            if (state && state.version === remote.version) return;
+            if (remote.version === 0) {
+                // 服务器上还没有这项数据，上传本地的
+                if (this.cache.get(key) !== null) this.dirty.add(key);
+                return;
+            }
+            this.applyRemote(key, remote);
         });
+    }
 
-        // 排班表格筛选
-        document.getElementById('filterScheduleBtn').addEventListener('click', () => {
-            const filterDiv = document.getElementById('scheduleFilter');
-            filterDiv.style.display = filterDiv.style.display === 'none' ? 'block' : 'none';
-        });
+    async pushKey(key) {
+        const parsed = DataManager.parseTeamKey(key);
+        const local = this.cache.get(key);
+        if (!parsed || local === null) {
+            this.dirty.delete(key);
+            return;
+        }
 
-        document.getElementById('applyFilterBtn').addEventListener('click', () => {
-            this.filterStartDate = document.getElementById('filterStartDate').value;
-            this.filterEndDate = document.getElementById('filterEndDate').value;
-            this.renderScheduleTable();
+        const path = `/api/teams/${encodeURIComponent(parsed.teamId)}/${parsed.key}`;
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const data = this.cache.get(key);
+            const version = (this.versions[key] || {}).version || 0;
+            // 推送期间的新修改会重新标记，下一次同步时推送
+            this.dirty.delete(key);
+            let response;
+            try {
+                response = await this.request('PUT', path, data, { 'If-Match': `"${version}"` });
+            } catch (error) {
+                this.dirty.add(key);
+                throw error;
+            }
+            if (response.status !== 409) {
+                this.versions[key] = { version: response.body.version, base: data };
+                return;
+            }
+            this.dirty.add(key);
+            this.applyRemote(key, response.body);
+        }
+        throw new Error('数据正在被频繁修改，稍后会再次同步');
+    }
+
+    // 采用服务器上的新版本；本地还有未推送的修改时与之合并，合并结果等待推送
+    applyRemote(key, remote) {
+        const local = this.cache.get(key);
+        let data = remote.data;
+        if (this.dirty.has(key)) {
+            const base = (this.versions[key] || {}).base || null;
+            const result = ServerSyncBackend.merge(base, local, remote.data);
+            data = result.data;
+            if (result.conflicts.length > 0 && this.onConflict) {
+                this.onConflict(key, result.conflicts);
+            }
+        }
+        this.versions[key] = { version: remote.version, base: remote.data };
+        if (!ServerSyncBackend.isSame(data, local)) {
+            this.cache.set(key, data);
+            this.emitRemoteChange(key);
+        }
+    }
+
+    // 交给 DataManager 的是重新读取的副本，之后对它的修改不会影响合并基准
+    emitRemoteChange(key) {
+        if (this.onRemoteChange) this.onRemoteChange(key, this.cache.get(key));
+    }
+
+    static isSame(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // 三方合并一个值：只有一方修改的采用修改后的，双方改得不同时保留服务器上的并记为冲突
+    static mergeValue(base, local, remote) {
+        const same = ServerSyncBackend.isSame;
+        if (same(local, base) || same(local, remote)) return { value: remote, conflict: false };
+        if (same(remote, base)) return { value: local, conflict: false };
+        return { value: remote, conflict: true };
+    }
+
+    static merge(base, local, remote) {
+        if (Array.isArray(local) || Array.isArray(remote)) {
+            return ServerSyncBackend.mergeRecords(base || [], local || [], remote || []);
+        }
+        return ServerSyncBackend.mergeFields(base || {}, local || {}, remote || {});
+    }
+
+    // 按 id 逐条合并列表，顺序以服务器上的为准，本地新增的排在后面
+    static mergeRecords(base, local, remote) {
+        const byId = list => new Map(list.filter(record => record && record.id).map(record => [record.id, record]));
+        const baseMap = byId(base);
+        const localMap = byId(local);
+        const remoteMap = byId(remote);
+        const ids = [...remoteMap.keys(), ...[...localMap.keys()].filter(id => !remoteMap.has(id))];
+        const data = [];
+        const conflicts = [];
+
+        ids.forEach(id => {
+            const { value, conflict } = ServerSyncBackend.mergeValue(baseMap.get(id), localMap.get(id), remoteMap.get(id));
+            if (conflict) {
+                const record = value || localMap.get(id);
+                conflicts.push(record.name || [record.date, record.activityName, record.memberName].filter(Boolean).join(' ') || id);
+            }
+            if (value !== undefined) data.push(value);
         });
+        return { data, conflicts };
+    }
 
-        document.getElementById('clearFilterBtn').addEventListener('click', () => {
-            this.filterStartDate = null;
-            this.filterEndDate = null;
-            document.getElementById('filterStartDate').value = '';
-            document.getElementById('filterEndDate').value = '';
-            this.renderScheduleTable();
+    // 设置按字段合并
+    static mergeFields(base, local, remote) {
+        const data = {};
+        const conflicts = [];
+        new Set([...Object.keys(remote), ...Object.keys(local)]).forEach(field => {
+            const { value, conflict } = ServerSyncBackend.mergeValue(base[field], local[field], remote[field]);
+            if (conflict) conflicts.push(field);
+            if (value !== undefined) data[field] = value;
         });
+        return { data, conflicts };
+    }
+}
 
-        document.getElementById('generateScheduleBtn').addEventListener('click', () => this.showGenerateScheduleModal());
+// ==================== 数据管理类 ====================
+// 排班的出勤状态，未记录状态的排班视为待定
+const ATTENDANCE_STATUSES = {
+    completed: '已完成',
+    cancelled: '已取消',
+    'no-show': '缺席',
+    swapped: '已换班'
+};
 
-        // 成员管理
-        document.getElementById('addMemberBtn').addEventListener('click', () => this.showAddMemberModal());
+// 每个团队独立保存的数据，存储键为 team:<团队id>:<名称>
+const TEAM_DATA_KEYS = ['members', 'activities', 'schedules', 'swapRequests', 'settings'];
 
-        // 活动管理
-        document.getElementById('addActivityBtn').addEventListener('click', () => this.showAddActivityModal());
+class DataManager {
+    constructor(backend = new LocalStorageBackend()) {
+        this.backend = backend;
+        // 同步服务器上其他人的修改写入后的回调，界面用来刷新
+        this.onRemoteChange = null;
+        if ('onRemoteChange' in backend) {
+            backend.onRemoteChange = (key, data) => this.applyRemoteChange(key, data);
+        }
+        this.teams = this.loadGlobal('teams') || [];
+        if (this.teams.length === 0) {
+            this.migrateLegacyData();
+        }
+        const currentTeamId = this.loadGlobal('currentTeam');
+        this.currentTeamId = this.teams.some(t => t.id === currentTeamId) ? currentTeamId : this.teams[0].id;
+        this.changeLog = new ChangeLog(this);
+        this.loadTeamData();
+    }
 
-        // 设置
-        document.getElementById('algorithmSelect').addEventListener('change', (e) => {
-            this.dataManager.updateSettings({ algorithm: e.target.value });
+    // 旧版本的数据直接保存在 members、schedules 等键下，迁移为默认团队
+    migrateLegacyData() {
+        const team = { id: 'default', name: '我的团队', createdAt: new Date().toISOString() };
+        TEAM_DATA_KEYS.forEach(key => {
+            const data = this.backend.get(key);
+            if (data !== null) {
+                this.backend.set(this.teamKey(key, team.id), data);
+                this.backend.remove(key);
+            }
         });
-        document.getElementById('notificationEnabled').addEventListener('change', (e) => {
-            this.dataManager.updateSettings({ notificationEnabled: e.target.checked });
-            if (e.target.checked) {
-                this.notificationManager.requestPermission();
+        this.teams = [team];
+        this.saveGlobal('teams', this.teams);
+    }
+
+    loadTeamData() {
+        this.members = this.loadData('members') || [];
+        this.activities = this.loadData('activities') || [];
+        this.schedules = this.loadData('schedules') || [];
+        this.swapRequests = this.loadData('swapRequests') || [];
+        this.settings = { ...this.getDefaultSettings(), ...this.loadData('settings') };
+        // 旧数据用 notified 标记是否已提醒，转换为逐条的提醒记录
+        if (this.schedules.some(s => 'notified' in s)) {
+            this.schedules = DataManager.convertNotifiedFlags(this.schedules, this.settings.notificationDays);
+            this.changeLog.untracked(() => this.saveData('schedules', this.schedules));
+        }
+        this.changeLog.load();
+    }
+
+    static convertNotifiedFlags(schedules, notificationDays) {
+        return schedules.map(schedule => {
+            if (!schedule || typeof schedule !== 'object' || !('notified' in schedule)) return schedule;
+            const { notified, ...rest } = schedule;
+            if (notified && !Array.isArray(rest.reminderLog)) {
+                rest.reminderLog = [{ offset: notificationDays, at: null, channel: 'browser', status: 'sent' }];
             }
+            return rest;
         });
-        document.getElementById('notificationDays').addEventListener('change', (e) => {
-            this.dataManager.updateSettings({ notificationDays: parseInt(e.target.value) });
+    }
+
+    getDefaultSettings() {
+        return {
+            algorithm: 'rotation',
+            notificationEnabled: true,
+            // 活动没有单独设置提醒时间时，提前的天数
+            notificationDays: 3,
+            // 每天发送提醒的时间
+            reminderTime: '09:00',
+            conflictRules: {
+                sameDay: true,
+                noConsecutive: true,
+                minGapDays: 0,
+                maxPerWeek: 0
+            },
+            blockWeekends: true,
+            blackouts: [],
+            // 随机分配的种子，留空时每次生成使用新的种子
+            randomSeed: '',
+            lastSeed: '',
+            // 邮件提醒：配置了中继地址时通过中继自动发送，否则可导出 .eml 文件或 mailto 链接
+            email: {
+                enabled: false,
+                relayUrl: '',
+                relayToken: '',
+                from: '',
+                subject: '排班提醒：{日期} {活动}{岗位}',
+                body: '{姓名}，您好：\n\n提醒您将在 {日期}（星期{星期}）负责{团队}的{活动}{岗位}。\n\n{说明}\n\n如需换班，请尽早在排班系统中提交换班申请。'
+            },
+            // 群聊机器人：[{ id, name, platform, url, secret, enabled }]
+            webhooks: [],
+            // 浏览器无法直接跨域调用机器人接口时使用的转发地址
+            webhookProxyUrl: ''
+        };
+    }
+
+    // 团队之间共享的数据（团队列表、当前团队）
+    loadGlobal(key) {
+        return this.backend.get(key);
+    }
+
+    saveGlobal(key, data) {
+        this.backend.set(key, data);
+    }
+
+    teamKey(key, teamId = this.currentTeamId) {
+        return `team:${teamId}:${key}`;
+    }
+
+    // fn 中的多次保存合并为一次写入
+    batch(fn) {
+        return this.backend.batch(fn);
+    }
+
+    static parseTeamKey(storageKey) {
+        const match = /^team:(.+):([^:]+)$/.exec(storageKey);
+        return match ? { teamId: match[1], key: match[2] } : null;
+    }
+
+    // 当前团队的数据
+    loadData(key, teamId = this.currentTeamId) {
+        return this.backend.get(this.teamKey(key, teamId));
+    }
+
+    saveData(key, data, teamId = this.currentTeamId) {
+        this.backend.set(this.teamKey(key, teamId), data);
+        if (teamId === this.currentTeamId) {
+            this.changeLog.track(key, data);
+        }
+    }
+
+    // 团队管理
+    getCurrentTeam() {
+        return this.teams.find(t => t.id === this.currentTeamId);
+    }
+
+    addTeam(name) {
+        const team = { id: Date.now().toString(), name: name, createdAt: new Date().toISOString() };
+        this.teams.push(team);
+        this.saveGlobal('teams', this.teams);
+        return team;
+    }
+
+    renameTeam(id, name) {
+        const team = this.teams.find(t => t.id === id);
+        if (team) {
+            team.name = name;
+            this.saveGlobal('teams', this.teams);
+        }
+        return team;
+    }
+
+    deleteTeam(id) {
+        if (this.teams.length <= 1) {
+            throw new Error('至少需要保留一个团队');
+        }
+        this.removeTeamData(id);
+        this.teams = this.teams.filter(t => t.id !== id);
+        this.saveGlobal('teams', this.teams);
+        if (this.currentTeamId === id) {
+            this.switchTeam(this.teams[0].id);
+        }
+    }
+
+    removeTeamData(id) {
+        [...TEAM_DATA_KEYS, 'changeLog', 'changeLogPosition', 'webhookLog'].forEach(key => this.backend.remove(this.teamKey(key, id)));
+    }
+
+    // 其他人通过同步服务器修改了数据：更新当前团队的数据，不计入本地的变更记录
+    applyRemoteChange(storageKey, data) {
+        if (storageKey === 'teams') {
+            const removed = this.teams.filter(t => !(data || []).some(team => team.id === t.id));
+            this.teams = data || [];
+            removed.forEach(team => this.removeTeamData(team.id));
+            if (this.teams.length > 0 && !this.teams.some(t => t.id === this.currentTeamId)) {
+                this.switchTeam(this.teams[0].id);
+            }
+        } else {
+            const parsed = DataManager.parseTeamKey(storageKey);
+            if (!parsed || parsed.teamId !== this.currentTeamId || !TEAM_DATA_KEYS.includes(parsed.key)) return;
+            this[parsed.key] = parsed.key === 'settings'
+                ? { ...this.getDefaultSettings(), ...data }
+                : data || [];
+            this.changeLog.rebase(parsed.key, this[parsed.key]);
+        }
+        if (this.onRemoteChange) this.onRemoteChange(storageKey);
+    }
+
+    switchTeam(id) {
+        if (!this.teams.some(t => t.id === id)) return;
+        this.changeLog.flush();
+        this.currentTeamId = id;
+        this.saveGlobal('currentTeam', id);
+        this.loadTeamData();
+    }
+
+    // 把当前团队的成员和活动复制到另一个团队，生成新的id，目标团队中已有同名的跳过
+    copyToTeam(targetTeamId, memberIds = [], activityIds = []) {
+        const targetMembers = this.loadData('members', targetTeamId) || [];
+        const targetActivities = this.loadData('activities', targetTeamId) || [];
+        const result = { members: 0, activities: 0, skipped: [] };
+        let seq = 0;
+        const newId = () => `${Date.now()}${seq++}`;
+
+        this.members.filter(m => memberIds.includes(m.id)).forEach(member => {
+            if (targetMembers.some(m => m.name === member.name)) {
+                result.skipped.push(member.name);
+                return;
+            }
+            const { participationCount, completedCount, ...rest } = member;
+            targetMembers.push({ ...rest, id: newId(), participationCount: 0, completedCount: 0 });
+            result.members++;
         });
-        document.getElementById('exportDataBtn').addEventListener('click', () => this.exportData());
-        document.getElementById('importDataBtn').addEventListener('click', () => {
-            document.getElementById('importDataFile').click();
+
+        this.activities.filter(a => activityIds.includes(a.id)).forEach(activity => {
+            if (targetActivities.some(a => a.name === activity.name)) {
+                result.skipped.push(activity.name);
+                return;
+            }
+            targetActivities.push({ ...activity, id: newId() });
+            result.activities++;
         });
-        document.getElementById('importDataFile').addEventListener('change', (e) => this.importData(e));
-        document.getElementById('clearDataBtn').addEventListener('click', () => this.clearAllData());
 
-        // 弹窗关闭
-        document.querySelector('.close').addEventListener('click', () => this.closeModal());
-        window.addEventListener('click', (e) => {
-            if (e.target === document.getElementById('modal')) {
-                this.closeModal();
-            }
-        });
+        this.saveData('members', targetMembers, targetTeamId);
+        this.saveData('activities', targetActivities, targetTeamId);
+        return result;
+    }
+
+    // 成员管理
+    addMember(member) {
+        member.id = Date.now().toString();
+        member.participationCount = 0;
+        member.status = 'active';
+        this.changeLog.describe(`添加成员：${member.name}`);
+        this.members.push(member);
+        this.saveData('members', this.members);
+        return member;
+    }
+
+    updateMember(id, updates) {
+        const index = this.members.findIndex(m => m.id === id);
+        if (index !== -1) {
+            this.changeLog.describe(`修改成员：${this.members[index].name}`);
+            this.members[index] = { ...this.members[index], ...updates };
+            this.saveData('members', this.members);
+            return this.members[index];
+        }
+        return null;
+    }
+
+    deleteMember(id) {
+        const member = this.members.find(m => m.id === id);
+        if (member) {
+            this.changeLog.describe(`删除成员：${member.name}`);
+        }
+        this.members = this.members.filter(m => m.id !== id);
+        this.saveData('members', this.members);
+    }
+
+    getActiveMembers() {
+        return this.members.filter(m => m.status === 'active');
+    }
+
+    // 判断成员在指定日期（YYYY-MM-DD）是否可用，不在任何请假时间段内即可用
+    isMemberAvailable(member, date) {
+        return !(member.unavailable || []).some(range =>
+            date >= range.start && date <= range.end
+        );
+    }
+
+    // 成员在某天负责该活动时不满足的资格要求：必须具备全部要求的标签、不能带有排除的标签、入职满N天
+    getEligibilityIssues(member, activity, date) {
+        const rules = activity.eligibility || {};
+        const tags = member.tags || [];
+        const issues = [];
+
+        const missing = (rules.requiredTags || []).filter(tag => !tags.includes(tag));
+        if (missing.length > 0) {
+            issues.push(`缺少标签：${missing.join('、')}`);
+        }
+
+        const excluded = (rules.excludedTags || []).filter(tag => tags.includes(tag));
+        if (excluded.length > 0) {
+            issues.push(`带有排除标签：${excluded.join('、')}`);
+        }
+
+        // 未填写入职日期的成员不受入职天数限制
+        if (rules.minTenureDays > 0 && member.joinDate) {
+            const eligibleFrom = DateUtils.addDays(member.joinDate, rules.minTenureDays);
+            if (date < eligibleFrom) {
+                issues.push(`入职未满 ${rules.minTenureDays} 天，${eligibleFrom} 起才能负责`);
+            }
+        }
+
+        return issues;
+    }
+
+    // 活动每次需要的岗位名称列表，未设置时只有一个不带名称的岗位
+    getSlots(activity) {
+        return activity && activity.slots && activity.slots.length > 0 ? activity.slots : [''];
+    }
+
+    // 同一次活动（同一活动、同一天）的所有排班，按岗位排序
+    getOccurrenceSchedules(activityId, date) {
+        return this.schedules
+            .filter(s => s.activityId === activityId && s.date === date)
+            .sort((a, b) => (a.slot || 0) - (b.slot || 0));
+    }
+
+    isMemberEligible(member, activity, date) {
+        return this.getEligibilityIssues(member, activity, date).length === 0;
+    }
+
+    getAllTags() {
+        return [...new Set(this.members.flatMap(m => m.tags || []))].sort();
+    }
+
+    // 活动管理
+    addActivity(activity) {
+        activity.id = Date.now().toString();
+        this.changeLog.describe(`添加活动：${activity.name}`);
+        this.activities.push(activity);
+        this.saveData('activities', this.activities);
+        return activity;
+    }
+
+    updateActivity(id, updates) {
+        const index = this.activities.findIndex(a => a.id === id);
+        if (index !== -1) {
+            this.changeLog.describe(`修改活动：${this.activities[index].name}`);
+            this.activities[index] = { ...this.activities[index], ...updates };
+            this.saveData('activities', this.activities);
+            return this.activities[index];
+        }
+        return null;
+    }
+
+    deleteActivity(id) {
+        const activity = this.activities.find(a => a.id === id);
+        if (activity) {
+            this.changeLog.describe(`删除活动：${activity.name}`);
+        }
+        this.activities = this.activities.filter(a => a.id !== id);
+        this.saveData('activities', this.activities);
+    }
+
+    // 排班管理
+    addSchedule(schedule) {
+        schedule.id = Date.now().toString() + Math.random();
+        this.changeLog.describe(`添加排班：${schedule.date} ${schedule.activityName}`);
+        this.schedules.push(schedule);
+        this.saveData('schedules', this.schedules);
+        return schedule;
+    }
+
+    updateSchedule(id, updates) {
+        const index = this.schedules.findIndex(s => s.id === id);
+        if (index !== -1) {
+            this.changeLog.describe(`修改排班：${this.schedules[index].date} ${this.schedules[index].activityName}`);
+            this.schedules[index] = { ...this.schedules[index], ...updates };
+            this.saveData('schedules', this.schedules);
+            return this.schedules[index];
+        }
+        return null;
+    }
+
+    deleteSchedule(id) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (schedule) {
+            this.changeLog.describe(`删除排班：${schedule.date} ${schedule.activityName}`);
+        }
+        this.schedules = this.schedules.filter(s => s.id !== id);
+        this.saveData('schedules', this.schedules);
+    }
+
+    clearSchedules() {
+        this.changeLog.describe('清空排班');
+        this.schedules = [];
+        this.saveData('schedules', this.schedules);
+    }
+
+    // 重新生成时会被替换的排班：日期在 startDate 至 endDate（YYYY-MM-DD）之间且不早于今天，
+    // 未锁定也未记录出勤状态；范围外的、今天以前的和手动调整过的排班都保留
+    isReplaceable(schedule, startDate, endDate) {
+        const today = DateUtils.today();
+        return !schedule.locked && !schedule.status &&
+            schedule.date >= (startDate > today ? startDate : today) && schedule.date <= endDate;
+    }
+
+    clearUnlockedSchedules(startDate, endDate) {
+        this.schedules = this.schedules.filter(s => !this.isReplaceable(s, startDate, endDate));
+        this.saveData('schedules', this.schedules);
+    }
+
+    // 记录排班的出勤状态，传入空值时恢复为待定
+    setScheduleStatus(id, status) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (schedule) {
+            this.changeLog.describe(`记录出勤：${schedule.date} ${schedule.activityName} ${status ? ATTENDANCE_STATUSES[status] : '待定'}`);
+        }
+        return this.updateSchedule(id, {
+            status: status || null,
+            statusUpdatedAt: status ? new Date().toISOString() : null
+        });
+    }
+
+    // 根据现有排班重新统计每个成员的参与次数和实际完成次数
+    recalculateParticipation() {
+        this.members.forEach(member => {
+            const own = this.schedules.filter(s => s.memberId === member.id);
+            member.participationCount = own.length;
+            member.completedCount = own.filter(s => s.status === 'completed').length;
+        });
+        this.saveData('members', this.members);
+    }
+
+    // 计入负担的排班：已完成的和尚未记录结果的，取消、缺席和已换班的不计
+    countsTowardLoad(schedule) {
+        return !schedule.status || schedule.status === 'completed';
+    }
+
+    // 成员的实际负担，生成排班和统计分析使用同样的口径
+    getMemberLoad(memberId, schedules = this.schedules) {
+        return schedules.filter(s =>
+            s.memberId === memberId && this.countsTowardLoad(s)
+        ).length;
+    }
+
+    // 按状态汇总一组排班，未记录状态的计入 pending
+    summarizeAttendance(schedules) {
+        const summary = { pending: 0 };
+        Object.keys(ATTENDANCE_STATUSES).forEach(status => {
+            summary[status] = 0;
+        });
+        schedules.forEach(s => {
+            summary[s.status || 'pending']++;
+        });
+        return summary;
+    }
+
+    getSchedulesByDateRange(startDate, endDate) {
+        return this.schedules.filter(s => {
+            const scheduleDate = new Date(s.date);
+            return scheduleDate >= startDate && scheduleDate <= endDate;
+        });
+    }
+
+    getUpcomingSchedules(limit = 10) {
+        const now = new Date();
+        now.setHours(0, 0, 0, 0);
+        return this.schedules
+            .filter(s => new Date(s.date) >= now)
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .slice(0, limit);
+    }
+
+    // 换班申请管理
+    addSwapRequest(request) {
+        request.id = Date.now().toString() + Math.random();
+        request.status = 'pending';
+        request.createdAt = new Date().toISOString();
+        this.changeLog.describe(`${request.requesterName}提交换班申请`);
+        this.swapRequests.push(request);
+        this.saveData('swapRequests', this.swapRequests);
+        return request;
+    }
+
+    updateSwapRequest(id, updates) {
+        const index = this.swapRequests.findIndex(r => r.id === id);
+        if (index !== -1) {
+            this.swapRequests[index] = { ...this.swapRequests[index], ...updates };
+            this.saveData('swapRequests', this.swapRequests);
+            return this.swapRequests[index];
+        }
+        return null;
+    }
+
+    getPendingSwapRequests() {
+        return this.swapRequests.filter(r => r.status === 'pending');
+    }
+
+    // 设置管理
+    updateSettings(settings) {
+        this.changeLog.describe('修改设置');
+        this.settings = { ...this.settings, ...settings };
+        this.saveData('settings', this.settings);
+    }
+
+    // 活动的提醒提前天数，从大到小排列；活动未单独设置时使用默认的提前提醒天数
+    getReminderOffsets(activity) {
+        const offsets = activity && Array.isArray(activity.reminderOffsets) && activity.reminderOffsets.length > 0
+            ? activity.reminderOffsets
+            : [this.settings.notificationDays];
+        return [...new Set(offsets)].sort((a, b) => b - a);
+    }
+
+    // 排班在提前 offset 天时的提醒时间
+    getReminderDueAt(date, offset) {
+        const [hours, minutes] = (this.settings.reminderTime || '09:00').split(':').map(n => parseInt(n) || 0);
+        const dueAt = new Date(`${DateUtils.addDays(date, -offset)}T00:00:00`);
+        dueAt.setHours(hours, minutes, 0, 0);
+        return dueAt;
+    }
+
+    // 导出数据
+    exportData() {
+        return {
+            members: this.members,
+            activities: this.activities,
+            schedules: this.schedules,
+            swapRequests: this.swapRequests,
+            settings: this.settings,
+            schemaVersion: SCHEMA_VERSION,
+            teamName: this.getCurrentTeam().name,
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    // 导入数据
+    importData(data) {
+        this.changeLog.describe('导入数据');
+        this.batch(() => this.replaceData(data));
+        this.recalculateParticipation();
+    }
+
+    replaceData(data) {
+        if (data.members) {
+            this.members = data.members;
+            this.saveData('members', this.members);
+        }
+        if (data.activities) {
+            this.activities = data.activities;
+            this.saveData('activities', this.activities);
+        }
+        if (data.schedules) {
+            this.schedules = data.schedules;
+            this.saveData('schedules', this.schedules);
+        }
+        if (data.swapRequests) {
+            this.swapRequests = data.swapRequests;
+            this.saveData('swapRequests', this.swapRequests);
+        }
+        if (data.settings) {
+            this.settings = data.settings;
+            this.saveData('settings', this.settings);
+        }
+    }
+
+    // 清除当前团队的数据，其他团队不受影响
+    // 变更记录保留，清除后仍可撤销
+    clearAllData() {
+        this.changeLog.describe('清除团队数据');
+        this.members = [];
+        this.activities = [];
+        this.schedules = [];
+        this.swapRequests = [];
+        this.settings = this.getDefaultSettings();
+        this.batch(() => TEAM_DATA_KEYS.forEach(key => this.saveData(key, this[key])));
+    }
+}
+
+// ==================== 变更记录类 ====================
+// 最多保留的变更记录条数
+const CHANGE_LOG_LIMIT = 100;
+// 变更记录保存后的最大长度（字符数），超出时丢弃最早的记录，避免占满本地存储而影响数据本身的保存
+const CHANGE_LOG_MAX_SIZE = 1024 * 1024;
+
+const CHANGE_KEY_NAMES = {
+    members: '成员',
+    activities: '活动',
+    schedules: '排班',
+    swapRequests: '换班申请',
+    settings: '设置'
+};
+
+// 记录当前团队数据的每次修改，支持撤销、重做和恢复到任意记录。
+// 列表数据按记录 id 只记下新增、删除的记录和修改过的字段，设置只记下修改过的字段；
+// 同一次操作中的多次保存（例如生成排班逐条添加）合并为一条记录
+class ChangeLog {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.entries = [];
+        // 当前状态位于第 position 条记录之后，之后的记录可以重做
+        this.position = 0;
+        // 各数据最近一次保存的内容（按记录或字段拆开的 JSON），作为下一次修改的"修改前"
+        this.saved = {};
+        this.pending = null;
+        this.paused = false;
+        // 各条记录保存后的长度，避免每次保存都重新计算
+        this.sizes = new WeakMap();
+        // 记录变化后的回调，界面用来刷新撤销按钮
+        this.onChange = null;
+    }
+
+    // 读取当前团队的变更记录，并记下当前数据
+    load() {
+        // 旧版本把记录和位置一起保存为 { entries, position }
+        const log = this.dataManager.loadData('changeLog') || [];
+        const entries = Array.isArray(log) ? log : log.entries;
+        const position = Array.isArray(log) ? this.dataManager.loadData('changeLogPosition') : log.position;
+        this.entries = entries.map(entry => ChangeLog.convertSnapshotEntry(entry));
+        this.position = typeof position === 'number' ? Math.min(position, this.entries.length) : this.entries.length;
+        this.pending = null;
+        this.saved = {};
+        TEAM_DATA_KEYS.forEach(key => {
+            this.saved[key] = ChangeLog.snapshot(this.dataManager[key]);
+        });
+    }
+
+    // 旧版本的记录保存修改前后的完整数据（JSON），转换为按记录的差异
+    static convertSnapshotEntry(entry) {
+        const changes = {};
+        Object.entries(entry.changes).forEach(([key, change]) => {
+            changes[key] = typeof change.before === 'string'
+                ? ChangeLog.diff(ChangeLog.snapshot(JSON.parse(change.before)), JSON.parse(change.after))
+                : change;
+        });
+        return { ...entry, changes };
+    }
+
+    // 列表按记录 id 拆开，设置按字段拆开，值为 JSON，便于逐条比较
+    static snapshot(data) {
+        if (Array.isArray(data)) {
+            const ids = data.map(record => record && record.id);
+            const records = data.map(record => JSON.stringify(record));
+            return { ids, records, values: new Map(records.map((json, index) => [ids[index], json])) };
+        }
+        return { values: new Map(Object.entries(data || {}).map(([field, value]) => [field, JSON.stringify(value)])) };
+    }
+
+    // 两个对象中不同的字段：{ before, after }，某一边没有的字段不出现在该边
+    static diffFields(before, after) {
+        const result = { before: {}, after: {} };
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+            if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+            if (field in before) result.before[field] = before[field];
+            if (field in after) result.after[field] = after[field];
+        });
+        return result;
+    }
+
+    // 从修改前的 snapshot 到修改后数据的差异，没有变化时返回 null。列表的差异为
+    // { added: [{ index, record }], removed: [{ index, record }], updated: [{ id, before, after }] }，
+    // 未增删的记录先后顺序有变化时另记 order；记录 id 有重复无法逐条对应时整体记下修改前后的数据
+    static diff(before, data) {
+        const after = ChangeLog.snapshot(data);
+        if (!before.ids) {
+            const change = { before: {}, after: {} };
+            let changed = false;
+            new Set([...before.values.keys(), ...after.values.keys()]).forEach(field => {
+                if (before.values.get(field) === after.values.get(field)) return;
+                changed = true;
+                if (before.values.has(field)) change.before[field] = JSON.parse(before.values.get(field));
+                if (after.values.has(field)) change.after[field] = JSON.parse(after.values.get(field));
+            });
+            return changed ? change : null;
+        }
+
+        if (before.values.size !== before.ids.length || after.values.size !== after.ids.length) {
+            if (before.records.join() === after.records.join()) return null;
+            return { replaced: { before: before.records.map(json => JSON.parse(json)), after: after.records.map(json => JSON.parse(json)) } };
+        }
+
+        const change = { added: [], removed: [], updated: [] };
+        before.ids.forEach((id, index) => {
+            if (!after.values.has(id)) change.removed.push({ index, record: JSON.parse(before.values.get(id)) });
+        });
+        after.ids.forEach((id, index) => {
+            const previous = before.values.get(id);
+            const current = after.values.get(id);
+            if (previous === undefined) {
+                change.added.push({ index, record: JSON.parse(current) });
+            } else if (previous !== current) {
+                change.updated.push({ id, ...ChangeLog.diffFields(JSON.parse(previous), JSON.parse(current)) });
+            }
+        });
+
+        const keptBefore = before.ids.filter(id => after.values.has(id));
+        const keptAfter = after.ids.filter(id => before.values.has(id));
+        if (keptBefore.some((id, index) => keptAfter[index] !== id)) {
+            change.order = { before: before.ids, after: after.ids };
+        }
+        if (change.added.length === 0 && change.removed.length === 0 && change.updated.length === 0 && !change.order) {
+            return null;
+        }
+        return change;
+    }
+
+    // 把差异的一边应用到当前数据上：side 为 'before' 时撤销，为 'after' 时重做，返回新的数据
+    static patch(data, change, side) {
+        const copy = value => JSON.parse(JSON.stringify(value));
+        const setFields = (target, fields) => {
+            new Set([...Object.keys(fields.before), ...Object.keys(fields.after)]).forEach(field => {
+                if (field in fields[side]) {
+                    target[field] = copy(fields[side][field]);
+                } else {
+                    delete target[field];
+                }
+            });
+            return target;
+        };
+
+        if (change.replaced) return copy(change.replaced[side]);
+        if (!Array.isArray(data)) return setFields({ ...data }, change);
+
+        const inserted = side === 'before' ? change.removed : change.added;
+        const deleted = new Set((side === 'before' ? change.added : change.removed).map(item => item.record.id));
+        const updates = new Map(change.updated.map(update => [update.id, update]));
+        const result = data
+            .filter(record => !deleted.has(record.id))
+            .map(record => updates.has(record.id) ? setFields({ ...record }, updates.get(record.id)) : record);
+        [...inserted].sort((a, b) => a.index - b.index).forEach(item => {
+            result.splice(item.index, 0, copy(item.record));
+        });
+        if (change.order) {
+            // 记录之后其他人新增的记录排在最后
+            const order = new Map(change.order[side].map((id, index) => [id, index]));
+            const rank = record => order.has(record.id) ? order.get(record.id) : order.size;
+            result.sort((a, b) => rank(a) - rank(b));
+        }
+        return result;
+    }
+
+    // 记录和当前位置分开保存，撤销、重做只改写位置；每条记录有 id，IndexedDB 中逐条保存。
+    // 保存失败（如超出存储容量）时逐步丢弃最早的记录，始终不影响数据本身的保存
+    save() {
+        this.trimToSize();
+        for (;;) {
+            try {
+                this.dataManager.saveData('changeLog', this.entries);
+                this.dataManager.saveData('changeLogPosition', this.position);
+                break;
+            } catch (error) {
+                if (this.entries.length === 0) {
+                    console.log('变更记录保存失败：', error.message);
+                    break;
+                }
+                this.dropOldest(Math.ceil(this.entries.length / 4));
+            }
+        }
+        if (this.onChange) this.onChange();
+    }
+
+    entrySize(entry) {
+        if (!this.sizes.has(entry)) {
+            this.sizes.set(entry, JSON.stringify(entry).length);
+        }
+        return this.sizes.get(entry);
+    }
+
+    // 超出条数或总长度上限时丢弃最早的记录
+    trimToSize() {
+        if (this.entries.length > CHANGE_LOG_LIMIT) {
+            this.dropOldest(this.entries.length - CHANGE_LOG_LIMIT);
+        }
+        let size = this.entries.reduce((total, entry) => total + this.entrySize(entry), 0);
+        let dropped = 0;
+        while (dropped < this.entries.length && size > CHANGE_LOG_MAX_SIZE) {
+            size -= this.entrySize(this.entries[dropped]);
+            dropped++;
+        }
+        this.dropOldest(dropped);
+    }
+
+    dropOldest(count) {
+        if (count <= 0) return;
+        this.entries.splice(0, count);
+        this.position = Math.max(0, this.position - count);
+    }
+
+    // 为当前操作命名，同一次操作中以最先给出的说明为准
+    describe(description) {
+        this.begin();
+        if (!this.pending.description) {
+            this.pending.description = description;
+        }
+    }
+
+    begin() {
+        if (this.pending) return;
+        this.pending = { description: '', changes: {} };
+        // 当前操作中的同步保存全部完成后再写成一条记录
+        Promise.resolve().then(() => this.flush());
+    }
+
+    track(key, data) {
+        if (!TEAM_DATA_KEYS.includes(key)) return;
+        if (this.paused) {
+            this.saved[key] = ChangeLog.snapshot(data);
+            return;
+        }
+
+        this.begin();
+        // 修改后的内容在操作结束时才比较，生成排班时逐条添加也只比较一次
+        this.pending.changes[key] = data;
+    }
+
+    // 数据被其他人修改后以新内容为基准，不产生记录
+    rebase(key, data) {
+        this.saved[key] = ChangeLog.snapshot(data);
+    }
+
+    // 执行期间的保存不产生记录
+    untracked(fn) {
+        this.paused = true;
+        try {
+            return fn();
+        } finally {
+            this.paused = false;
+        }
+    }
+
+    flush() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+
+        const changes = {};
+        Object.entries(pending.changes).forEach(([key, data]) => {
+            const change = ChangeLog.diff(this.saved[key], data);
+            this.saved[key] = ChangeLog.snapshot(data);
+            if (change) changes[key] = change;
+        });
+        const keys = Object.keys(changes);
+        if (keys.length === 0) return;
+
+        // 撤销后做了新的修改，原来可以重做的记录作废
+        this.entries = this.entries.slice(0, this.position);
+        this.entries.push({
+            id: Date.now().toString() + Math.random(),
+            at: new Date().toISOString(),
+            description: pending.description || `修改${keys.map(key => CHANGE_KEY_NAMES[key]).join('、')}`,
+            changes
+        });
+        this.position = this.entries.length;
+        this.save();
+    }
+
+    hasPendingChanges() {
+        return this.pending !== null && Object.keys(this.pending.changes).length > 0;
+    }
+
+    canUndo() {
+        return this.hasPendingChanges() || this.position > 0;
+    }
+
+    canRedo() {
+        return !this.hasPendingChanges() && this.position < this.entries.length;
+    }
+
+    undo() {
+        this.flush();
+        if (this.position === 0) return null;
+        const entry = this.entries[this.position - 1];
+        this.apply(entry, 'before');
+        this.position--;
+        this.save();
+        return entry;
+    }
+
+    redo() {
+        this.flush();
+        if (this.position >= this.entries.length) return null;
+        const entry = this.entries[this.position];
+        this.apply(entry, 'after');
+        this.position++;
+        this.save();
+        return entry;
+    }
+
+    // 恢复到第 position 条记录之后的状态，0 为最早一条记录之前；之后仍可重做回来
+    restoreTo(position) {
+        this.flush();
+        while (this.position > position) {
+            this.undo();
+        }
+        while (this.position < position) {
+            this.redo();
+        }
+    }
+
+    apply(entry, side) {
+        this.untracked(() => {
+            Object.entries(entry.changes).forEach(([key, change]) => {
+                this.dataManager[key] = ChangeLog.patch(this.dataManager[key], change, side);
+                this.dataManager.saveData(key, this.dataManager[key]);
+            });
+        });
+    }
+
+    // 记录中各项数据的变化，列表显示新增、删除、修改的条数
+    summarize(entry) {
+        return Object.entries(entry.changes).map(([key, change]) => {
+            if (change.replaced) {
+                return `${CHANGE_KEY_NAMES[key]} ${change.replaced.before.length} → ${change.replaced.after.length}`;
+            }
+            if (!change.updated) return CHANGE_KEY_NAMES[key];
+            const counts = [
+                change.added.length > 0 ? `新增 ${change.added.length}` : '',
+                change.removed.length > 0 ? `删除 ${change.removed.length}` : '',
+                change.updated.length > 0 ? `修改 ${change.updated.length}` : '',
+                change.order ? '调整顺序' : ''
+            ].filter(Boolean);
+            return counts.length > 0 ? `${CHANGE_KEY_NAMES[key]} ${counts.join('、')}` : CHANGE_KEY_NAMES[key];
+        }).join('，');
+    }
+}
+
+// ==================== 数据导入类 ====================
+// 导出文件的数据格式版本，早期没有 schemaVersion 的文件视为第 1 版
+const SCHEMA_VERSION = 3;
+
+// 把第 N 版的数据升级为第 N+1 版
+const DATA_MIGRATIONS = {
+    // 第 1 版：成员可能缺少状态、请假和参与次数，id 可能是数字
+    1: data => {
+        const result = { ...data };
+        if (Array.isArray(data.members)) {
+            result.members = data.members.map(member => (member && typeof member === 'object' ? {
+                status: 'active',
+                unavailable: [],
+                participationCount: 0,
+                ...member,
+                id: typeof member.id === 'number' ? String(member.id) : member.id
+            } : member));
+        }
+        if (Array.isArray(data.activities)) {
+            result.activities = data.activities.map(activity => (activity && typeof activity === 'object' ? {
+                ...activity,
+                id: typeof activity.id === 'number' ? String(activity.id) : activity.id
+            } : activity));
+        }
+        return result;
+    },
+    // 第 2 版：排班用 notified 标记是否已提醒，改为逐条的提醒记录
+    2: data => {
+        if (!Array.isArray(data.schedules)) return data;
+        const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+        return {
+            ...data,
+            schedules: DataManager.convertNotifiedFlags(data.schedules, settings.notificationDays || 3)
+        };
+    }
+};
+
+const IMPORT_COLLECTION_NAMES = {
+    members: '成员',
+    activities: '活动',
+    schedules: '排班',
+    swapRequests: '换班申请'
+};
+
+// 导入备份文件：升级旧版本、逐条校验，并计算替换或合并后的数据
+class DataImporter {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('文件内容不是排班系统导出的数据');
+        }
+        let version = data.schemaVersion || 1;
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`文件来自更新版本的系统（数据版本 ${version}），请升级后再导入`);
+        }
+        let result = data;
+        while (version < SCHEMA_VERSION) {
+            result = DATA_MIGRATIONS[version](result);
+            version++;
+        }
+        return { ...result, schemaVersion: SCHEMA_VERSION };
+    }
+
+    isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const parsed = new Date(value);
+        return !isNaN(parsed.getTime()) && DateUtils.format(parsed) === value;
+    }
+
+    // 逐条校验升级后的数据，返回错误描述列表，如"成员第2条（张三）：请假结束日期早于开始日期"
+    validate(data) {
+        const errors = [];
+        const collections = Object.keys(IMPORT_COLLECTION_NAMES);
+
+        if (!collections.some(key => key in data) && !('settings' in data)) {
+            return ['文件中没有成员、活动、排班或设置数据'];
+        }
+        collections.forEach(key => {
+            if (key in data && !Array.isArray(data[key])) {
+                errors.push(`${IMPORT_COLLECTION_NAMES[key]}数据应为列表`);
+            }
+        });
+        if ('settings' in data && (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+            errors.push('设置数据格式不正确');
+        }
+        if (errors.length > 0) return errors;
+
+        // 排班引用的成员和活动：文件中带有的以文件为准，否则使用当前团队的数据
+        const memberIds = new Set((data.members || this.dataManager.members).map(m => m && m.id));
+        const activityIds = new Set((data.activities || this.dataManager.activities).map(a => a && a.id));
+
+        const check = (key, validateRecord) => {
+            const seen = new Set();
+            (data[key] || []).forEach((record, index) => {
+                const label = `${IMPORT_COLLECTION_NAMES[key]}第${index + 1}条` +
+                    (record && record.name ? `（${record.name}）` : record && record.date ? `（${record.date}）` : '');
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    errors.push(`${label}：格式不正确`);
+                    return;
+                }
+                const problems = [];
+                if (typeof record.id !== 'string' || !record.id) {
+                    problems.push('缺少编号');
+                } else if (seen.has(record.id)) {
+                    problems.push(`编号 ${record.id} 重复`);
+                }
+                seen.add(record.id);
+                validateRecord(record, problems);
+                problems.forEach(problem => errors.push(`${label}：${problem}`));
+            });
+        };
+
+        check('members', (member, problems) => {
+            if (typeof member.name !== 'string' || !member.name.trim()) {
+                problems.push('姓名不能为空');
+            }
+            if (member.status !== undefined && !['active', 'inactive'].includes(member.status)) {
+                problems.push(`未知状态"${member.status}"`);
+            }
+            if (member.unavailable !== undefined) {
+                if (!Array.isArray(member.unavailable)) {
+                    problems.push('请假时间段格式不正确');
+                } else {
+                    member.unavailable.forEach((range, i) => {
+                        if (!range || !this.isValidDate(range.start) || !this.isValidDate(range.end)) {
+                            problems.push(`第${i + 1}段请假日期格式不正确`);
+                        } else if (range.end < range.start) {
+                            problems.push(`第${i + 1}段请假结束日期早于开始日期`);
+                        }
+                    });
+                }
+            }
+            if (member.tags !== undefined && (!Array.isArray(member.tags) || member.tags.some(tag => typeof tag !== 'string'))) {
+                problems.push('标签格式不正确');
+            }
+            if (member.joinDate && !this.isValidDate(member.joinDate)) {
+                problems.push(`入职日期格式不正确（${member.joinDate}）`);
+            }
+            if (member.weight !== undefined && !(typeof member.weight === 'number' && member.weight > 0)) {
+                problems.push('权重必须是正数');
+            }
+        });
+
+        check('activities', (activity, problems) => {
+            if (typeof activity.name !== 'string' || !activity.name.trim()) {
+                problems.push('名称不能为空');
+            }
+            if (!(parseInt(activity.frequency) >= 1)) {
+                problems.push(`重复间隔不正确（${activity.frequency}）`);
+            }
+            if (!['days', 'weeks', 'months'].includes(activity.frequencyUnit)) {
+                problems.push(`未知的重复单位"${activity.frequencyUnit}"`);
+            }
+            if (activity.startDate && !this.isValidDate(activity.startDate)) {
+                problems.push(`开始日期格式不正确（${activity.startDate}）`);
+            }
+            if (activity.slots !== undefined && (!Array.isArray(activity.slots) || activity.slots.some(slot => typeof slot !== 'string'))) {
+                problems.push('岗位格式不正确');
+            }
+            if (activity.reminderOffsets !== undefined && (!Array.isArray(activity.reminderOffsets) ||
+                activity.reminderOffsets.some(offset => !Number.isInteger(offset) || offset < 0))) {
+                problems.push('提醒时间格式不正确');
+            }
+        });
+
+        check('schedules', (schedule, problems) => {
+            if (!this.isValidDate(schedule.date)) {
+                problems.push(`日期格式不正确（${schedule.date}）`);
+            }
+            if (!activityIds.has(schedule.activityId)) {
+                problems.push(`引用的活动"${schedule.activityName || schedule.activityId}"不存在`);
+            }
+            if (!memberIds.has(schedule.memberId)) {
+                problems.push(`引用的成员"${schedule.memberName || schedule.memberId}"不存在`);
+            }
+            if (schedule.status && !ATTENDANCE_STATUSES[schedule.status]) {
+                problems.push(`未知的出勤状态"${schedule.status}"`);
+            }
+            if (schedule.slot !== undefined && schedule.slot !== null && !Number.isInteger(schedule.slot)) {
+                problems.push('岗位序号不正确');
+            }
+        });
+
+        check('swapRequests', (request, problems) => {
+            if (!['swap', 'cover'].includes(request.type)) {
+                problems.push(`未知的申请类型"${request.type}"`);
+            }
+            if (!['pending', 'accepted', 'rejected', 'cancelled'].includes(request.status)) {
+                problems.push(`未知的申请状态"${request.status}"`);
+            }
+            if (typeof request.scheduleId !== 'string' || !request.scheduleId) {
+                problems.push('缺少排班编号');
+            }
+        });
+
+        return errors;
+    }
+
+    // 计算导入结果但不修改数据，返回 { mode, counts, result }。
+    // replace：文件中带有的数据整体替换当前团队的数据；
+    // merge：成员按邮箱（没有邮箱时按姓名）、活动按名称、排班按活动+日期+岗位与现有数据对应，
+    // 对应上的更新，对应不上的新增，内容相同的跳过；换班申请和设置保持不变
+    plan(data, mode = 'replace') {
+        const dm = this.dataManager;
+        const counts = {};
+        const result = {};
+
+        if (mode === 'replace') {
+            Object.keys(IMPORT_COLLECTION_NAMES).forEach(key => {
+                if (data[key]) {
+                    result[key] = data[key];
+                    counts[key] = { before: dm[key].length, after: data[key].length };
+                }
+            });
+            if (data.settings) {
+                result.settings = { ...dm.getDefaultSettings(), ...data.settings };
+            }
+            return { mode, counts, result };
+        }
+
+        let seq = 0;
+        const newId = (used) => {
+            let id;
+            do {
+                id = `${Date.now()}${seq++}`;
+            } while (used.has(id));
+            return id;
+        };
+
+        // 把导入的记录合并进现有列表，返回 { records, idMap }
+        const merge = (key, imported, findMatch, prepare = record => record) => {
+            const records = [...dm[key]];
+            const used = new Set(records.map(r => r.id));
+            const idMap = new Map();
+            const count = { added: 0, updated: 0, skipped: 0 };
+
+            imported.forEach(record => {
+                const { id, ...fields } = prepare(record);
+                const match = findMatch(records, fields);
+                if (match) {
+                    const merged = { ...match, ...fields, id: match.id };
+                    idMap.set(id, match.id);
+                    if (JSON.stringify(merged) === JSON.stringify(match)) {
+                        count.skipped++;
+                    } else {
+                        records[records.indexOf(match)] = merged;
+                        count.updated++;
+                    }
+                } else {
+                    const recordId = used.has(id) ? newId(used) : id;
+                    used.add(recordId);
+                    idMap.set(id, recordId);
+                    records.push({ ...fields, id: recordId });
+                    count.added++;
+                }
+            });
+
+            counts[key] = count;
+            result[key] = records;
+            return idMap;
+        };
+
+        const normalizeEmail = email => (email || '').trim().toLowerCase();
+        const memberIdMap = merge('members', data.members || [], (records, member) =>
+            (normalizeEmail(member.email) && records.find(m => normalizeEmail(m.email) === normalizeEmail(member.email))) ||
+            records.find(m => m.name === member.name),
+        // 参与次数导入后按排班重新统计
+        ({ participationCount, completedCount, ...member }) => member);
+
+        const activityIdMap = merge('activities', data.activities || [], (records, activity) =>
+            records.find(a => a.name === activity.name));
+
+        if (data.schedules) {
+            const members = result.members || dm.members;
+            const activities = result.activities || dm.activities;
+            merge('schedules', data.schedules, (records, schedule) =>
+                records.find(s =>
+                    s.activityId === schedule.activityId && s.date === schedule.date && (s.slot || 0) === (schedule.slot || 0)
+                ),
+            schedule => {
+                const memberId = memberIdMap.get(schedule.memberId) || schedule.memberId;
+                const activityId = activityIdMap.get(schedule.activityId) || schedule.activityId;
+                const member = members.find(m => m.id === memberId);
+                const activity = activities.find(a => a.id === activityId);
+                return {
+                    ...schedule,
+                    memberId,
+                    activityId,
+                    memberName: member ? member.name : schedule.memberName,
+                    activityName: activity ? activity.name : schedule.activityName
+                };
+            });
+        }
+
+        return { mode, counts, result };
+    }
+}
+
+// ==================== 节假日日历类 ====================
+// 团队级的停摆日期（节假日、封闭周等），可选地把周末也视为非工作日
+class HolidayCalendar {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    // 返回日期对应的停摆原因，工作日返回 null
+    getBlackout(date) {
+        const settings = this.dataManager.settings;
+        const range = (settings.blackouts || []).find(r => date >= r.start && date <= r.end);
+        if (range) {
+            return range.name || '停摆日';
+        }
+
+        const weekday = DateUtils.weekday(date);
+        if (settings.blockWeekends && (weekday === 0 || weekday === 6)) {
+            return '周末';
+        }
+
+        return null;
+    }
+
+    isBlocked(date) {
+        return this.getBlackout(date) !== null;
+    }
+
+    // 从 date 开始按 step（1 或 -1）方向寻找最近的工作日
+    findWorkingDay(date, step) {
+        let current = date;
+        for (let i = 0; i < 366; i++) {
+            current = DateUtils.addDays(current, step);
+            if (!this.isBlocked(current)) {
+                return current;
+            }
+        }
+        return null;
+    }
+
+    // 按活动的节假日策略调整日期列表，返回 { date, shiftedFrom, shiftReason }，
+    // 策略：skip 跳过、next 顺延到下一个工作日、previous 提前到上一个工作日、ignore 照常安排
+    resolveOccurrences(dates, policy = 'skip') {
+        const result = [];
+        const used = new Set();
+
+        dates.forEach(date => {
+            const reason = policy === 'ignore' ? null : this.getBlackout(date);
+            if (!reason) {
+                result.push({ date });
+                used.add(date);
+                return;
+            }
+            if (policy === 'skip') return;
+
+            const shifted = this.findWorkingDay(date, policy === 'previous' ? -1 : 1);
+            // 多次活动挪到同一天时只保留一次
+            if (!shifted || used.has(shifted) || dates.includes(shifted)) return;
+
+            result.push({ date: shifted, shiftedFrom: date, shiftReason: reason });
+            used.add(shifted);
+        });
+
+        return result.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // 解析文本列表，每行一个日期或日期段，后面可跟名称：
+    // 2024-10-01 国庆节 / 2024-10-01~2024-10-07 国庆节 / 2024-10-01,国庆节
+    static parseList(text) {
+        const ranges = [];
+        const errors = [];
+        const pattern = /^(\d{4}-\d{2}-\d{2})(?:\s*(?:~|至|到)\s*(\d{4}-\d{2}-\d{2}))?(?:[\s,，]+(.*))?$/;
+
+        text.split('\n').forEach((line, index) => {
+            const trimmedLine = line.trim();
+            if (!trimmedLine) return;
+
+            const match = trimmedLine.match(pattern);
+            if (!match) {
+                errors.push(`第${index + 1}行：无法识别的日期格式`);
+                return;
+            }
+
+            const start = match[1];
+            const end = match[2] || start;
+            if (start > end) {
+                errors.push(`第${index + 1}行：结束日期早于开始日期`);
+                return;
+            }
+            ranges.push({ start, end, name: (match[3] || '').trim() });
+        });
+
+        return { ranges, errors };
+    }
+
+    // 解析 iCalendar 文件中的 VEVENT，全天事件的 DTEND 不包含在内
+    static parseICS(text) {
+        const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+        const ranges = [];
+        let event = null;
+
+        const toDate = value => {
+            const digits = value.match(/^(\d{4})(\d{2})(\d{2})/);
+            return digits ? `${digits[1]}-${digits[2]}-${digits[3]}` : null;
+        };
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT' && event) {
+                if (event.start) {
+                    let end = event.start;
+                    if (event.end) {
+                        end = event.endIsDate ? DateUtils.addDays(event.end, -1) : event.end;
+                    }
+                    ranges.push({ start: event.start, end: end < event.start ? event.start : end, name: event.name || '' });
+                }
+                event = null;
+            } else if (event) {
+                const separator = line.indexOf(':');
+                if (separator === -1) return;
+                const name = line.slice(0, separator).split(';')[0].toUpperCase();
+                const value = line.slice(separator + 1);
+
+                if (name === 'DTSTART') {
+                    event.start = toDate(value);
+                } else if (name === 'DTEND') {
+                    event.end = toDate(value);
+                    event.endIsDate = !value.includes('T');
+                } else if (name === 'SUMMARY') {
+                    event.name = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+                }
+            }
+        });
+
+        return ranges;
+    }
+}
+
+// ==================== 冲突检测类 ====================
+class ConflictChecker {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    get rules() {
+        return {
+            ...this.dataManager.getDefaultSettings().conflictRules,
+            ...this.dataManager.settings.conflictRules
+        };
+    }
+
+    // 检查某条排班（可以是尚未保存的候选排班）与 schedules 中其他排班的冲突，返回冲突描述列表
+    check(candidate, schedules = this.dataManager.schedules) {
+        const rules = this.rules;
+        const conflicts = [];
+        // 已取消的排班不占用成员
+        if (candidate.status === 'cancelled') return conflicts;
+        schedules = schedules.filter(s => s.status !== 'cancelled');
+        const others = schedules.filter(s =>
+            s.memberId === candidate.memberId && s !== candidate && (!candidate.id || s.id !== candidate.id)
+        );
+
+        // 同一次活动的多个岗位不能由同一个人担任，不受冲突规则开关影响
+        others.filter(s => s.date === candidate.date && s.activityId === candidate.activityId).forEach(s => {
+            conflicts.push(`${candidate.date} 已在本次${s.activityName}中担任${s.slotLabel || '其他岗位'}`);
+        });
+
+        if (rules.sameDay) {
+            others.filter(s => s.date === candidate.date && s.activityId !== candidate.activityId).forEach(s => {
+                conflicts.push(`${candidate.date} 同一天还负责${s.activityName}`);
+            });
+        }
+
+        if (rules.minGapDays > 0) {
+            others.forEach(s => {
+                const gap = Math.abs(DateUtils.daysBetween(s.date, candidate.date));
+                if (gap > 0 && gap < rules.minGapDays) {
+                    conflicts.push(`与 ${s.date} 的${s.activityName}间隔 ${gap} 天，少于 ${rules.minGapDays} 天`);
+                }
+            });
+        }
+
+        if (rules.noConsecutive) {
+            const neighbours = this.findNeighbourOccurrences(candidate, schedules);
+            neighbours.filter(s => s.memberId === candidate.memberId).forEach(s => {
+                conflicts.push(`连续两次负责${s.activityName}（${s.date}）`);
+            });
+        }
+
+        if (rules.maxPerWeek > 0) {
+            const weekStart = DateUtils.weekStart(candidate.date);
+            const count = others.filter(s => DateUtils.weekStart(s.date) === weekStart).length + 1;
+            if (count > rules.maxPerWeek) {
+                conflicts.push(`${weekStart} 所在周共负责 ${count} 次，超过每周 ${rules.maxPerWeek} 次`);
+            }
+        }
+
+        return conflicts;
+    }
+
+    // 同一活动中紧邻候选日期的前一次和后一次的所有排班（多岗位时每次有多条）
+    findNeighbourOccurrences(candidate, schedules) {
+        let previousDate = null;
+        let nextDate = null;
+        const sameActivity = schedules.filter(s =>
+            s !== candidate && (!candidate.id || s.id !== candidate.id) && s.activityId === candidate.activityId
+        );
+
+        sameActivity.forEach(s => {
+            if (s.date < candidate.date && (!previousDate || s.date > previousDate)) {
+                previousDate = s.date;
+            } else if (s.date > candidate.date && (!nextDate || s.date < nextDate)) {
+                nextDate = s.date;
+            }
+        });
+
+        return sameActivity.filter(s => s.date === previousDate || s.date === nextDate);
+    }
+
+    // 检查所有排班，返回 排班id -> 冲突描述列表
+    findAllConflicts(schedules = this.dataManager.schedules) {
+        const result = new Map();
+        schedules.forEach(schedule => {
+            const conflicts = this.check(schedule, schedules);
+            if (conflicts.length > 0) {
+                result.set(schedule.id, conflicts);
+            }
+        });
+        return result;
+    }
+}
+
+// ==================== 随机数类 ====================
+// 可设定种子的伪随机数生成器（mulberry32），相同的种子得到相同的序列
+class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hash(String(seed));
+    }
+
+    // 把任意字符串种子转换为 32 位整数
+    static hash(text) {
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+        }
+        return h >>> 0;
+    }
+
+    static createSeed() {
+        return Math.floor(Math.random() * 1000000).toString();
+    }
+
+    // 返回 [0, 1) 之间的数
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// ==================== 排班算法类 ====================
+// 约束优化算法的硬约束，无法满足时该岗位不安排并说明原因
+const HARD_CONSTRAINT_NAMES = {
+    eligibility: '活动资格',
+    unavailable: '请假',
+    occurrence: '同一次活动不重复',
+    minGap: '个人最小间隔',
+    maxPerMonth: '每月上限'
+};
+
+class ScheduleGenerator {
+    constructor(dataManager, conflictChecker, holidayCalendar) {
+        this.dataManager = dataManager;
+        this.conflictChecker = conflictChecker;
+        this.holidayCalendar = holidayCalendar;
+        this.warnings = [];
+        // 约束优化算法中无法安排的岗位及各成员违反的硬约束
+        this.infeasible = [];
+        // 已有排班加上本次已生成的排班，用于冲突检测
+        this.pool = [];
+        this.loads = new Map();
+        this.seed = '';
+        this.random = new SeededRandom(this.seed);
+    }
+
+    // 生成并直接保存，等同于 commit(plan(...))
+    generate(startDate, endDate, mode = 'replace', seed = this.dataManager.settings.randomSeed) {
+        return this.commit(this.plan(startDate, endDate, mode, seed));
+    }
+
+    // 计算排班方案但不修改任何数据，返回 { schedules, kept, removed, seed, warnings, infeasible, ... }。
+    // mode 为 'fill' 时只补充没有排班的日期，保留全部已有排班；
+    // 为 'replace' 时去掉范围内今天及以后未锁定、未记录出勤状态的排班后重新生成。
+    // 两种模式都从保留下来的排班中延续轮换顺序和参与次数；相同的种子和数据得到相同的方案
+    plan(startDate, endDate, mode = 'replace', seed = this.dataManager.settings.randomSeed) {
+        const activities = this.dataManager.activities;
+        const algorithm = this.dataManager.settings.algorithm;
+
+        if (this.dataManager.getActiveMembers().length === 0) {
+            throw new Error('没有活跃的成员，无法生成排班');
+        }
+
+        if (activities.length === 0) {
+            throw new Error('没有活动，无法生成排班');
+        }
+
+        this.warnings = [];
+        this.infeasible = [];
+        this.seed = seed === undefined || seed === null || seed === '' ? SeededRandom.createSeed() : seed;
+        this.random = new SeededRandom(this.seed);
+
+        const kept = mode === 'replace'
+            ? this.dataManager.schedules.filter(s =>
+                !this.dataManager.isReplaceable(s, DateUtils.format(startDate), DateUtils.format(endDate)))
+            : [...this.dataManager.schedules];
+        const removed = this.dataManager.schedules.filter(s => !kept.includes(s));
+
+        // 使用成员副本，参与次数以保留下来的排班为准，规划过程不影响实际数据
+        const members = this.dataManager.getActiveMembers().map(member => ({
+            ...member,
+            participationCount: kept.filter(s => s.memberId === member.id).length
+        }));
+
+        const schedules = [];
+        this.pool = [...kept];
+        // 均衡分配按实际完成的历史加上待进行的排班计算负担
+        this.loads = new Map(members.map(m => [m.id, this.dataManager.getMemberLoad(m.id, kept)]));
+
+        if (algorithm === 'optimized') {
+            schedules.push(...this.generateOptimized(activities, members, startDate, endDate));
+        } else {
+            activities.forEach(activity => {
+                const existingSchedules = kept.filter(s => s.activityId === activity.id);
+                const activitySchedules = this.generateActivitySchedules(
+                    activity,
+                    members,
+                    startDate,
+                    endDate,
+                    algorithm,
+                    existingSchedules
+                );
+                schedules.push(...activitySchedules);
+            });
+        }
+
+        return {
+            startDate: DateUtils.format(startDate),
+            endDate: DateUtils.format(endDate),
+            mode,
+            algorithm,
+            seed: this.seed,
+            schedules,
+            kept,
+            removed,
+            warnings: this.warnings,
+            infeasible: this.infeasible
+        };
+    }
+
+    // 保存 plan() 得到的方案，并记住所用的种子以便重现
+    commit(plan) {
+        this.dataManager.changeLog.describe(`生成排班：${plan.startDate} 至 ${plan.endDate}`);
+        this.dataManager.batch(() => {
+            if (plan.mode === 'replace') {
+                this.dataManager.clearUnlockedSchedules(plan.startDate, plan.endDate);
+            }
+
+            plan.schedules.forEach(schedule => {
+                this.dataManager.addSchedule(schedule);
+            });
+
+            this.dataManager.updateSettings({ lastSeed: plan.seed });
+            this.dataManager.recalculateParticipation();
+        });
+
+        return plan.schedules;
+    }
+
+    generateActivitySchedules(activity, members, startDate, endDate, algorithm, existingSchedules = []) {
+        const schedules = [];
+        const slots = this.dataManager.getSlots(activity);
+        // 已有排班占用的岗位，键为 日期#岗位序号
+        const occupiedSlots = new Set(existingSchedules.map(s => `${s.date}#${s.slot || 0}`));
+
+        // 每个成员最近一次负责该活动的日期，用于延续上次的轮换顺序
+        const lastDates = new Map();
+        existingSchedules.forEach(s => {
+            if (!lastDates.has(s.memberId) || s.date > lastDates.get(s.memberId)) {
+                lastDates.set(s.memberId, s.date);
+            }
+        });
+
+        const occurrences = this.holidayCalendar.resolveOccurrences(
+            RecurrenceRule.getOccurrences(activity, DateUtils.format(startDate), DateUtils.format(endDate)),
+            activity.blackoutPolicy
+        );
+        // 轮换队列：从未负责过的成员在前，其余按上次负责日期先后排列，刚负责过的成员移到队尾
+        const queue = [...members].sort((a, b) => {
+            const lastA = lastDates.get(a.id) || '';
+            const lastB = lastDates.get(b.id) || '';
+            if (lastA !== lastB) return lastA.localeCompare(lastB);
+            return a.participationCount - b.participationCount;
+        });
+        // 本次生成中各成员在该活动的轮值次数，因请假少轮的成员回来后优先补上
+        const turns = new Map(members.map(m => [m.id, 0]));
+        // 各成员在每个岗位上的次数，轮值次数相同时优先安排较少担任该岗位的成员，使主讲和备份也轮换
+        const slotTurns = new Map();
+        const getSlotTurns = (member, slot) => slotTurns.get(`${member.id}#${slot}`) || 0;
+        // 随机分配使用"洗牌袋"：每轮打乱一次，本轮未抽到的成员留到后续日期
+        let bag = [];
+
+        occurrences.forEach(({ date, shiftedFrom, shiftReason }) => {
+            // 同一次活动的各个岗位不安排同一个人
+            const assigned = new Set(this.pool
+                .filter(s => s.activityId === activity.id && s.date === date)
+                .map(s => s.memberId));
+
+            slots.forEach((slotLabel, slot) => {
+                if (occupiedSlots.has(`${date}#${slot}`)) return;
+
+                const slotName = slotLabel ? `${activity.name}（${slotLabel}）` : activity.name;
+                const eligible = queue.filter(m =>
+                    !assigned.has(m.id) && this.dataManager.isMemberEligible(m, activity, date)
+                );
+                const available = eligible.filter(m => this.dataManager.isMemberAvailable(m, date));
+                let assignedMember = null;
+
+                if (eligible.length === 0) {
+                    this.warnings.push(`${date} ${slotName}：没有符合资格的成员，已跳过`);
+                    return;
+                }
+                if (available.length === 0) {
+                    this.warnings.push(`${date} ${slotName}：所有成员均不可用，已跳过`);
+                    return;
+                }
+
+                // 优先从没有冲突的成员中选择，全部冲突时退回到可用成员并提示
+                let candidates = available.filter(m => this.conflictChecker.check(
+                    { memberId: m.id, activityId: activity.id, date: date },
+                    this.pool
+                ).length === 0);
+                if (candidates.length === 0) {
+                    candidates = available;
+                    this.warnings.push(`${date} ${slotName}：所有可用成员都存在冲突，已按算法选择`);
+                }
+
+                switch (algorithm) {
+                    case 'rotation':
+                        assignedMember = candidates.reduce((min, m) =>
+                            turns.get(m.id) < turns.get(min.id) ||
+                            (turns.get(m.id) === turns.get(min.id) && getSlotTurns(m, slot) < getSlotTurns(min, slot))
+                                ? m : min
+                        );
+                        break;
+
+                    case 'random':
+                        if (!bag.some(m => candidates.includes(m))) {
+                            bag = bag.concat(this.shuffle(members));
+                        }
+                        assignedMember = bag.find(m => candidates.includes(m));
+                        bag.splice(bag.indexOf(assignedMember), 1);
+                        break;
+
+                    case 'balanced':
+                        // 选择可用成员中负担最少的，相同时按队列顺序
+                        assignedMember = candidates.reduce((min, m) =>
+                            this.loads.get(m.id) < this.loads.get(min.id) ? m : min
+                        );
+                        break;
+
+                    default:
+                        assignedMember = candidates[0];
+                }
+
+                queue.splice(queue.indexOf(assignedMember), 1);
+                queue.push(assignedMember);
+                turns.set(assignedMember.id, turns.get(assignedMember.id) + 1);
+                slotTurns.set(`${assignedMember.id}#${slot}`, getSlotTurns(assignedMember, slot) + 1);
+                assigned.add(assignedMember.id);
+
+                const schedule = this.buildSchedule(activity, assignedMember, {
+                    date, shiftedFrom, shiftReason, slot, slotLabel, slotCount: slots.length
+                });
+                schedules.push(schedule);
+                this.pool.push(schedule);
+
+                // 更新成员参与次数
+                assignedMember.participationCount++;
+                this.loads.set(assignedMember.id, this.loads.get(assignedMember.id) + 1);
+            });
+        });
+
+        return schedules;
+    }
+
+    buildSchedule(activity, member, { date, shiftedFrom, shiftReason, slot, slotLabel, slotCount }) {
+        const schedule = {
+            activityId: activity.id,
+            activityName: activity.name,
+            memberId: member.id,
+            memberName: member.name,
+            date: date
+        };
+        if (slotCount > 1) {
+            schedule.slot = slot;
+            schedule.slotLabel = slotLabel;
+        }
+        if (shiftedFrom) {
+            schedule.shiftedFrom = shiftedFrom;
+            schedule.shiftReason = shiftReason;
+        }
+        return schedule;
+    }
+
+    // 活动在日期范围内待安排的岗位：已按节假日策略挪动，已有排班占用的岗位除外
+    getOpenSlots(activity, startDate, endDate, existingSchedules) {
+        const slots = this.dataManager.getSlots(activity);
+        const occupiedSlots = new Set(existingSchedules.map(s => `${s.date}#${s.slot || 0}`));
+        const occurrences = this.holidayCalendar.resolveOccurrences(
+            RecurrenceRule.getOccurrences(activity, DateUtils.format(startDate), DateUtils.format(endDate)),
+            activity.blackoutPolicy
+        );
+
+        const result = [];
+        occurrences.forEach(occurrence => {
+            slots.forEach((slotLabel, slot) => {
+                if (!occupiedSlots.has(`${occurrence.date}#${slot}`)) {
+                    result.push({ ...occurrence, activity, slot, slotLabel, slotCount: slots.length });
+                }
+            });
+        });
+        return result;
+    }
+
+    // ==================== 约束优化 ====================
+    // 所有活动的待安排岗位按日期统一分配。硬约束（资格、请假、同一次活动不重复、
+    // 个人最小间隔、每月上限）必须满足；在此基础上使 Σ 负担² / 权重 最小，
+    // 负担因此与权重成正比，同时尽量满足星期偏好并避开冲突规则。
+    // 先按代价贪心分配，再逐条尝试改派以进一步降低总代价
+    generateOptimized(activities, members, startDate, endDate) {
+        const openSlots = [];
+        activities.forEach(activity => {
+            const existingSchedules = this.pool.filter(s => s.activityId === activity.id);
+            openSlots.push(...this.getOpenSlots(activity, startDate, endDate, existingSchedules));
+        });
+        openSlots.sort((a, b) => a.date.localeCompare(b.date) || a.slot - b.slot);
+
+        // 代价相同时优先安排最久没有负责的成员
+        const lastDates = new Map();
+        this.pool.forEach(s => {
+            if (!lastDates.has(s.memberId) || s.date > lastDates.get(s.memberId)) {
+                lastDates.set(s.memberId, s.date);
+            }
+        });
+        const ordered = [...members].sort((a, b) =>
+            (lastDates.get(a.id) || '').localeCompare(lastDates.get(b.id) || '')
+        );
+
+        const schedules = [];
+        openSlots.forEach(open => {
+            const { activity, date } = open;
+            const violations = ordered.map(member => ({
+                member,
+                violation: this.getHardViolation(member, activity, date)
+            }));
+            const feasible = violations.filter(v => !v.violation).map(v => v.member);
+
+            if (feasible.length === 0) {
+                this.infeasible.push({
+                    date,
+                    activityName: open.slotLabel ? `${activity.name}（${open.slotLabel}）` : activity.name,
+                    reasons: violations.map(({ member, violation }) => ({ member: member.name, ...violation }))
+                });
+                return;
+            }
+
+            let best = feasible[0];
+            let bestCost = this.getAssignmentCost(best, activity, date);
+            feasible.slice(1).forEach(member => {
+                const cost = this.getAssignmentCost(member, activity, date);
+                if (cost < bestCost) {
+                    best = member;
+                    bestCost = cost;
+                }
+            });
+
+            const schedule = this.buildSchedule(activity, best, open);
+            schedules.push(schedule);
+            this.pool.push(schedule);
+            this.loads.set(best.id, this.loads.get(best.id) + 1);
+            best.participationCount++;
+        });
+
+        this.improveAssignments(schedules, ordered);
+
+        if (this.infeasible.length > 0) {
+            this.warnings.push(`${this.infeasible.length} 个岗位因硬约束无法安排`);
+        }
+        return schedules;
+    }
+
+    // 成员负责该岗位时违反的第一条硬约束，返回 { type, text }，都满足时返回 null；
+    // ignore 为改派时正在调整的那条排班，检查时不计入
+    getHardViolation(member, activity, date, ignore = null) {
+        const issues = this.dataManager.getEligibilityIssues(member, activity, date);
+        if (issues.length > 0) {
+            return { type: 'eligibility', text: `不符合资格（${issues.join('；')}）` };
+        }
+        if (!this.dataManager.isMemberAvailable(member, date)) {
+            return { type: 'unavailable', text: '请假' };
+        }
+
+        const own = this.pool.filter(s => s !== ignore && s.memberId === member.id && s.status !== 'cancelled');
+        if (own.some(s => s.activityId === activity.id && s.date === date)) {
+            return { type: 'occurrence', text: '已在本次活动中担任其他岗位' };
+        }
+
+        if (member.minGapDays > 0) {
+            const near = own.find(s => Math.abs(DateUtils.daysBetween(s.date, date)) < member.minGapDays);
+            if (near) {
+                return { type: 'minGap', text: `与 ${near.date} 的${near.activityName}间隔不足 ${member.minGapDays} 天` };
+            }
+        }
+
+        if (member.maxPerMonth > 0) {
+            const month = date.substring(0, 7);
+            const count = own.filter(s => s.date.startsWith(month)).length;
+            if (count >= member.maxPerMonth) {
+                return { type: 'maxPerMonth', text: `${month} 已安排 ${count} 次，达到每月上限 ${member.maxPerMonth} 次` };
+            }
+        }
+
+        return null;
+    }
+
+    // 把岗位安排给成员增加的代价：负担增量 (2×负担+1)/权重，喜欢的星期减 1，
+    // 不想要的星期加 3，每条冲突规则加 10；ignore 同 getHardViolation
+    getAssignmentCost(member, activity, date, ignore = null) {
+        const load = this.loads.get(member.id) - (ignore && ignore.memberId === member.id ? 1 : 0);
+        const weight = member.weight > 0 ? member.weight : 1;
+        let cost = (2 * load + 1) / weight;
+
+        const weekday = DateUtils.weekday(date);
+        if ((member.preferredWeekdays || []).includes(weekday)) cost -= 1;
+        if ((member.dislikedWeekdays || []).includes(weekday)) cost += 3;
+
+        const pool = ignore ? this.pool.filter(s => s !== ignore) : this.pool;
+        cost += 10 * this.conflictChecker.check(
+            { memberId: member.id, activityId: activity.id, date: date },
+            pool
+        ).length;
+
+        return cost;
+    }
+
+    // 逐条尝试把本次生成的排班改派给其他成员，不违反硬约束且总代价下降时采用
+    improveAssignments(schedules, members) {
+        for (let round = 0; round < 3; round++) {
+            let improved = false;
+
+            schedules.forEach(schedule => {
+                const activity = this.dataManager.activities.find(a => a.id === schedule.activityId);
+                const current = members.find(m => m.id === schedule.memberId);
+                let best = null;
+                let bestCost = this.getAssignmentCost(current, activity, schedule.date, schedule) - 1e-9;
+
+                members.forEach(member => {
+                    if (member === current || this.getHardViolation(member, activity, schedule.date, schedule)) return;
+                    const cost = this.getAssignmentCost(member, activity, schedule.date, schedule);
+                    if (cost < bestCost) {
+                        best = member;
+                        bestCost = cost;
+                    }
+                });
+
+                if (best) {
+                    this.loads.set(current.id, this.loads.get(current.id) - 1);
+                    this.loads.set(best.id, this.loads.get(best.id) + 1);
+                    current.participationCount--;
+                    best.participationCount++;
+                    schedule.memberId = best.id;
+                    schedule.memberName = best.name;
+                    improved = true;
+                }
+            });
+
+            if (!improved) break;
+        }
+    }
+
+    shuffle(list) {
+        const result = [...list];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+// ==================== 换班管理类 ====================
+// 换班申请分两种：swap 两个成员互换各自的一次排班，cover 由对方代替负责一次排班。
+// 申请在对方接受前保持 pending，接受后在相关排班上记录变更历史
+class SwapManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    findSchedule(id) {
+        return this.dataManager.schedules.find(s => s.id === id);
+    }
+
+    createRequest({ type, scheduleId, counterpartId, targetScheduleId, note }) {
+        const schedule = this.findSchedule(scheduleId);
+        const counterpart = this.dataManager.members.find(m => m.id === counterpartId);
+
+        if (!schedule) {
+            throw new Error('未找到要换班的排班');
+        }
+        if (!counterpart || counterpart.id === schedule.memberId) {
+            throw new Error('请选择另一位成员');
+        }
+        if (this.getPendingRequestFor(scheduleId) || (targetScheduleId && this.getPendingRequestFor(targetScheduleId))) {
+            throw new Error('该排班已有待处理的换班申请');
+        }
+
+        if (type === 'swap') {
+            const target = this.findSchedule(targetScheduleId);
+            if (!target || target.memberId !== counterpart.id) {
+                throw new Error('请选择对方要交换的排班');
+            }
+        }
+
+        return this.dataManager.addSwapRequest({
+            type,
+            scheduleId,
+            targetScheduleId: type === 'swap' ? targetScheduleId : null,
+            requesterId: schedule.memberId,
+            requesterName: schedule.memberName,
+            counterpartId: counterpart.id,
+            counterpartName: counterpart.name,
+            note: note || ''
+        });
+    }
+
+    getPendingRequestFor(scheduleId) {
+        return this.dataManager.getPendingSwapRequests().find(r =>
+            r.scheduleId === scheduleId || r.targetScheduleId === scheduleId
+        );
+    }
+
+    // 接受后实际变更的排班列表：[{ schedule, memberId }]，用于接受前的冲突检查
+    getResultingAssignments(request) {
+        const schedule = this.findSchedule(request.scheduleId);
+        const assignments = [{ schedule, memberId: request.counterpartId }];
+        if (request.type === 'swap') {
+            assignments.push({ schedule: this.findSchedule(request.targetScheduleId), memberId: request.requesterId });
+        }
+        return assignments;
+    }
+
+    accept(id) {
+        const request = this.dataManager.swapRequests.find(r => r.id === id);
+        if (!request || request.status !== 'pending') {
+            throw new Error('该申请已处理');
+        }
+
+        const schedule = this.findSchedule(request.scheduleId);
+        const target = request.type === 'swap' ? this.findSchedule(request.targetScheduleId) : null;
+        // 申请期间排班可能已被修改或删除
+        if (!schedule || schedule.memberId !== request.requesterId ||
+            (request.type === 'swap' && (!target || target.memberId !== request.counterpartId))) {
+            this.dataManager.updateSwapRequest(id, { status: 'cancelled', resolvedAt: new Date().toISOString() });
+            throw new Error('相关排班已发生变化，申请已自动取消');
+        }
+
+        // 申请期间成员可能已被删除
+        const requester = this.dataManager.members.find(m => m.id === request.requesterId);
+        const counterpart = this.dataManager.members.find(m => m.id === request.counterpartId);
+        if (!counterpart || (target && !requester)) {
+            const name = counterpart ? request.requesterName : request.counterpartName;
+            this.dataManager.updateSwapRequest(id, { status: 'cancelled', resolvedAt: new Date().toISOString() });
+            throw new Error(`成员"${name}"已被删除，申请已自动取消`);
+        }
+
+        this.dataManager.changeLog.describe(`${request.type === 'swap' ? '互换' : '代班'}：${request.requesterName} → ${request.counterpartName}`);
+        this.reassign(schedule, counterpart, request);
+        if (target) {
+            this.reassign(target, requester, request);
+        }
+
+        this.dataManager.updateSwapRequest(id, { status: 'accepted', resolvedAt: new Date().toISOString() });
+        this.dataManager.recalculateParticipation();
+    }
+
+    reject(id) {
+        this.dataManager.updateSwapRequest(id, { status: 'rejected', resolvedAt: new Date().toISOString() });
+    }
+
+    cancel(id) {
+        this.dataManager.updateSwapRequest(id, { status: 'cancelled', resolvedAt: new Date().toISOString() });
+    }
+
+    // 更换负责人并在排班上追加变更记录，首次变更时保留原负责人
+    reassign(schedule, member, request) {
+        const history = [...(schedule.history || []), {
+            type: request.type,
+            requestId: request.id,
+            fromMemberId: schedule.memberId,
+            fromMemberName: schedule.memberName,
+            toMemberId: member.id,
+            toMemberName: member.name,
+            at: new Date().toISOString()
+        }];
+
+        this.dataManager.updateSchedule(schedule.id, {
+            memberId: member.id,
+            memberName: member.name,
+            originalMemberId: schedule.originalMemberId || schedule.memberId,
+            originalMemberName: schedule.originalMemberName || schedule.memberName,
+            history: history,
+            locked: true
+        });
+    }
+
+    // 代班余额：正数表示替别人代班的次数多于被代班的次数，应在之后得到补偿
+    getCoverBalances() {
+        const balances = new Map();
+        this.dataManager.swapRequests
+            .filter(r => r.type === 'cover' && r.status === 'accepted')
+            .forEach(r => {
+                balances.set(r.counterpartId, (balances.get(r.counterpartId) || 0) + 1);
+                balances.set(r.requesterId, (balances.get(r.requesterId) || 0) - 1);
+            });
+        return balances;
+    }
+}
+
+// ==================== 日历导出类 ====================
+// 按 RFC 5545 生成 iCalendar 文件，UID 由排班 id 生成，重复导入时日历软件会更新而不是重复添加
+class ICalendarExporter {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    build(schedules, calendarName = '团队排班') {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Team Scheduling System//CN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(calendarName)}`
+        ];
+
+        [...schedules]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(schedule => lines.push(...this.buildEvent(schedule, stamp)));
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    buildEvent(schedule, stamp) {
+        const settings = this.dataManager.settings;
+        const activity = this.dataManager.activities.find(a => a.id === schedule.activityId);
+        const member = this.dataManager.members.find(m => m.id === schedule.memberId);
+        const summary = `${schedule.activityName}${schedule.slotLabel ? `（${schedule.slotLabel}）` : ''} - ${schedule.memberName}`;
+        const description = [
+            activity && activity.description,
+            `负责人：${schedule.memberName}`
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${schedule.id}@team-scheduling-system`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${schedule.date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${DateUtils.addDays(schedule.date, 1).replace(/-/g, '')}`,
+            `SUMMARY:${this.escapeText(summary)}`,
+            `DESCRIPTION:${this.escapeText(description)}`,
+            'TRANSP:TRANSPARENT'
+        ];
+
+        if (schedule.status === 'cancelled') {
+            lines.push('STATUS:CANCELLED');
+        }
+
+        if (member && member.email) {
+            lines.push(`ATTENDEE;CN=${this.escapeParam(member.name)}:mailto:${member.email}`);
+        }
+
+        // 每个提醒时间一个闹钟，相对全天事件的开始（当天零点）计算
+        if (settings.notificationEnabled) {
+            const [hours, minutes] = (settings.reminderTime || '09:00').split(':').map(n => parseInt(n) || 0);
+            this.dataManager.getReminderOffsets(activity).forEach(offset => {
+                const before = offset * 24 * 60 - hours * 60 - minutes;
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(summary)}`,
+                    `TRIGGER:${before > 0 ? '-' : ''}PT${Math.abs(before)}M`,
+                    'END:VALARM'
+                );
+            });
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // 参数值中含有特殊字符时需要加引号
+    escapeParam(value) {
+        const text = String(value).replace(/"/g, "'");
+        return /[:;,]/.test(text) ? `"${text}"` : text;
+    }
+
+    // 每行不超过 75 个字节，续行以空格开头，不拆开多字节字符
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+// ==================== 表格导入导出类 ====================
+// 不依赖第三方库读写 CSV 和 XLSX：XLSX 写出时使用不压缩的 ZIP，
+// 读取时借助浏览器的 DecompressionStream 解压 Excel 保存的 deflate 数据
+class SpreadsheetIO {
+    static toCSV(rows) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        // 带 BOM，Excel 打开时才能正确识别中文
+        return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    static toXLSX(rows, sheetName = 'Sheet1') {
+        const escapeXml = value => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const columnName = index => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        };
+        const columnCount = Math.max(...rows.map(row => row.length), 1);
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const typeNs = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+        const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) =>
+            `<c r="${columnName(c)}${r + 1}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+        ).join('')}</row>`).join('');
+        const cols = Array.from({ length: columnCount }, (_, c) =>
+            `<col min="${c + 1}" max="${c + 1}" width="18" customWidth="1"/>`
+        ).join('');
+
+        const files = {
+            '[Content_Types].xml': `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                `<Override PartName="/xl/workbook.xml" ContentType="${typeNs}.sheet.main+xml"/>` +
+                `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${typeNs}.worksheet+xml"/>` +
+                `<Override PartName="/xl/styles.xml" ContentType="${typeNs}.styles+xml"/>` +
+                '</Types>',
+            '_rels/.rels': `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>',
+            'xl/workbook.xml': `${header}<workbook xmlns="${mainNs}" xmlns:r="${relNs}">` +
+                `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>` +
+                '</Relationships>',
+            'xl/styles.xml': `${header}<styleSheet xmlns="${mainNs}">` +
+                '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+                '</styleSheet>',
+            'xl/worksheets/sheet1.xml': `${header}<worksheet xmlns="${mainNs}">` +
+                `<cols>${cols}</cols><sheetData>${sheetRows}</sheetData></worksheet>`
+        };
+
+        return SpreadsheetIO.buildZip(files);
+    }
+
+    // 读取 XLSX 第一个工作表，返回二维字符串数组
+    static async parseXLSX(buffer) {
+        const entries = SpreadsheetIO.readZipEntries(new Uint8Array(buffer));
+        const readText = async name => {
+            const entry = entries[name];
+            return entry ? new TextDecoder().decode(await SpreadsheetIO.inflateEntry(entry)) : null;
+        };
+        const parseXml = text => new DOMParser().parseFromString(text, 'application/xml');
+        const byTag = (node, tag) => [...node.getElementsByTagNameNS('*', tag)];
+
+        const sharedStringsXml = await readText('xl/sharedStrings.xml');
+        const sharedStrings = sharedStringsXml
+            ? byTag(parseXml(sharedStringsXml), 'si').map(si => byTag(si, 't').map(t => t.textContent).join(''))
+            : [];
+
+        const sheetName = entries['xl/worksheets/sheet1.xml']
+            ? 'xl/worksheets/sheet1.xml'
+            : Object.keys(entries).find(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name));
+        if (!sheetName) {
+            throw new Error('文件中没有找到工作表');
+        }
+
+        const sheet = parseXml(await readText(sheetName));
+        const columnIndex = ref => [...ref.replace(/\d+$/, '')]
+            .reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+        return byTag(sheet, 'row').map(rowNode => {
+            const row = [];
+            byTag(rowNode, 'c').forEach((cell, position) => {
+                const ref = cell.getAttribute('r');
+                const index = ref ? columnIndex(ref) : position;
+                const type = cell.getAttribute('t');
+                const valueNode = byTag(cell, 'v')[0];
+                let value = valueNode ? valueNode.textContent : '';
+
+                if (type === 's') {
+                    value = sharedStrings[parseInt(value)] || '';
+                } else if (type === 'inlineStr') {
+                    value = byTag(cell, 't').map(t => t.textContent).join('');
+                }
+                row[index] = value;
+            });
+            return Array.from(row, value => value || '');
+        });
+    }
+
+    static crc32(bytes) {
+        if (!SpreadsheetIO.crcTable) {
+            SpreadsheetIO.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = SpreadsheetIO.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // 以不压缩（store）方式打包 ZIP
+    static buildZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = typeof content === 'string' ? encoder.encode(content) : content;
+            const crc = SpreadsheetIO.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    // 通过中央目录读取 ZIP 中的文件，返回 文件名 -> { method, data }
+    static readZipEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('不是有效的 XLSX 文件');
+        }
+
+        const entries = {};
+        const count = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const decoder = new TextDecoder();
+
+        for (let i = 0; i < count; i++) {
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            entries[name] = { method, data: bytes.subarray(dataStart, dataStart + compressedSize) };
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    static async inflateEntry(entry) {
+        if (entry.method === 0) {
+            return entry.data;
+        }
+        if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+            throw new Error('当前浏览器无法解压该 XLSX 文件，请另存为 CSV 后导入');
+        }
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// 排班表与表格行之间的转换，导入时按成员姓名和活动名称匹配
+const SCHEDULE_SHEET_HEADERS = ['编号', '日期', '星期', '活动', '岗位', '负责人', '邮箱'];
+// 编号前加上 #，Excel 打开 CSV 时才会当作文字，不会把 17924362250880.05 这样的编号转成数字而丢失位数
+const SCHEDULE_ID_PREFIX = '#';
+
+class ScheduleSpreadsheet {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    buildRows(schedules) {
+        const rows = [...schedules]
+            .sort((a, b) =>
+                a.date.localeCompare(b.date) || a.activityName.localeCompare(b.activityName) || (a.slot || 0) - (b.slot || 0)
+            )
+            .map(schedule => {
+                const member = this.dataManager.members.find(m => m.id === schedule.memberId);
+                return [
+                    SCHEDULE_ID_PREFIX + schedule.id,
+                    schedule.date,
+                    `星期${WEEKDAY_NAMES[DateUtils.weekday(schedule.date)]}`,
+                    schedule.activityName,
+                    schedule.slotLabel || '',
+                    schedule.memberName,
+                    member ? member.email || '' : ''
+                ];
+            });
+        return [SCHEDULE_SHEET_HEADERS, ...rows];
+    }
+
+    // 把表格中的日期统一为 YYYY-MM-DD，支持 2024/1/5 和 Excel 的日期序列号
+    normalizeDate(value) {
+        const text = String(value).trim();
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const serial = Math.floor(parseFloat(text));
+            return DateUtils.addDays('1899-12-30', serial);
+        }
+        const match = text.match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/);
+        if (!match) return null;
+
+        const date = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+        // 排除 2 月 30 日这类不存在的日期
+        const parsed = new Date(date);
+        return !isNaN(parsed.getTime()) && DateUtils.format(parsed) === date ? date : null;
+    }
+
+    // 校验表格行，返回 { updates, creates, errors }；行号与表格中一致（表头为第1行）
+    parseRows(rows) {
+        const updates = [];
+        const creates = [];
+        const errors = [];
+
+        const header = (rows[0] || []).map(cell => String(cell).trim());
+        const column = name => header.indexOf(name);
+        const required = ['日期', '活动', '负责人'];
+        const missing = required.filter(name => column(name) === -1);
+        if (missing.length > 0) {
+            return { updates, creates, errors: [`表头缺少：${missing.join('、')}`] };
+        }
+
+        rows.slice(1).forEach((row, index) => {
+            const line = index + 2;
+            const cell = name => column(name) === -1 ? '' : String(row[column(name)] || '').trim();
+            if (row.every(value => !String(value).trim())) return;
+
+            // 早期导出的表格编号没有前缀
+            const rawId = cell('编号');
+            const id = rawId.startsWith(SCHEDULE_ID_PREFIX) ? rawId.slice(SCHEDULE_ID_PREFIX.length) : rawId;
+            const date = this.normalizeDate(cell('日期'));
+            const memberName = cell('负责人');
+            const activityName = cell('活动');
+            const member = this.dataManager.members.find(m => m.name === memberName);
+
+            if (!date) {
+                errors.push(`第${line}行：日期格式不正确（${cell('日期')}）`);
+                return;
+            }
+            if (!member) {
+                errors.push(`第${line}行：未知成员"${memberName}"`);
+                return;
+            }
+
+            const activity = this.dataManager.activities.find(a => a.name === activityName);
+            // 多岗位活动按"岗位"列确定是哪个岗位，留空时取第一个岗位
+            const slots = activity ? this.dataManager.getSlots(activity) : [];
+            const slotLabel = cell('岗位');
+            const slot = slotLabel ? slots.indexOf(slotLabel) : 0;
+
+            if (id) {
+                // 编号对不上时不按日期猜测，以免改动了日期的行覆盖另一条排班
+                const schedule = this.dataManager.schedules.find(s => s.id === id);
+                if (!schedule) {
+                    errors.push(`第${line}行：找不到编号为 ${rawId} 的排班（编号可能被表格软件改动，清空编号后按活动、日期和岗位匹配）`);
+                    return;
+                }
+                if (schedule.date !== date || schedule.memberId !== member.id) {
+                    updates.push({ id: schedule.id, date, member });
+                }
+                return;
+            }
+
+            if (!activity) {
+                errors.push(`第${line}行：未知活动"${activityName}"`);
+                return;
+            }
+            if (slot === -1) {
+                errors.push(`第${line}行：活动"${activityName}"没有岗位"${slotLabel}"`);
+                return;
+            }
+            // 没有编号时，同一活动、日期和岗位已有排班的更换负责人，否则新增
+            const existing = this.dataManager.schedules.find(s =>
+                s.activityId === activity.id && s.date === date && (s.slot || 0) === slot
+            );
+            if (existing) {
+                if (existing.memberId !== member.id) {
+                    updates.push({ id: existing.id, date, member });
+                }
+                return;
+            }
+            creates.push({ activity, date, member, slot: slots.length > 1 ? slot : null });
+        });
+
+        return { updates, creates, errors };
+    }
+}
+
+// ==================== 统计分析类 ====================
+class StatisticsCalculator {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    // 按日期范围和活动筛选参与统计的排班，只统计与生成排班时相同的计入负担的排班
+    getSchedules({ startDate, endDate, activityId } = {}) {
+        return this.dataManager.schedules.filter(s =>
+            this.dataManager.countsTowardLoad(s) &&
+            (!startDate || s.date >= startDate) &&
+            (!endDate || s.date <= endDate) &&
+            (!activityId || s.activityId === activityId)
+        );
+    }
+
+    // 汇总统计：每个成员在各活动的负担、轮值间隔、每月趋势和公平性指标
+    compute(filters = {}) {
+        const schedules = this.getSchedules(filters);
+        const activities = this.dataManager.activities.filter(a =>
+            !filters.activityId || a.id === filters.activityId
+        );
+        // 活跃成员和在范围内有排班的成员都列出，公平性只在活跃成员之间比较
+        const members = this.dataManager.members.filter(m =>
+            m.status === 'active' || schedules.some(s => s.memberId === m.id)
+        );
+
+        const rows = members.map(member => {
+            const own = schedules.filter(s => s.memberId === member.id);
+            const byActivity = {};
+            activities.forEach(a => {
+                byActivity[a.id] = own.filter(s => s.activityId === a.id).length;
+            });
+            return {
+                member,
+                byActivity,
+                total: own.length,
+                completed: own.filter(s => s.status === 'completed').length,
+                ...this.getIntervals(own)
+            };
+        });
+
+        const activeRows = rows.filter(r => r.member.status === 'active');
+        const totals = activeRows.map(r => r.total);
+        const mean = totals.length > 0 ? totals.reduce((sum, n) => sum + n, 0) / totals.length : 0;
+        // 比平均多 20% 且至少多 2 次视为超负荷
+        const threshold = Math.max(2, Math.ceil(mean * 0.2));
+        rows.forEach(row => {
+            row.deviation = row.total - mean;
+            row.overloaded = row.member.status === 'active' && row.deviation >= threshold;
+        });
+
+        const activityGaps = {};
+        activities.forEach(a => {
+            const counts = activeRows.map(r => r.byActivity[a.id]);
+            activityGaps[a.id] = counts.length > 0 ? Math.max(...counts) - Math.min(...counts) : 0;
+        });
+
+        const intervals = rows.filter(r => r.averageInterval !== null).map(r => r.averageInterval);
+
+        return {
+            schedules,
+            activities,
+            rows,
+            mean,
+            max: totals.length > 0 ? Math.max(...totals) : 0,
+            min: totals.length > 0 ? Math.min(...totals) : 0,
+            gap: totals.length > 0 ? Math.max(...totals) - Math.min(...totals) : 0,
+            activityGaps,
+            averageInterval: intervals.length > 0
+                ? intervals.reduce((sum, n) => sum + n, 0) / intervals.length
+                : null,
+            months: this.getMonthlyTrend(schedules, activities, activeRows.map(r => r.member))
+        };
+    }
+
+    // 同一成员相邻两次负责（不区分活动）之间的天数
+    getIntervals(schedules) {
+        const dates = [...new Set(schedules.map(s => s.date))].sort();
+        const gaps = [];
+        for (let i = 1; i < dates.length; i++) {
+            gaps.push(DateUtils.daysBetween(dates[i - 1], dates[i]));
+        }
+        return {
+            averageInterval: gaps.length > 0 ? gaps.reduce((sum, n) => sum + n, 0) / gaps.length : null,
+            minInterval: gaps.length > 0 ? Math.min(...gaps) : null
+        };
+    }
+
+    // 每月各活动的排班数，以及活跃成员之间当月负担的差距
+    getMonthlyTrend(schedules, activities, members) {
+        const months = [...new Set(schedules.map(s => s.date.substring(0, 7)))].sort();
+        return months.map(month => {
+            const monthSchedules = schedules.filter(s => s.date.startsWith(month));
+            const byActivity = {};
+            activities.forEach(a => {
+                byActivity[a.id] = monthSchedules.filter(s => s.activityId === a.id).length;
+            });
+            const counts = members.map(m => monthSchedules.filter(s => s.memberId === m.id).length);
+            return {
+                month,
+                total: monthSchedules.length,
+                byActivity,
+                gap: counts.length > 0 ? Math.max(...counts) - Math.min(...counts) : 0
+            };
+        });
+    }
+}
+
+// ==================== 图表绘制类 ====================
+// 直接生成 SVG 字符串，不依赖外部图表库
+class SvgChart {
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // 刻度最大值取整到 1、2、5 的倍数，保证网格线是整数
+    static niceMax(value) {
+        if (value <= 5) return Math.max(1, Math.ceil(value));
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(n => n * magnitude >= value / 5) * magnitude;
+        return Math.ceil(value / step) * step;
+    }
+
+    // 水平堆叠条形图，items: [{ label, values: [n...] }]，series: [{ name, color }]
+    static stackedBars(items, series, { marker = null } = {}) {
+        const labelWidth = 90;
+        const chartWidth = 460;
+        const rowHeight = 26;
+        const height = items.length * rowHeight + 30;
+        const max = this.niceMax(Math.max(1, ...items.map(item => item.values.reduce((a, b) => a + b, 0))));
+        const scale = chartWidth / max;
+
+        let svg = `<svg class="chart" viewBox="0 0 ${labelWidth + chartWidth + 40} ${height}" role="img">`;
+        for (let i = 0; i <= 5; i++) {
+            const value = max / 5 * i;
+            const x = labelWidth + value * scale;
+            svg += `<line x1="${x}" y1="0" x2="${x}" y2="${height - 20}" class="chart-grid"/>`;
+            svg += `<text x="${x}" y="${height - 5}" class="chart-axis" text-anchor="middle">${Math.round(value * 10) / 10}</text>`;
+        }
+        items.forEach((item, row) => {
+            const y = row * rowHeight + 4;
+            let x = labelWidth;
+            svg += `<text x="${labelWidth - 8}" y="${y + 14}" class="chart-label" text-anchor="end">${this.escape(item.label)}</text>`;
+            item.values.forEach((value, index) => {
+                if (value === 0) return;
+                svg += `<rect x="${x}" y="${y}" width="${value * scale}" height="${rowHeight - 8}" fill="${series[index].color}"><title>${this.escape(`${item.label} · ${series[index].name}：${value}`)}</title></rect>`;
+                x += value * scale;
+            });
+            const total = item.values.reduce((a, b) => a + b, 0);
+            svg += `<text x="${x + 4}" y="${y + 14}" class="chart-value">${total}</text>`;
+        });
+        if (marker !== null) {
+            const x = labelWidth + marker * scale;
+            svg += `<line x1="${x}" y1="0" x2="${x}" y2="${height - 20}" class="chart-marker"><title>平均 ${Math.round(marker * 10) / 10}</title></line>`;
+        }
+        return svg + '</svg>';
+    }
+
+    // 垂直堆叠柱状图，可叠加一条折线，line: { name, values: [n...] }
+    static stackedColumns(items, series, line = null) {
+        const left = 30;
+        const width = 560;
+        const height = 220;
+        const plotHeight = height - 40;
+        const columnWidth = width / Math.max(1, items.length);
+        const totals = items.map(item => item.values.reduce((a, b) => a + b, 0));
+        const max = this.niceMax(Math.max(1, ...totals, ...(line ? line.values : [])));
+        const scale = plotHeight / max;
+
+        let svg = `<svg class="chart" viewBox="0 0 ${left + width + 10} ${height}" role="img">`;
+        for (let i = 0; i <= 4; i++) {
+            const value = max / 4 * i;
+            const y = plotHeight - value * scale + 10;
+            svg += `<line x1="${left}" y1="${y}" x2="${left + width}" y2="${y}" class="chart-grid"/>`;
+            svg += `<text x="${left - 6}" y="${y + 4}" class="chart-axis" text-anchor="end">${Math.round(value * 10) / 10}</text>`;
+        }
+        items.forEach((item, column) => {
+            const x = left + column * columnWidth + columnWidth * 0.15;
+            let y = plotHeight + 10;
+            item.values.forEach((value, index) => {
+                if (value === 0) return;
+                y -= value * scale;
+                svg += `<rect x="${x}" y="${y}" width="${columnWidth * 0.7}" height="${value * scale}" fill="${series[index].color}"><title>${this.escape(`${item.label} · ${series[index].name}：${value}`)}</title></rect>`;
+            });
+            svg += `<text x="${x + columnWidth * 0.35}" y="${height - 12}" class="chart-axis" text-anchor="middle">${this.escape(item.label)}</text>`;
+        });
+        if (line && items.length > 0) {
+            const points = line.values.map((value, column) =>
+                `${left + (column + 0.5) * columnWidth},${plotHeight - value * scale + 10}`
+            );
+            svg += `<polyline points="${points.join(' ')}" class="chart-line"/>`;
+            points.forEach((point, column) => {
+                const [cx, cy] = point.split(',');
+                svg += `<circle cx="${cx}" cy="${cy}" r="3" class="chart-dot"><title>${this.escape(`${items[column].label} ${line.name}：${line.values[column]}`)}</title></circle>`;
+            });
+        }
+        return svg + '</svg>';
+    }
+
+    static legend(series) {
+        return `
+            <div class="chart-legend">
+                ${series.map(item => `
+                    <span><i style="background: ${item.color};"></i>${this.escape(item.name)}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// ==================== 邮件提醒类 ====================
+// 邮件模板中可用的占位符
+const EMAIL_PLACEHOLDERS = ['姓名', '日期', '星期', '活动', '岗位', '说明', '团队'];
+
+// 按模板生成提醒邮件，通过 HTTP 中继发送或生成 .eml 文件、mailto 链接，并在排班上记录每次发送
+class EmailReminder {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    get settings() {
+        return {
+            ...this.dataManager.getDefaultSettings().email,
+            ...this.dataManager.settings.email
+        };
+    }
+
+    hasRelay() {
+        return !!this.settings.relayUrl.trim();
+    }
+
+    fillTemplate(template, schedule) {
+        const activity = this.dataManager.activities.find(a => a.id === schedule.activityId);
+        const values = {
+            姓名: schedule.memberName,
+            日期: schedule.date,
+            星期: WEEKDAY_NAMES[DateUtils.weekday(schedule.date)],
+            活动: schedule.activityName,
+            岗位: schedule.slotLabel ? `（${schedule.slotLabel}）` : '',
+            说明: (activity && activity.description) || '',
+            团队: this.dataManager.getCurrentTeam().name
+        };
+        return template.replace(new RegExp(`\\{(${EMAIL_PLACEHOLDERS.join('|')})\\}`, 'g'), (match, key) => values[key]);
+    }
+
+    compose(schedule) {
+        const settings = this.settings;
+        const member = this.dataManager.members.find(m => m.id === schedule.memberId);
+        return {
+            schedule,
+            to: member && member.email ? member.email.trim() : '',
+            subject: this.fillTemplate(settings.subject, schedule),
+            body: this.fillTemplate(settings.body, schedule)
+        };
+    }
+
+    // 日期范围内需要提醒的排班，已取消的不提醒；includeSent 为 false 时排除已成功发送过的
+    getSchedules(startDate, endDate, includeSent = false) {
+        return this.dataManager.schedules
+            .filter(s =>
+                s.date >= startDate && s.date <= endDate && s.status !== 'cancelled' &&
+                (includeSent || !this.wasSent(s))
+            )
+            .sort((a, b) => a.date.localeCompare(b.date) || a.activityName.localeCompare(b.activityName));
+    }
+
+    wasSent(schedule) {
+        return (schedule.emailLog || []).some(entry => entry.status === 'sent');
+    }
+
+    getLastLog(schedule) {
+        const log = schedule.emailLog || [];
+        return log[log.length - 1] || null;
+    }
+
+    // 在排班上追加发送记录；发送记录不是用户的修改，不计入变更记录
+    record(schedule, entry) {
+        schedule.emailLog = [...(schedule.emailLog || []), { at: new Date().toISOString(), ...entry }];
+        this.dataManager.changeLog.untracked(() => {
+            this.dataManager.saveData('schedules', this.dataManager.schedules);
+        });
+    }
+
+    // 通过中继发送一封邮件，中继接收 JSON：{ from, to, subject, text }，返回 2xx 表示成功
+    async sendViaRelay(message) {
+        const settings = this.settings;
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.relayToken) {
+            headers.Authorization = `Bearer ${settings.relayToken}`;
+        }
+        const response = await fetch(settings.relayUrl.trim(), {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({
+                from: settings.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.body
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`中继返回 ${response.status}`);
+        }
+    }
+
+    // 逐条发送并记录结果，返回 { sent, failed: [{ message, error }], skipped }；没有邮箱的成员跳过
+    async sendAll(schedules) {
+        if (!this.hasRelay()) {
+            throw new Error('尚未配置邮件中继地址');
+        }
+        const result = { sent: 0, failed: [], skipped: 0 };
+        for (const schedule of schedules) {
+            const message = this.compose(schedule);
+            if (!message.to) {
+                result.skipped++;
+                continue;
+            }
+            try {
+                await this.sendViaRelay(message);
+                this.record(schedule, { method: 'relay', to: message.to, status: 'sent' });
+                result.sent++;
+            } catch (error) {
+                this.record(schedule, { method: 'relay', to: message.to, status: 'failed', error: error.message });
+                result.failed.push({ message, error: error.message });
+            }
+        }
+        return result;
+    }
+
+    // 生成 .eml 文件或 mailto 链接后记录为"已生成"，实际是否发出由用户在邮件客户端中完成
+    markGenerated(messages, method) {
+        messages.forEach(message => {
+            this.record(message.schedule, { method, to: message.to, status: 'generated' });
+        });
+    }
+
+    toBase64(text) {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    // 生成 RFC 5322 格式的邮件草稿，X-Unsent 使 Outlook 等客户端以草稿方式打开
+    buildEml(message) {
+        const from = this.settings.from;
+        const encodeHeader = text => /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${this.toBase64(text)}?=`;
+        const body = this.toBase64(message.body.replace(/\r?\n/g, '\r\n')).match(/.{1,76}/g) || [];
+        return [
+            ...(from ? [`From: ${from}`] : []),
+            `To: ${message.to}`,
+            `Subject: ${encodeHeader(message.subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            'X-Unsent: 1',
+            '',
+            ...body
+        ].join('\r\n') + '\r\n';
+    }
+
+    buildMailto(message) {
+        return `mailto:${encodeURIComponent(message.to)}?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(message.body)}`;
+    }
+}
+
+// ==================== 群聊机器人类 ====================
+const CHAT_PLATFORMS = {
+    wecom: '企业微信',
+    dingtalk: '钉钉',
+    feishu: '飞书',
+    slack: 'Slack'
+};
+
+// 投递失败后自动重试的最多次数，第 N 次失败后等待 2^N 分钟再重试
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_LOG_LIMIT = 200;
+
+// 通过群聊机器人的 Webhook 推送近期值班汇总，并按成员的群聊账号 @ 负责人。
+// 投递记录保存在团队的 webhookLog 中，失败的会在之后的检查中重试
+class ChatWebhookNotifier {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    get webhooks() {
+        return this.dataManager.settings.webhooks || [];
+    }
+
+    // 今天起 days 天内（含）的排班，已取消的不提醒
+    getUpcomingSchedules(days) {
+        const today = DateUtils.today();
+        const end = DateUtils.addDays(today, days);
+        return this.dataManager.schedules
+            .filter(s => s.date >= today && s.date <= end && s.status !== 'cancelled')
+            .sort((a, b) => a.date.localeCompare(b.date) || a.activityName.localeCompare(b.activityName) || (a.slot || 0) - (b.slot || 0));
+    }
+
+    // 各平台 @ 成员的写法；企业微信文本消息通过 mentioned_list 提醒，正文只写姓名
+    mention(platform, schedule) {
+        const member = this.dataManager.members.find(m => m.id === schedule.memberId);
+        const chatId = member && member.chatIds ? (member.chatIds[platform] || '').trim() : '';
+        if (!chatId) return { text: schedule.memberName, chatId: '' };
+
+        const text = {
+            wecom: schedule.memberName,
+            dingtalk: `${schedule.memberName} @${chatId}`,
+            feishu: `<at user_id="${chatId}">${schedule.memberName}</at>`,
+            slack: `<@${chatId}>`
+        }[platform];
+        return { text, chatId };
+    }
+
+    buildDigestText(platform, schedules, days) {
+        const mentions = [];
+        const lines = [`📅 ${this.dataManager.getCurrentTeam().name} 值班提醒（未来 ${days} 天）`];
+        let currentDate = null;
+
+        schedules.forEach(schedule => {
+            if (schedule.date !== currentDate) {
+                currentDate = schedule.date;
+                lines.push('', `${schedule.date}（星期${WEEKDAY_NAMES[DateUtils.weekday(schedule.date)]}）`);
+            }
+            const mention = this.mention(platform, schedule);
+            if (mention.chatId && !mentions.includes(mention.chatId)) {
+                mentions.push(mention.chatId);
+            }
+            lines.push(`· ${schedule.activityName}${schedule.slotLabel ? `（${schedule.slotLabel}）` : ''}：${mention.text}`);
+        });
+
+        return { text: lines.join('\n'), mentions };
+    }
+
+    // 按平台的机器人消息格式生成请求体，mentions 为需要 @ 的群聊账号
+    buildPayload(platform, text, mentions = []) {
+        // 企业微信和钉钉都可以用手机号或用户 id 提醒
+        const mobiles = mentions.filter(id => /^\+?\d{6,15}$/.test(id));
+        const userIds = mentions.filter(id => !mobiles.includes(id));
+
+        switch (platform) {
+            case 'wecom':
+                return {
+                    msgtype: 'text',
+                    text: { content: text, mentioned_list: userIds, mentioned_mobile_list: mobiles }
+                };
+            case 'dingtalk':
+                return {
+                    msgtype: 'text',
+                    text: { content: text },
+                    at: { atMobiles: mobiles, atUserIds: userIds, isAtAll: false }
+                };
+            case 'feishu':
+                return { msg_type: 'text', content: { text } };
+            case 'slack':
+                return { text };
+            default:
+                throw new Error(`不支持的平台：${platform}`);
+        }
+    }
+
+    buildDigest(webhook, days) {
+        const schedules = this.getUpcomingSchedules(days);
+        const { text, mentions } = this.buildDigestText(webhook.platform, schedules, days);
+        return { schedules, payload: this.buildPayload(webhook.platform, text, mentions) };
+    }
+
+    async hmacBase64(key, message) {
+        const encoder = new TextEncoder();
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+        let binary = '';
+        signature.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    // 钉钉和飞书的"加签"安全设置：钉钉把签名加在地址上，飞书放在请求体中
+    async sign(webhook, payload) {
+        const secret = (webhook.secret || '').trim();
+        if (!secret) return { url: webhook.url, body: payload };
+
+        if (webhook.platform === 'dingtalk') {
+            const timestamp = Date.now();
+            const sign = await this.hmacBase64(secret, `${timestamp}\n${secret}`);
+            const separator = webhook.url.includes('?') ? '&' : '?';
+            return { url: `${webhook.url}${separator}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`, body: payload };
+        }
+        if (webhook.platform === 'feishu') {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const sign = await this.hmacBase64(`${timestamp}\n${secret}`, '');
+            return { url: webhook.url, body: { timestamp, sign, ...payload } };
+        }
+        return { url: webhook.url, body: payload };
+    }
+
+    // 发送一次请求；机器人接口返回 2xx 但 errcode/code 非 0 时也视为失败
+    async post(webhook, payload) {
+        const { url, body } = await this.sign(webhook, payload);
+        const proxyUrl = (this.dataManager.settings.webhookProxyUrl || '').trim();
+
+        let response;
+        try {
+            response = await fetch(proxyUrl || url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(proxyUrl ? { url, body } : body)
+            });
+        } catch (error) {
+            throw new Error(proxyUrl ? '无法连接转发地址' : '无法连接，可能被浏览器跨域限制拦截，可配置转发地址');
+        }
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}${text ? `：${text.slice(0, 200)}` : ''}`);
+        }
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Slack 返回纯文本 ok
+        }
+        if (data && data.errcode) {
+            throw new Error(`${data.errcode} ${data.errmsg || ''}`.trim());
+        }
+        if (data && data.code) {
+            throw new Error(`${data.code} ${data.msg || ''}`.trim());
+        }
+    }
+
+    loadLog() {
+        return this.dataManager.loadData('webhookLog') || [];
+    }
+
+    saveLog(log) {
+        this.dataManager.saveData('webhookLog', log.slice(-WEBHOOK_LOG_LIMIT));
+    }
+
+    // 记录一次投递尝试的结果
+    applyResult(entry, error) {
+        entry.lastAttemptAt = new Date().toISOString();
+        if (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            entry.nextRetryAt = entry.attempts < WEBHOOK_MAX_ATTEMPTS
+                ? new Date(Date.now() + Math.pow(2, entry.attempts) * 60 * 1000).toISOString()
+                : null;
+        } else {
+            entry.status = 'sent';
+            entry.error = '';
+            entry.nextRetryAt = null;
+        }
+    }
+
+    // 发送并写入投递记录，返回记录
+    async deliver(webhook, payload, kind, extra = {}) {
+        const entry = {
+            id: Date.now().toString() + Math.random(),
+            at: new Date().toISOString(),
+            webhookId: webhook.id,
+            webhookName: webhook.name,
+            platform: webhook.platform,
+            kind,
+            payload,
+            attempts: 1,
+            ...extra
+        };
+        try {
+            await this.post(webhook, payload);
+            this.applyResult(entry, null);
+        } catch (error) {
+            this.applyResult(entry, error);
+        }
+
+        const log = this.loadLog();
+        log.push(entry);
+        this.saveLog(log);
+        return entry;
+    }
+
+    // 没能生成消息内容的投递，写入一条没有内容、不会自动重试的失败记录
+    logFailure(webhook, kind, error, extra = {}) {
+        const entry = {
+            id: Date.now().toString() + Math.random(),
+            at: new Date().toISOString(),
+            lastAttemptAt: new Date().toISOString(),
+            webhookId: webhook.id,
+            webhookName: webhook.name,
+            platform: webhook.platform,
+            kind,
+            payload: null,
+            attempts: 1,
+            status: 'failed',
+            error: error.message,
+            nextRetryAt: null,
+            ...extra
+        };
+        const log = this.loadLog();
+        log.push(entry);
+        this.saveLog(log);
+        return entry;
+    }
+
+    abandonRetry(entryId) {
+        const log = this.loadLog().map(e => (e.id === entryId ? { ...e, nextRetryAt: null } : e));
+        this.saveLog(log);
+    }
+
+    async retry(entryId) {
+        const entry = this.loadLog().find(e => e.id === entryId);
+        if (!entry) throw new Error('找不到该投递记录');
+        if (!entry.payload) throw new Error('该记录没有可发送的内容，请检查机器人配置');
+        const webhook = this.webhooks.find(w => w.id === entry.webhookId);
+        if (!webhook) throw new Error('该机器人已被删除');
+
+        entry.attempts++;
+        try {
+            await this.post(webhook, entry.payload);
+            this.applyResult(entry, null);
+        } catch (error) {
+            this.applyResult(entry, error);
+        }
+
+        // 发送期间记录可能有新增，重新读取后替换这一条
+        const log = this.loadLog().map(e => (e.id === entry.id ? entry : e));
+        this.saveLog(log);
+        return entry;
+    }
+
+    async sendTest(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) throw new Error('找不到该机器人');
+        const text = `✅ ${this.dataManager.getCurrentTeam().name} 排班系统测试消息，收到说明机器人"${webhook.name}"配置正确`;
+        return this.deliver(webhook, this.buildPayload(webhook.platform, text), 'test');
+    }
+
+    // 每天给每个启用的机器人推送一次汇总，并重试到期的失败投递
+    async sendDigests() {
+        const days = this.dataManager.settings.notificationDays;
+        const today = DateUtils.today();
+        const now = new Date().toISOString();
+        const results = [];
+
+        // 只重试当天的汇总，过期的汇总由新的汇总代替
+        const due = this.loadLog().filter(e =>
+            e.kind === 'digest' && e.digestDate === today &&
+            e.status === 'failed' && e.nextRetryAt && e.nextRetryAt <= now
+        );
+        for (const entry of due) {
+            // 机器人已删除或停用时放弃重试，否则过期的重试时间会让重试计时器立即反复触发
+            const webhook = this.webhooks.find(w => w.id === entry.webhookId);
+            if (!webhook || !webhook.enabled) {
+                this.abandonRetry(entry.id);
+                continue;
+            }
+            try {
+                results.push(await this.retry(entry.id));
+            } catch (error) {
+                // 投递记录已被清理的不再重试
+                this.abandonRetry(entry.id);
+            }
+        }
+
+        for (const webhook of this.webhooks.filter(w => w.enabled)) {
+            const sentToday = this.loadLog().some(e =>
+                e.webhookId === webhook.id && e.kind === 'digest' && e.digestDate === today
+            );
+            if (sentToday) continue;
+
+            // 生成汇总出错（如平台配置不正确）时记为当天失败且不再重试，不影响其他机器人
+            let digest;
+            try {
+                digest = this.buildDigest(webhook, days);
+            } catch (error) {
+                results.push(this.logFailure(webhook, 'digest', error, { digestDate: today }));
+                continue;
+            }
+            if (digest.schedules.length === 0) continue;
+            results.push(await this.deliver(webhook, digest.payload, 'digest', {
+                digestDate: today,
+                scheduleIds: digest.schedules.map(s => s.id)
+            }));
+        }
+        return results;
+    }
+}
+
+// ==================== 后台提醒类 ====================
+// Service Worker 读不到 localStorage：页面把各团队待发送的提醒写入 IndexedDB，
+// 页面关闭后由 Service Worker 按时发送，已发送的记录由页面下次检查时取回写入排班的提醒记录
+const REMINDER_DB_NAME = 'team-scheduling';
+const REMINDER_DB_VERSION = 1;
+const REMINDER_SYNC_TAG = 'reminders';
+
+class ReminderQueue {
+    constructor() {
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(REMINDER_DB_NAME, REMINDER_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    // reminders：待发送的提醒；fired：Service Worker 已处理、页面还没取回的提醒
+                    request.result.createObjectStore('reminders', { keyPath: 'id' });
+                    request.result.createObjectStore('fired', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // 在一个事务中读取 store 的全部记录，交给 fn 修改，事务完成后返回 fn 的结果
+    async update(storeNames, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+            const stores = storeNames.map(name => tx.objectStore(name));
+            let result;
+            stores[0].getAll().onsuccess = (e) => {
+                result = fn(e.target.result, ...stores);
+            };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // 用页面当前计算的结果替换该团队的待发送提醒
+    replaceTeam(teamId, reminders) {
+        return this.update(['reminders'], (records, store) => {
+            records.filter(r => r.teamId === teamId).forEach(r => store.delete(r.id));
+            reminders.forEach(r => store.put({ ...r, teamId }));
+        });
+    }
+
+    // 取出并删除该团队已由 Service Worker 处理的提醒
+    takeFired(teamId) {
+        return this.update(['fired'], (records, store) => {
+            const fired = records.filter(r => r.teamId === teamId);
+            fired.forEach(r => store.delete(r.id));
+            return fired;
+        });
+    }
+
+    // 到时间的提醒移入 fired；同一次排班错过多次提醒时只发送最近的一次，返回需要发送的提醒
+    fireDue(now = new Date()) {
+        const at = now.toISOString();
+        return this.update(['reminders', 'fired'], (records, store, fired) => {
+            const groups = new Map();
+            records.filter(r => r.dueAt <= at).forEach(reminder => {
+                const key = `${reminder.teamId}:${reminder.scheduleId}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(reminder);
+            });
+
+            const send = [];
+            groups.forEach(reminders => {
+                const latest = reminders.reduce((a, b) => (a.offset <= b.offset ? a : b));
+                send.push(latest);
+                reminders.forEach(reminder => {
+                    store.delete(reminder.id);
+                    fired.put({ ...reminder, at, status: reminder === latest ? 'sent' : 'skipped' });
+                });
+            });
+            return send;
+        });
+    }
+}
+
+// ==================== 通知管理类 ====================
+class NotificationManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.emailReminder = new EmailReminder(dataManager);
+        this.chatNotifier = new ChatWebhookNotifier(dataManager);
+        this.reminderQueue = ReminderQueue.isSupported() ? new ReminderQueue() : null;
+        // 注册了 Service Worker 时通过它显示通知，手机浏览器上 new Notification 不可用
+        this.registration = null;
+        this.checkTimer = null;
+        this.retryTimer = null;
+        this.running = false;
+        this.sendingEmails = false;
+        this.sendingChats = false;
+        // 最近一次自动发送失败的原因 { channel, message, at }，以及失败时的回调，界面用来显示
+        this.lastError = null;
+        this.onError = null;
+        // 页面从后台切回或电脑从休眠中恢复时，计时器可能已经错过，重新检查一次
+        this.onVisibilityChange = () => {
+            if (this.running && !document.hidden) {
+                this.checkUpcomingSchedules();
+            }
+        };
+    }
+
+    start() {
+        this.running = true;
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        // 启动时立即检查一次，补发页面关闭期间错过的提醒
+        this.checkUpcomingSchedules();
+    }
+
+    stop() {
+        this.running = false;
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    // 排班已完成的提醒（提前天数），换人后之前的提醒不再算数
+    getLoggedOffsets(schedule) {
+        return new Set((schedule.reminderLog || [])
+            .filter(entry => !entry.memberId || entry.memberId === schedule.memberId)
+            .map(entry => entry.offset));
+    }
+
+    // 还没到活动日期、尚未提醒的排班及其各次提醒时间
+    getPendingReminders() {
+        const today = DateUtils.today();
+        const activities = new Map(this.dataManager.activities.map(a => [a.id, a]));
+        const pending = [];
+
+        this.dataManager.schedules
+            .filter(s => s.date >= today && s.status !== 'cancelled')
+            .forEach(schedule => {
+                const logged = this.getLoggedOffsets(schedule);
+                this.dataManager.getReminderOffsets(activities.get(schedule.activityId))
+                    .filter(offset => !logged.has(offset))
+                    .forEach(offset => {
+                        pending.push({ schedule, offset, dueAt: this.dataManager.getReminderDueAt(schedule.date, offset) });
+                    });
+            });
+        return pending;
+    }
+
+    async checkUpcomingSchedules() {
+        if (!this.dataManager.settings.notificationEnabled) {
+            return;
+        }
+
+        // 先取回页面关闭期间 Service Worker 已发送的提醒，避免重复提醒
+        await this.collectBackgroundReminders();
+
+        const now = new Date();
+        const due = new Map();
+        this.getPendingReminders()
+            .filter(reminder => reminder.dueAt <= now)
+            .forEach(reminder => {
+                if (!due.has(reminder.schedule)) due.set(reminder.schedule, []);
+                due.get(reminder.schedule).push(reminder);
+            });
+
+        // 页面关闭期间错过了多次提醒时只补发最近的一次，更早的记为跳过
+        due.forEach((reminders, schedule) => {
+            const latest = reminders.reduce((a, b) => (a.offset <= b.offset ? a : b));
+            this.sendNotification(schedule);
+            schedule.reminderLog = [
+                ...(schedule.reminderLog || []),
+                ...reminders.map(reminder => ({
+                    offset: reminder.offset,
+                    dueAt: reminder.dueAt.toISOString(),
+                    at: now.toISOString(),
+                    channel: 'browser',
+                    memberId: schedule.memberId,
+                    status: reminder === latest ? 'sent' : 'skipped'
+                }))
+            ];
+        });
+
+        // 通知状态不是用户的修改，不计入变更记录
+        if (due.size > 0) {
+            this.dataManager.changeLog.untracked(() => {
+                this.dataManager.saveData('schedules', this.dataManager.schedules);
+            });
+        }
+
+        // 邮件和机器人在后台发送，出错时记下原因，不影响下一次检查
+        this.sendEmailReminders().catch(error => this.reportError('邮件提醒', error));
+        this.sendChatDigests().catch(error => this.reportError('群聊机器人', error));
+        this.scheduleNextCheck();
+        this.queueBackgroundReminders();
+    }
+
+    reportError(channel, error) {
+        this.lastError = { channel, message: error.message || String(error), at: new Date().toISOString() };
+        console.log(`${channel}发送失败：`, error);
+        if (this.onError) this.onError(this.lastError);
+    }
+
+    async collectBackgroundReminders() {
+        if (!this.reminderQueue) return;
+        let fired;
+        try {
+            fired = await this.reminderQueue.takeFired(this.dataManager.currentTeamId);
+        } catch (error) {
+            console.log('读取后台提醒记录失败：', error);
+            return;
+        }
+
+        const schedules = new Map(this.dataManager.schedules.map(s => [s.id, s]));
+        fired.forEach(entry => {
+            const schedule = schedules.get(entry.scheduleId);
+            if (!schedule) return;
+            schedule.reminderLog = [...(schedule.reminderLog || []), {
+                offset: entry.offset,
+                dueAt: entry.dueAt,
+                at: entry.at,
+                channel: 'service-worker',
+                memberId: entry.memberId,
+                status: entry.status
+            }];
+        });
+        if (fired.length > 0) {
+            this.dataManager.changeLog.untracked(() => {
+                this.dataManager.saveData('schedules', this.dataManager.schedules);
+            });
+        }
+    }
+
+    // 把当前团队还没发送的提醒交给 Service Worker，页面关闭后由它发送
+    async queueBackgroundReminders() {
+        if (!this.reminderQueue) return;
+        const enabled = this.dataManager.settings.notificationEnabled;
+        const reminders = (enabled ? this.getPendingReminders() : []).map(({ schedule, offset, dueAt }) => ({
+            id: `${this.dataManager.currentTeamId}:${schedule.id}:${offset}`,
+            scheduleId: schedule.id,
+            memberId: schedule.memberId,
+            memberName: schedule.memberName,
+            activityName: schedule.activityName,
+            slotLabel: schedule.slotLabel,
+            date: schedule.date,
+            offset,
+            dueAt: dueAt.toISOString()
+        }));
+        try {
+            await this.reminderQueue.replaceTeam(this.dataManager.currentTeamId, reminders);
+        } catch (error) {
+            console.log('保存后台提醒失败：', error);
+        }
+    }
+
+    // 删除团队或关闭通知后，Service Worker 不再发送该团队的提醒
+    async clearBackgroundReminders(teamId = this.dataManager.currentTeamId) {
+        if (!this.reminderQueue) return;
+        try {
+            await this.reminderQueue.replaceTeam(teamId, []);
+        } catch (error) {
+            console.log('清除后台提醒失败：', error);
+        }
+    }
+
+    // 浏览器支持定期后台同步（如 Chrome 中安装为应用）时，页面关闭后由 Service Worker 定期检查提醒
+    async registerBackgroundSync(registration) {
+        this.registration = registration;
+        if (!('periodicSync' in registration)) return false;
+        try {
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state !== 'granted') return false;
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+            return true;
+        } catch (error) {
+            console.log('注册后台提醒失败：', error);
+            return false;
+        }
+    }
+
+    // 在下一次提醒时间再检查；最长间隔一小时，以便修改排班或设置后及时生效、邮件和群聊消息按时发送
+    scheduleNextCheck() {
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+        if (!this.running) return;
+
+        const now = Date.now();
+        const next = this.getPendingReminders()
+            .map(reminder => reminder.dueAt.getTime())
+            .filter(time => time > now)
+            .reduce((a, b) => Math.min(a, b), Infinity);
+        const delay = Math.min(next - now, 60 * 60 * 1000);
+        this.checkTimer = setTimeout(() => this.checkUpcomingSchedules(), delay);
+    }
+
+    async sendChatDigests() {
+        if (this.sendingChats || this.chatNotifier.webhooks.length === 0) {
+            return [];
+        }
+
+        // 重试计时器也会调用这里，出错时只记下原因，不向外抛出
+        this.sendingChats = true;
+        try {
+            return await this.chatNotifier.sendDigests();
+        } catch (error) {
+            this.reportError('群聊机器人', error);
+            return [];
+        } finally {
+            this.sendingChats = false;
+            this.scheduleChatRetry();
+        }
+    }
+
+    // 每天只检查一次，失败的汇总按重试时间单独安排下一次发送
+    scheduleChatRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        const today = DateUtils.today();
+        const next = this.chatNotifier.loadLog()
+            .filter(e => e.kind === 'digest' && e.digestDate === today && e.status === 'failed' && e.nextRetryAt)
+            .map(e => e.nextRetryAt)
+            .sort()[0];
+        if (next && this.running) {
+            this.retryTimer = setTimeout(() => this.sendChatDigests(), Math.max(new Date(next) - Date.now(), 0));
+        }
+    }
+
+    // 启用自动邮件提醒且配置了中继时，给提醒天数内还没收到邮件的负责人发送提醒；失败的下次检查时重试
+    async sendEmailReminders() {
+        const email = this.emailReminder.settings;
+        if (!email.enabled || !this.emailReminder.hasRelay() || this.sendingEmails) {
+            return null;
+        }
+
+        const today = DateUtils.today();
+        const schedules = this.emailReminder.getSchedules(
+            today,
+            DateUtils.addDays(today, this.dataManager.settings.notificationDays)
+        );
+        if (schedules.length === 0) return null;
+
+        this.sendingEmails = true;
+        try {
+            return await this.emailReminder.sendAll(schedules);
+        } finally {
+            this.sendingEmails = false;
+        }
+    }
+
+    // 页面和 Service Worker 共用的通知内容
+    static buildNotification(schedule) {
+        const days = DateUtils.daysBetween(DateUtils.today(), schedule.date);
+        const when = days === 0 ? '今天' : days === 1 ? '明天' : `${days}天后（${schedule.date}）`;
+        return {
+            title: '排班提醒',
+            options: {
+                body: `${schedule.memberName}，您将在${when}负责${schedule.activityName}${schedule.slotLabel ? `（${schedule.slotLabel}）` : ''}`,
+                icon: 'icons/icon.svg',
+                tag: `reminder-${schedule.scheduleId || schedule.id}`
+            }
+        };
+    }
+
+    sendNotification(schedule) {
+        const { title, options } = NotificationManager.buildNotification(schedule);
+        if ('Notification' in window && Notification.permission === 'granted') {
+            if (this.registration && this.registration.active) {
+                this.registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } else {
+            console.log(`通知: ${options.body}`);
+        }
+    }
+
+    requestPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+}
+
+// ==================== UI管理类 ====================
+class UIManager {
+    constructor(dataManager, scheduleGenerator, notificationManager, conflictChecker, holidayCalendar, swapManager) {
+        this.dataManager = dataManager;
+        this.scheduleGenerator = scheduleGenerator;
+        this.notificationManager = notificationManager;
+        this.conflictChecker = conflictChecker;
+        this.holidayCalendar = holidayCalendar;
+        this.swapManager = swapManager;
+        this.filterStartDate = null;
+        this.filterEndDate = null;
+        this.scheduleView = 'month';
+        this.calendarDate = DateUtils.today();
+        this.selectedDate = null;
+        this.dataManager.changeLog.onChange = () => this.renderHistoryControls();
+        this.dataManager.onRemoteChange = () => this.refreshAfterRestore();
+        this.notificationManager.onError = () => this.renderReminderError();
+        const backend = this.dataManager.backend;
+        if (backend instanceof ServerSyncBackend) {
+            backend.onStatusChange = () => this.renderSyncStatus();
+            backend.onConflict = (key, conflicts) => this.showSyncConflicts(key, conflicts);
+        }
+        // 生成排班时尚未保存的预览方案和对应的表单内容
+        this.pendingPlan = null;
+        this.generateOptions = null;
+        this.initializeEventListeners();
+        this.renderAll();
+    }
+
+    initializeEventListeners() {
+        // 标签页切换
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
+        });
+
+        // 排班表格筛选
+        document.getElementById('filterScheduleBtn').addEventListener('click', () => {
+            const filterDiv = document.getElementById('scheduleFilter');
+            filterDiv.style.display = filterDiv.style.display === 'none' ? 'block' : 'none';
+        });
+
+        // 团队切换
+        document.getElementById('teamSelect').addEventListener('change', (e) => this.switchTeam(e.target.value));
+
+        // 撤销和重做，输入框中保留浏览器自带的撤销
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.getElementById('changeHistoryBtn').addEventListener('click', () => this.showChangeHistory());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+            if (document.getElementById('modal').style.display === 'block') return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        document.getElementById('manageTeamsBtn').addEventListener('click', () => this.showTeamModal());
+
+        // 统计分析
+        ['statsStartDate', 'statsEndDate', 'statsActivity'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderStatistics());
+        });
+        document.getElementById('statsResetBtn').addEventListener('click', () => {
+            document.getElementById('statsStartDate').value = '';
+            document.getElementById('statsEndDate').value = '';
+            document.getElementById('statsActivity').value = '';
+            this.renderStatistics();
+        });
+
+        document.getElementById('applyFilterBtn').addEventListener('click', () => {
+            this.filterStartDate = document.getElementById('filterStartDate').value;
+            this.filterEndDate = document.getElementById('filterEndDate').value;
+            this.renderScheduleTable();
+        });
+
+        document.getElementById('clearFilterBtn').addEventListener('click', () => {
+            this.filterStartDate = null;
+            this.filterEndDate = null;
+            document.getElementById('filterStartDate').value = '';
+            document.getElementById('filterEndDate').value = '';
+            this.renderScheduleTable();
+        });
+
+        document.getElementById('generateScheduleBtn').addEventListener('click', () => this.showGenerateScheduleModal());
+
+        // 表格导入导出
+        document.getElementById('exportTableBtn').addEventListener('click', () => this.showExportTableModal());
+        document.getElementById('importTableBtn').addEventListener('click', () => {
+            document.getElementById('importTableFile').click();
+        });
+        document.getElementById('importTableFile').addEventListener('change', (e) => this.importTable(e));
+
+        // 排班视图切换
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.switchScheduleView(btn.dataset.view));
+        });
+        document.getElementById('calendarPrevBtn').addEventListener('click', () => this.moveCalendar(-1));
+        document.getElementById('calendarNextBtn').addEventListener('click', () => this.moveCalendar(1));
+        document.getElementById('calendarTodayBtn').addEventListener('click', () => {
+            this.calendarDate = DateUtils.today();
+            this.selectedDate = this.calendarDate;
+            this.renderCalendar();
+        });
+
+        // 成员管理
+        document.getElementById('addMemberBtn').addEventListener('click', () => this.showAddMemberModal());
+
+        // 活动管理
+        document.getElementById('addActivityBtn').addEventListener('click', () => this.showAddActivityModal());
+
+        // 设置
+        document.getElementById('algorithmSelect').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ algorithm: e.target.value });
+        });
+        document.getElementById('randomSeed').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ randomSeed: e.target.value.trim() });
+        });
+        document.getElementById('notificationEnabled').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ notificationEnabled: e.target.checked });
+            this.notificationManager.stop();
+            if (e.target.checked) {
+                this.notificationManager.requestPermission();
+                this.notificationManager.start();
+            } else {
+                this.notificationManager.clearBackgroundReminders();
+            }
+        });
+        document.getElementById('notificationDays').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ notificationDays: parseInt(e.target.value) });
+            this.notificationManager.scheduleNextCheck();
+        });
+        document.getElementById('reminderTime').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.dataManager.updateSettings({ reminderTime: e.target.value });
+            this.notificationManager.scheduleNextCheck();
+        });
+        ['emailEnabled', 'emailRelayUrl', 'emailRelayToken', 'emailFrom', 'emailSubject', 'emailBody'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateEmailSettings());
+        });
+        document.getElementById('sendEmailRemindersBtn').addEventListener('click', () => this.showEmailReminderModal());
+        document.getElementById('addWebhookBtn').addEventListener('click', () => this.addWebhook());
+        document.getElementById('webhookProxyUrl').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ webhookProxyUrl: e.target.value.trim() });
+        });
+        document.getElementById('webhookLogBtn').addEventListener('click', () => this.showWebhookLog());
+        document.getElementById('connectSyncBtn').addEventListener('click', () => this.connectSyncServer());
+        document.getElementById('syncNowBtn').addEventListener('click', () => this.dataManager.backend.sync());
+        document.getElementById('disconnectSyncBtn').addEventListener('click', () => this.disconnectSyncServer());
+        ['conflictSameDay', 'conflictNoConsecutive', 'conflictMinGapDays', 'conflictMaxPerWeek'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateConflictRules());
+        });
+        document.getElementById('blockWeekends').addEventListener('change', (e) => {
+            this.dataManager.updateSettings({ blockWeekends: e.target.checked });
+        });
+        document.getElementById('addBlackoutBtn').addEventListener('click', () => this.addBlackout());
+        document.getElementById('importBlackoutListBtn').addEventListener('click', () => this.importBlackoutList());
+        document.getElementById('importBlackoutFileBtn').addEventListener('click', () => {
+            document.getElementById('importBlackoutFile').click();
+        });
+        document.getElementById('importBlackoutFile').addEventListener('change', (e) => this.importBlackoutFile(e));
+        document.getElementById('exportDataBtn').addEventListener('click', () => this.exportData());
+        document.getElementById('exportCalendarBtn').addEventListener('click', () => this.showExportCalendarModal());
+        document.getElementById('importDataBtn').addEventListener('click', () => {
+            document.getElementById('importDataFile').click();
+        });
+        document.getElementById('importDataFile').addEventListener('change', (e) => this.importData(e));
+        document.getElementById('clearDataBtn').addEventListener('click', () => this.clearAllData());
+
+        // 弹窗关闭
+        document.querySelector('.close').addEventListener('click', () => this.closeModal());
+        window.addEventListener('click', (e) => {
+            if (e.target === document.getElementById('modal')) {
+                this.closeModal();
+            }
+        });
+    }
+
+    renderAll() {
+        this.renderTeamSwitcher();
+        this.renderHistoryControls();
+        this.renderSchedules();
+        this.renderMembers();
+        this.renderActivities();
+        this.renderSettings();
+    }
+
+    switchTab(tabId) {
+        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+
+        document.querySelector(`[data-tab="${tabId}"]`).classList.add('active');
+        document.getElementById(tabId).classList.add('active');
+
+        // 统计依赖所有数据，切换过来时重新计算
+        if (tabId === 'statistics') {
+            this.renderStatistics();
+        }
+    }
+
+    // ==================== 撤销和变更记录 ====================
+    renderHistoryControls() {
+        const changeLog = this.dataManager.changeLog;
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        undoBtn.disabled = !changeLog.canUndo();
+        redoBtn.disabled = !changeLog.canRedo();
+
+        const next = changeLog.entries[changeLog.position];
+        const last = changeLog.entries[changeLog.position - 1];
+        undoBtn.title = changeLog.hasPendingChanges() || !last ? '撤销（Ctrl+Z）' : `撤销：${last.description}（Ctrl+Z）`;
+        redoBtn.title = changeLog.canRedo() ? `重做：${next.description}（Ctrl+Y）` : '重做（Ctrl+Y）';
+    }
+
+    undo() {
+        if (this.dataManager.changeLog.undo()) {
+            this.refreshAfterRestore();
+        }
+    }
+
+    redo() {
+        if (this.dataManager.changeLog.redo()) {
+            this.refreshAfterRestore();
+        }
+    }
+
+    // 恢复到变更记录中的某个状态，position 为该记录之后的状态
+    restoreChange(position) {
+        this.dataManager.changeLog.restoreTo(position);
+        this.refreshAfterRestore();
+        this.showChangeHistory();
+    }
+
+    // 数据被整体替换后刷新界面，通知设置也可能随之改变
+    refreshAfterRestore() {
+        this.notificationManager.stop();
+        if (this.dataManager.settings.notificationEnabled) {
+            this.notificationManager.start();
+        }
+
+        this.renderAll();
+        if (document.getElementById('statistics').classList.contains('active')) {
+            this.renderStatistics();
+        }
+    }
+
+    showChangeHistory() {
+        const changeLog = this.dataManager.changeLog;
+        changeLog.flush();
+        const formatTime = iso => {
+            const date = new Date(iso);
+            return `${DateUtils.format(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+        };
+        const rows = changeLog.entries.map((entry, index) => ({ entry, position: index + 1 })).reverse();
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>变更记录</h2>
+            <div class="form-hint">记录当前团队最近 ${CHANGE_LOG_LIMIT} 次修改，可以恢复到任意一次修改之后的状态；恢复后仍可重做回来，灰色为已撤销的修改</div>
+            <div class="change-list">
+                ${rows.length === 0 ? '<div class="empty-state"><p>暂无变更记录</p></div>' : rows.map(({ entry, position }) => `
+                    <div class="change-row ${position > changeLog.position ? 'undone' : ''} ${position === changeLog.position ? 'current' : ''}">
+                        <div>
+                            <div>${entry.description}</div>
+                            <div class="change-meta">${formatTime(entry.at)} · ${changeLog.summarize(entry)}</div>
+                        </div>
+                        ${position === changeLog.position
+                            ? '<span class="change-meta">当前状态</span>'
+                            : `<button type="button" class="btn btn-sm btn-secondary" onclick="uiManager.restoreChange(${position})">恢复到此</button>`}
+                    </div>
+                `).join('')}
+                ${rows.length === 0 ? '' : `
+                    <div class="change-row ${changeLog.position === 0 ? 'current' : ''}">
+                        <div>最早记录之前</div>
+                        ${changeLog.position === 0
+                            ? '<span class="change-meta">当前状态</span>'
+                            : '<button type="button" class="btn btn-sm btn-secondary" onclick="uiManager.restoreChange(0)">恢复到此</button>'}
+                    </div>
+                `}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="uiManager.closeModal()">关闭</button>
+            </div>
+        `;
+
+        this.openModal();
+    }
+
+    // ==================== 团队管理 ====================
+    renderTeamSwitcher() {
+        document.getElementById('teamSelect').innerHTML = this.dataManager.teams.map(team => `
+            <option value="${team.id}" ${team.id === this.dataManager.currentTeamId ? 'selected' : ''}>${team.name}</option>
+        `).join('');
+    }
+
+    switchTeam(id) {
+        this.dataManager.switchTeam(id);
+
+        // 筛选和选中日期属于上一个团队的视图状态
+        this.filterStartDate = null;
+        this.filterEndDate = null;
+        this.selectedDate = null;
+        document.getElementById('filterStartDate').value = '';
+        document.getElementById('filterEndDate').value = '';
+
+        // 通知设置按团队保存
+        this.notificationManager.stop();
+        if (this.dataManager.settings.notificationEnabled) {
+            this.notificationManager.start();
+        }
+
+        this.renderAll();
+        if (document.getElementById('statistics').classList.contains('active')) {
+            this.renderStatistics();
+        }
+    }
+
+    showTeamModal() {
+        const teams = this.dataManager.teams;
+        const currentTeamId = this.dataManager.currentTeamId;
+        const otherTeams = teams.filter(t => t.id !== currentTeamId);
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>团队管理</h2>
+            <div class="team-list">
+                ${teams.map(team => `
+                    <div class="team-row">
+                        <input type="text" id="teamName-${team.id}" value="${team.name}">
+                        ${team.id === currentTeamId
+                            ? '<span class="status-badge status-active">当前</span>'
+                            : `<button type="button" class="btn btn-sm btn-secondary" onclick="uiManager.switchTeam('${team.id}'); uiManager.showTeamModal()">切换</button>`}
+                        <button type="button" class="btn btn-sm btn-secondary" onclick="uiManager.renameTeam('${team.id}')">重命名</button>
+                        <button type="button" class="btn btn-sm btn-danger" onclick="uiManager.deleteTeam('${team.id}')" ${teams.length <= 1 ? 'disabled' : ''}>删除</button>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="blackout-form">
+                <input type="text" id="newTeamName" class="filter-input" placeholder="新团队名称">
+                <button type="button" class="btn btn-sm btn-primary" onclick="uiManager.addTeam()">+ 新建团队</button>
+            </div>
+
+            <h3>复制成员和活动到其他团队</h3>
+            ${otherTeams.length === 0 ? `
+                <div class="form-hint">新建一个团队后即可复制</div>
+            ` : `
+                <div class="form-group">
+                    <label>目标团队</label>
+                    <select id="copyTargetTeam">
+                        ${otherTeams.map(team => `<option value="${team.id}">${team.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>成员</label>
+                    <div class="copy-list">
+                        ${this.dataManager.members.map(member => `
+                            <label><input type="checkbox" name="copyMember" value="${member.id}"> ${member.name}</label>
+                        `).join('') || '<span class="form-hint">当前团队没有成员</span>'}
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>活动</label>
+                    <div class="copy-list">
+                        ${this.dataManager.activities.map(activity => `
+                            <label><input type="checkbox" name="copyActivity" value="${activity.id}"> ${activity.name}</label>
+                        `).join('') || '<span class="form-hint">当前团队没有活动</span>'}
+                    </div>
+                </div>
+                <div class="form-hint">只复制成员和活动本身，不复制排班；目标团队中已有同名的将跳过</div>
+            `}
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">关闭</button>
+                ${otherTeams.length > 0 ? '<button type="button" class="btn btn-primary" onclick="uiManager.copyToTeam()">复制</button>' : ''}
+            </div>
+        `;
+
+        this.openModal();
+    }
+
+    addTeam() {
+        const name = document.getElementById('newTeamName').value.trim();
+        if (!name) {
+            alert('请输入团队名称');
+            return;
+        }
+        if (this.dataManager.teams.some(t => t.name === name)) {
+            alert('已存在同名团队');
+            return;
+        }
+
+        const team = this.dataManager.addTeam(name);
+        if (confirm(`团队"${name}"已创建，是否立即切换过去？`)) {
+            this.switchTeam(team.id);
+        } else {
+            this.renderTeamSwitcher();
+        }
+        this.showTeamModal();
+    }
+
+    renameTeam(id) {
+        const name = document.getElementById(`teamName-${id}`).value.trim();
+        if (!name) {
+            alert('请输入团队名称');
+            return;
+        }
+        if (this.dataManager.teams.some(t => t.name === name && t.id !== id)) {
+            alert('已存在同名团队');
+            return;
+        }
+
+        this.dataManager.renameTeam(id, name);
+        this.renderTeamSwitcher();
+        this.showTeamModal();
+    }
+
+    deleteTeam(id) {
+        const team = this.dataManager.teams.find(t => t.id === id);
+        if (!team || !confirm(`确定要删除团队"${team.name}"吗？该团队的成员、活动和排班都将被删除，此操作不可恢复！`)) {
+            return;
+        }
+
+        try {
+            const wasCurrent = id === this.dataManager.currentTeamId;
+            this.dataManager.deleteTeam(id);
+            this.notificationManager.clearBackgroundReminders(id);
+            if (wasCurrent) {
+                this.switchTeam(this.dataManager.currentTeamId);
+            } else {
+                this.renderTeamSwitcher();
+            }
+            this.showTeamModal();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    copyToTeam() {
+        const targetTeamId = document.getElementById('copyTargetTeam').value;
+        const checked = name => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+        const memberIds = checked('copyMember');
+        const activityIds = checked('copyActivity');
+
+        if (memberIds.length === 0 && activityIds.length === 0) {
+            alert('请选择要复制的成员或活动');
+            return;
+        }
+
+        const target = this.dataManager.teams.find(t => t.id === targetTeamId);
+        const result = this.dataManager.copyToTeam(targetTeamId, memberIds, activityIds);
+        let message = `已复制 ${result.members} 名成员、${result.activities} 个活动到"${target.name}"`;
+        if (result.skipped.length > 0) {
+            message += `\n以下名称在目标团队中已存在，已跳过：${result.skipped.join('、')}`;
+        }
+        alert(message);
+    }
+
+    // ==================== 排班视图 ====================
+    renderSchedules() {
+        this.renderSwapRequests();
+        this.renderScheduleTable();
+        this.renderCalendar();
+    }
+
+    switchScheduleView(view) {
+        this.scheduleView = view;
+
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+        document.getElementById('scheduleCalendar').style.display = view === 'table' ? 'none' : 'block';
+        document.getElementById('scheduleTableContainer').style.display = view === 'table' ? 'block' : 'none';
+        document.getElementById('filterScheduleBtn').style.display = view === 'table' ? '' : 'none';
+        document.querySelectorAll('.table-only').forEach(btn => {
+            btn.style.display = view === 'table' ? '' : 'none';
+        });
+        if (view !== 'table') {
+            document.getElementById('scheduleFilter').style.display = 'none';
+        }
+
+        this.renderCalendar();
+    }
+
+    // 月视图前后翻一个月，周视图前后翻一周
+    moveCalendar(step) {
+        if (this.scheduleView === 'week') {
+            this.calendarDate = DateUtils.addDays(this.calendarDate, step * 7);
+        } else {
+            const date = new Date(this.calendarDate);
+            date.setUTCDate(1);
+            date.setUTCMonth(date.getUTCMonth() + step);
+            this.calendarDate = DateUtils.format(date);
+        }
+        this.renderCalendar();
+    }
+
+    // 按活动在列表中的位置分配固定颜色
+    getActivityColor(activityId) {
+        const palette = ['#4f46e5', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#8b5cf6', '#ec4899', '#84cc16'];
+        let index = this.dataManager.activities.findIndex(a => a.id === activityId);
+        if (index === -1) {
+            index = [...String(activityId)].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+        }
+        return palette[index % palette.length];
+    }
+
+    getSchedulesByDate() {
+        const schedulesByDate = {};
+        this.dataManager.schedules.forEach(schedule => {
+            if (!schedulesByDate[schedule.date]) {
+                schedulesByDate[schedule.date] = [];
+            }
+            schedulesByDate[schedule.date].push(schedule);
+        });
+        return schedulesByDate;
+    }
+
+    renderCalendar() {
+        if (this.scheduleView === 'table') return;
+
+        const weekdays = ['一', '二', '三', '四', '五', '六', '日'];
+        const schedulesByDate = this.getSchedulesByDate();
+        const today = DateUtils.today();
+        const [year, month] = this.calendarDate.split('-').map(Number);
+
+        let firstDay;
+        let dayCount;
+        if (this.scheduleView === 'week') {
+            firstDay = DateUtils.weekStart(this.calendarDate);
+            dayCount = 7;
+            document.getElementById('calendarTitle').textContent =
+                `${firstDay} 至 ${DateUtils.addDays(firstDay, 6)}`;
+        } else {
+            // 月视图从当月1日所在周的星期一开始，补齐到整周
+            const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+            firstDay = DateUtils.weekStart(monthStart);
+            const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            dayCount = Math.ceil((DateUtils.daysBetween(firstDay, monthStart) + daysInMonth) / 7) * 7;
+            document.getElementById('calendarTitle').textContent = `${year}年${month}月`;
+        }
+
+        let html = weekdays.map(day => `<div class="calendar-header">${day}</div>`).join('');
+        for (let i = 0; i < dayCount; i++) {
+            const date = DateUtils.addDays(firstDay, i);
+            const daySchedules = (schedulesByDate[date] || []).sort((a, b) =>
+                a.activityName.localeCompare(b.activityName) || (a.slot || 0) - (b.slot || 0)
+            );
+            // 多岗位的活动合并为一条显示
+            const occurrences = [];
+            daySchedules.forEach(schedule => {
+                const occurrence = occurrences.find(o => o[0].activityId === schedule.activityId);
+                if (occurrence) {
+                    occurrence.push(schedule);
+                } else {
+                    occurrences.push([schedule]);
+                }
+            });
+            const classes = ['calendar-day'];
+            if (this.scheduleView === 'week') classes.push('week-day');
+            if (this.scheduleView === 'month' && Number(date.split('-')[1]) !== month) classes.push('other-month');
+            if (date === today) classes.push('today');
+            if (daySchedules.length > 0) classes.push('has-activity');
+            if (date === this.selectedDate) classes.push('selected');
+            const holiday = (this.dataManager.settings.blackouts || []).find(r => date >= r.start && date <= r.end);
+            if (holiday) classes.push('holiday');
+
+            // 月视图每天最多显示3条，周视图全部显示
+            const visible = this.scheduleView === 'week' ? occurrences : occurrences.slice(0, 3);
+            const hiddenCount = occurrences.length - visible.length;
+
+            html += `
+                <div class="${classes.join(' ')}" onclick="uiManager.selectCalendarDate('${date}')">
+                    <div class="day-number">${Number(date.split('-')[2])}</div>
+                    ${holiday ? `<div class="day-holiday">${holiday.name || '停摆日'}</div>` : ''}
+                    <div class="day-activities">
+                        ${visible.map(entries => {
+                            const schedule = entries[0];
+                            const status = entries.every(e => e.status === schedule.status) ? schedule.status : null;
+                            const assignees = entries.map(e => `${e.slotLabel ? `${e.slotLabel}：` : ''}${e.memberName}${e.status ? `（${ATTENDANCE_STATUSES[e.status]}）` : ''}`);
+                            return `
+                                <div class="calendar-event ${status ? `status-${status}` : ''}" style="background: ${this.getActivityColor(schedule.activityId)};" title="${schedule.activityName} - ${assignees.join('，')}${schedule.shiftedFrom ? `（原定 ${schedule.shiftedFrom}）` : ''}">
+                                    ${schedule.shiftedFrom ? '↪ ' : ''}${schedule.activityName}·${entries.map(e => e.memberName).join('、')}
+                                </div>
+                            `;
+                        }).join('')}
+                        ${hiddenCount > 0 ? `<div class="calendar-more">还有 ${hiddenCount} 项</div>` : ''}
+                    </div>
+                </div>
+            `;
+        }
+
+        document.getElementById('calendarGrid').innerHTML = html;
+        this.renderDayDetail();
+    }
+
+    selectCalendarDate(date) {
+        this.selectedDate = date;
+        this.renderCalendar();
+    }
+
+    renderDayDetail() {
+        const panel = document.getElementById('dayDetailPanel');
+        if (!this.selectedDate) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const schedules = this.dataManager.schedules
+            .filter(s => s.date === this.selectedDate)
+            .sort((a, b) => a.activityName.localeCompare(b.activityName) || (a.slot || 0) - (b.slot || 0));
+
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <h3>${this.selectedDate} 星期${WEEKDAY_NAMES[DateUtils.weekday(this.selectedDate)]}</h3>
+            ${schedules.length === 0 ? `
+                <div class="empty-state-subtext">当天没有排班</div>
+            ` : schedules.map(schedule => `
+                <div class="activity-item" style="border-left-color: ${this.getActivityColor(schedule.activityId)};">
+                    <div class="activity-info">
+                        <div class="activity-title">${this.getScheduleTitle(schedule)}</div>
+                        <div class="activity-date">
+                            负责人：<span class="activity-assignee">${schedule.memberName}</span>
+                            ${schedule.locked ? '<span class="schedule-lock" title="已锁定，重新生成时保留">🔒</span>' : ''}
+                            ${this.renderShiftBadge(schedule)}
+                            ${this.renderSwapHistoryBadge(schedule)}
+                            ${this.renderEmailBadge(schedule)}
+                        </div>
+                    </div>
+                    <div>
+                        ${this.renderStatusSelect(schedule)}
+                        <button class="btn btn-sm btn-secondary" onclick="uiManager.editSchedule('${schedule.id}')">编辑</button>
+                        <button class="btn btn-sm btn-secondary" onclick="uiManager.showSwapRequestModal('${schedule.id}')">换班</button>
+                        <button class="btn btn-sm btn-danger" onclick="uiManager.deleteSchedule('${schedule.id}')">删除</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // 活动名称，多岗位的活动附带岗位名称
+    getScheduleTitle(schedule) {
+        return schedule.slotLabel ? `${schedule.activityName}（${schedule.slotLabel}）` : schedule.activityName;
+    }
+
+    // 出勤状态下拉框，未来的排班只能标记为已取消
+    renderStatusSelect(schedule) {
+        const isPast = schedule.date <= DateUtils.today();
+        const options = Object.entries(ATTENDANCE_STATUSES)
+            .filter(([value]) => isPast || value === 'cancelled' || value === schedule.status);
+
+        return `
+            <select class="status-select ${schedule.status ? `status-${schedule.status}` : ''}" onchange="uiManager.setScheduleStatus('${schedule.id}', this.value)">
+                <option value="">${isPast ? '待确认' : '待进行'}</option>
+                ${options.map(([value, text]) => `
+                    <option value="${value}" ${schedule.status === value ? 'selected' : ''}>${text}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    setScheduleStatus(id, status) {
+        this.dataManager.setScheduleStatus(id, status);
+        this.dataManager.recalculateParticipation();
+        this.renderSchedules();
+        this.renderMembers();
+    }
+
+    // 因节假日挪动过的排班显示原日期
+    renderShiftBadge(schedule) {
+        if (!schedule.shiftedFrom) return '';
+        const direction = schedule.shiftedFrom < schedule.date ? '顺延' : '提前';
+        return `<span class="shift-badge" title="原定 ${schedule.shiftedFrom}（${schedule.shiftReason}）">↪ 由 ${schedule.shiftedFrom} ${direction}</span>`;
+    }
+
+    // ==================== 换班申请 ====================
+    renderSwapHistoryBadge(schedule) {
+        if (!schedule.history || schedule.history.length === 0) return '';
+        const typeText = { swap: '互换', cover: '代班' };
+        const lines = schedule.history.map(h =>
+            `${h.at.split('T')[0]} ${typeText[h.type] || h.type}：${h.fromMemberName} → ${h.toMemberName}`
+        );
+        return `<span class="swap-badge" title="${lines.join('\n')}">🔄 原定 ${schedule.originalMemberName}</span>`;
+    }
+
+    renderSwapRequests() {
+        const panel = document.getElementById('swapRequestPanel');
+        const requests = this.dataManager.getPendingSwapRequests();
+
+        if (requests.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const describe = id => {
+            const schedule = this.dataManager.schedules.find(s => s.id === id);
+            return schedule ? `${schedule.date} ${this.getScheduleTitle(schedule)}` : '（已删除的排班）';
+        };
+
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <h3>待处理的换班申请（${requests.length}）</h3>
+            ${requests.map(request => `
+                <div class="activity-item">
+                    <div class="activity-info">
+                        <div class="activity-title">
+                            ${request.type === 'swap'
+                                ? `${request.requesterName} 申请与 ${request.counterpartName} 互换`
+                                : `${request.requesterName} 申请由 ${request.counterpartName} 代班`}
+                        </div>
+                        <div class="activity-date">
+                            ${describe(request.scheduleId)}
+                            ${request.type === 'swap' ? ` ⇄ ${describe(request.targetScheduleId)}` : ''}
+                            ${request.note ? `｜${request.note}` : ''}
+                        </div>
+                    </div>
+                    <div>
+                        <button class="btn btn-sm btn-success" onclick="uiManager.acceptSwapRequest('${request.id}')">接受</button>
+                        <button class="btn btn-sm btn-secondary" onclick="uiManager.rejectSwapRequest('${request.id}')">拒绝</button>
+                        <button class="btn btn-sm btn-danger" onclick="uiManager.cancelSwapRequest('${request.id}')">撤回</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    showSwapRequestModal(scheduleId) {
+        const schedule = this.dataManager.schedules.find(s => s.id === scheduleId);
+        if (!schedule) return;
+
+        const pending = this.swapManager.getPendingRequestFor(scheduleId);
+        if (pending) {
+            alert('该排班已有待处理的换班申请');
+            return;
+        }
+
+        const counterparts = this.dataManager.getActiveMembers().filter(m => m.id !== schedule.memberId);
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>申请换班</h2>
+            <form id="swapRequestForm">
+                <div class="form-group">
+                    <label>排班</label>
+                    <input type="text" value="${schedule.date} ${this.getScheduleTitle(schedule)} - ${schedule.memberName}" disabled>
+                </div>
+                <div class="form-group">
+                    <label>方式</label>
+                    <select id="swapType">
+                        <option value="swap">互换：与对方交换各自的一次排班</option>
+                        <option value="cover">代班：由对方代替负责这一次</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>对方成员 *</label>
+                    <select id="swapCounterpart" required>
+                        ${counterparts.map(member => `
+                            <option value="${member.id}">${member.name}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group" id="swapTargetGroup">
+                    <label>对方用于交换的排班 *</label>
+                    <select id="swapTarget"></select>
+                </div>
+                <div class="form-group">
+                    <label>备注</label>
+                    <input type="text" id="swapNote" placeholder="例如：当天出差">
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                    <button type="submit" class="btn btn-primary">提交申请</button>
+                </div>
+            </form>
+        `;
+
+        // 可交换的排班：对方今天及以后的排班
+        const updateTargets = () => {
+            const type = document.getElementById('swapType').value;
+            const counterpartId = document.getElementById('swapCounterpart').value;
+            const today = DateUtils.today();
+            const targets = this.dataManager.schedules
+                .filter(s => s.memberId === counterpartId && s.date >= today && s.id !== scheduleId)
+                .sort((a, b) => a.date.localeCompare(b.date));
+
+            document.getElementById('swapTargetGroup').style.display = type === 'swap' ? 'block' : 'none';
+            document.getElementById('swapTarget').innerHTML = targets.length > 0
+                ? targets.map(s => `<option value="${s.id}">${s.date} ${this.getScheduleTitle(s)}</option>`).join('')
+                : '<option value="">对方暂无可交换的排班</option>';
+        };
+        document.getElementById('swapType').addEventListener('change', updateTargets);
+        document.getElementById('swapCounterpart').addEventListener('change', updateTargets);
+        updateTargets();
+
+        document.getElementById('swapRequestForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitSwapRequest(scheduleId);
+        });
+
+        this.openModal();
+    }
+
+    submitSwapRequest(scheduleId) {
+        try {
+            this.swapManager.createRequest({
+                type: document.getElementById('swapType').value,
+                scheduleId: scheduleId,
+                counterpartId: document.getElementById('swapCounterpart').value,
+                targetScheduleId: document.getElementById('swapTarget').value,
+                note: document.getElementById('swapNote').value.trim()
+            });
+            this.closeModal();
+            this.renderSchedules();
+            alert('换班申请已提交，等待对方接受');
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    acceptSwapRequest(id) {
+        const request = this.dataManager.swapRequests.find(r => r.id === id);
+        if (!request) return;
+
+        // 接受前检查换班后是否产生冲突
+        const conflicts = [];
+        this.swapManager.getResultingAssignments(request).forEach(({ schedule, memberId }) => {
+            if (!schedule) return;
+            const candidate = { ...schedule, memberId };
+            const others = this.dataManager.schedules.filter(s => s.id !== schedule.id);
+            conflicts.push(...this.conflictChecker.check(candidate, others));
+            const member = this.dataManager.members.find(m => m.id === memberId);
+            const activity = this.dataManager.activities.find(a => a.id === schedule.activityId);
+            if (member && activity) {
+                this.dataManager.getEligibilityIssues(member, activity, schedule.date).forEach(issue => {
+                    conflicts.push(`${member.name} 不符合${activity.name}的资格（${issue}）`);
+                });
+            }
+        });
+        if (conflicts.length > 0 && !confirm('换班后存在冲突：\n' + conflicts.join('\n') + '\n\n仍要接受吗？')) {
+            return;
+        }
+
+        try {
+            this.swapManager.accept(id);
+            alert('已接受换班申请');
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderSchedules();
+        this.renderMembers();
+    }
+
+    rejectSwapRequest(id) {
+        this.swapManager.reject(id);
+        this.renderSchedules();
+    }
+
+    cancelSwapRequest(id) {
+        if (confirm('确定要撤回这个换班申请吗？')) {
+            this.swapManager.cancel(id);
+            this.renderSchedules();
+        }
+    }
+
+    // ==================== 排班表格 ====================
+    renderScheduleTable() {
+        const container = document.getElementById('scheduleTableContainer');
+        const schedules = this.dataManager.schedules;
+
+        if (schedules.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state" style="background: var(--card-bg); border-radius: 12px; padding: 60px 20px; box-shadow: var(--shadow);">
+                    <div class="empty-state-icon">📋</div>
+                    <div class="empty-state-text">暂无排班数据</div>
+                    <div class="empty-state-subtext">点击上方"生成排班"按钮创建排班计划</div>
+                </div>
+            `;
+            return;
+        }
+
+        // 按活动分组
+        const schedulesByActivity = {};
+        schedules.forEach(schedule => {
+            const key = schedule.activityId;
+            if (!schedulesByActivity[key]) {
+                schedulesByActivity[key] = {
+                    activity: {
+                        id: schedule.activityId,
+                        name: schedule.activityName
+                    },
+                    schedules: []
+                };
+            }
+            schedulesByActivity[key].schedules.push(schedule);
+        });
+
+        // 应用日期筛选
+        Object.keys(schedulesByActivity).forEach(key => {
+            let filteredSchedules = schedulesByActivity[key].schedules;
+
+            if (this.filterStartDate) {
+                filteredSchedules = filteredSchedules.filter(s => s.date >= this.filterStartDate);
+            }
+            if (this.filterEndDate) {
+                filteredSchedules = filteredSchedules.filter(s => s.date <= this.filterEndDate);
+            }
+
+            schedulesByActivity[key].schedules = filteredSchedules.sort((a, b) =>
+                new Date(a.date) - new Date(b.date) || (a.slot || 0) - (b.slot || 0)
+            );
+        });
+
+        const conflicts = this.conflictChecker.findAllConflicts();
+
+        // 渲染表格
+        let html = '';
+        Object.values(schedulesByActivity).forEach(group => {
+            if (group.schedules.length === 0) return;
+
+            html += `
+                <div class="schedule-group">
+                    <div class="schedule-group-header">
+                        <div>
+                            <div class="schedule-group-title">${group.activity.name}</div>
+                            <div class="schedule-group-info">共 ${new Set(group.schedules.map(s => s.date)).size} 次活动</div>
+                        </div>
+                    </div>
+                    <table class="schedule-table">
+                        <thead>
+                            <tr>
+                                <th style="width: 20%">日期</th>
+                                <th style="width: 10%">星期</th>
+                                <th style="width: 22%">负责人</th>
+                                <th style="width: 14%">活动名称</th>
+                                <th style="width: 12%">状态</th>
+                                <th style="width: 22%">操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${group.schedules.map(schedule => {
+                                const date = new Date(schedule.date);
+                                const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
+                                const weekday = weekdays[date.getDay()];
+                                const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+                                const scheduleConflicts = conflicts.get(schedule.id);
+
+                                return `
+                                    <tr class="${scheduleConflicts ? 'conflict-row' : ''}">
+                                        <td class="schedule-date">
+                                            ${schedule.date}
+                                            ${this.renderShiftBadge(schedule)}
+                                        </td>
+                                        <td>
+                                            <span class="schedule-weekday ${isWeekend ? 'weekend' : ''}">
+                                                星期${weekday}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            ${schedule.slotLabel ? `<span class="slot-label">${schedule.slotLabel}</span>` : ''}
+                                            <span class="schedule-member">${schedule.memberName}</span>
+                                            ${schedule.locked ? '<span class="schedule-lock" title="已锁定，重新生成时保留">🔒</span>' : ''}
+                                            ${scheduleConflicts ? `<span class="conflict-badge" title="${scheduleConflicts.join('\n')}">⚠️ 冲突</span>` : ''}
+                                            ${this.renderSwapHistoryBadge(schedule)}
+                                            ${this.renderEmailBadge(schedule)}
+                                        </td>
+                                        <td>${schedule.activityName}</td>
+                                        <td>${this.renderStatusSelect(schedule)}</td>
+                                        <td>
+                                            <button class="btn btn-sm btn-secondary" onclick="uiManager.toggleScheduleLock('${schedule.id}')">${schedule.locked ? '解锁' : '锁定'}</button>
+                                            <button class="btn btn-sm btn-secondary" onclick="uiManager.editSchedule('${schedule.id}')">编辑</button>
+                                            <button class="btn btn-sm btn-secondary" onclick="uiManager.showSwapRequestModal('${schedule.id}')">换班</button>
+                                            <button class="btn btn-sm btn-danger" onclick="uiManager.deleteSchedule('${schedule.id}')">删除</button>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        });
+
+        container.innerHTML = html || `
+            <div class="empty-state" style="background: var(--card-bg); border-radius: 12px; padding: 60px 20px; box-shadow: var(--shadow);">
+                <div class="empty-state-icon">🔍</div>
+                <div class="empty-state-text">没有符合条件的排班数据</div>
+                <div class="empty-state-subtext">尝试调整筛选条件</div>
+            </div>
+        `;
+    }
+
+    // ==================== 表格导入导出 ====================
+    // 与表格视图一致，应用当前的日期筛选
+    getFilteredSchedules() {
+        return this.dataManager.schedules.filter(s =>
+            (!this.filterStartDate || s.date >= this.filterStartDate) &&
+            (!this.filterEndDate || s.date <= this.filterEndDate)
+        );
+    }
+
+    showExportTableModal() {
+        const count = this.getFilteredSchedules().length;
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>导出排班表</h2>
+            <form id="exportTableForm">
+                <div class="form-group">
+                    <label>文件格式</label>
+                    <select id="tableFormat">
+                        <option value="xlsx">Excel（.xlsx）</option>
+                        <option value="csv">CSV（.csv）</option>
+                    </select>
+                </div>
+                <p class="form-hint">
+                    将导出${this.filterStartDate || this.filterEndDate ? '筛选后的' : '全部'} ${count} 条排班。
+                    修改日期或负责人后可通过"导入表格"导回，请保留"编号"列；新增的行不填编号即可。
+                </p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                    <button type="submit" class="btn btn-primary">导出</button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('exportTableForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportTable(document.getElementById('tableFormat').value);
+        });
+
+        this.openModal();
+    }
+
+    exportTable(format) {
+        const schedules = this.getFilteredSchedules();
+        if (schedules.length === 0) {
+            alert('没有可导出的排班');
+            return;
+        }
+
+        const rows = new ScheduleSpreadsheet(this.dataManager).buildRows(schedules);
+        const filename = `排班表-${DateUtils.today()}`;
+        if (format === 'csv') {
+            this.downloadFile(SpreadsheetIO.toCSV(rows), `${filename}.csv`, 'text/csv;charset=utf-8');
+        } else {
+            this.downloadFile(
+                SpreadsheetIO.toXLSX(rows, '排班表'),
+                `${filename}.xlsx`,
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            );
+        }
+
+        this.closeModal();
+    }
+
+    importTable(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const isXlsx = file.name.toLowerCase().endsWith('.xlsx');
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const rows = isXlsx
+                    ? await SpreadsheetIO.parseXLSX(e.target.result)
+                    : SpreadsheetIO.parseCSV(e.target.result);
+                this.applyTableRows(rows);
+            } catch (error) {
+                alert('表格导入失败：' + error.message);
+            }
+        };
+        if (isXlsx) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+
+        // 重置文件输入
+        event.target.value = '';
+    }
+
+    applyTableRows(rows) {
+        const { updates, creates, errors } = new ScheduleSpreadsheet(this.dataManager).parseRows(rows);
+
+        if (errors.length > 0) {
+            alert('导入出错：\n' + errors.join('\n'));
+            return;
+        }
+
+        if (updates.length === 0 && creates.length === 0) {
+            alert('表格中没有需要更新的排班');
+            return;
+        }
+
+        if (!confirm(`将修改 ${updates.length} 条排班，新增 ${creates.length} 条排班，确定导入吗？`)) {
+            return;
+        }
+
+        // 通过表格修改的排班与手动编辑一样自动锁定
+        updates.forEach(({ id, date, member }) => {
+            this.dataManager.updateSchedule(id, {
+                date: date,
+                memberId: member.id,
+                memberName: member.name,
+                locked: true
+            });
+        });
+        creates.forEach(({ activity, date, member, slot }) => {
+            const schedule = {
+                activityId: activity.id,
+                activityName: activity.name,
+                memberId: member.id,
+                memberName: member.name,
+                date: date,
+                locked: true
+            };
+            if (slot !== null) {
+                schedule.slot = slot;
+                schedule.slotLabel = this.dataManager.getSlots(activity)[slot];
+            }
+            this.dataManager.addSchedule(schedule);
+        });
+
+        this.dataManager.recalculateParticipation();
+        this.renderSchedules();
+        this.renderMembers();
+        alert(`导入成功：修改 ${updates.length} 条，新增 ${creates.length} 条`);
+    }
+
+    // ==================== 排班生成 ====================
+    // options 为从预览返回时保留的表单内容
+    showGenerateScheduleModal(options = null) {
+        const today = new Date();
+        const threeMonthsLater = new Date();
+        threeMonthsLater.setMonth(threeMonthsLater.getMonth() + 3);
+        const values = options || {
+            startDate: today.toISOString().split('T')[0],
+            endDate: threeMonthsLater.toISOString().split('T')[0],
+            mode: 'fill',
+            seed: this.dataManager.settings.randomSeed || ''
+        };
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>生成排班计划</h2>
+            <form id="generateScheduleForm">
+                <div class="form-group">
+                    <label>开始日期</label>
+                    <input type="date" id="startDate" value="${values.startDate}" required>
+                </div>
+                <div class="form-group">
+                    <label>结束日期</label>
+                    <input type="date" id="endDate" value="${values.endDate}" required>
+                </div>
+                <div class="form-group">
+                    <label>生成方式</label>
+                    <select id="generateMode">
+                        <option value="fill" ${values.mode === 'fill' ? 'selected' : ''}>仅补充空缺（保留已有排班）</option>
+                        <option value="replace" ${values.mode === 'replace' ? 'selected' : ''}>重新生成范围内的排班（保留锁定、已记录出勤和今天以前的排班）</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>随机种子</label>
+                    <input type="text" id="generateSeed" value="${values.seed}" placeholder="留空则使用新的随机种子">
+                    <div class="form-hint">仅影响"随机分配"算法，相同的种子和数据会得到相同的方案</div>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                    <button type="submit" class="btn btn-primary">预览</button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('generateScheduleForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.previewSchedule();
+        });
+
+        this.openModal();
+    }
+
+    // 计算排班方案并显示预览，确认之前不保存任何数据
+    previewSchedule(options = null) {
+        const values = options || {
+            startDate: document.getElementById('startDate').value,
+            endDate: document.getElementById('endDate').value,
+            mode: document.getElementById('generateMode').value,
+            seed: document.getElementById('generateSeed').value.trim()
+        };
+
+        if (values.startDate > values.endDate) {
+            alert('开始日期不能晚于结束日期');
+            return;
+        }
+
+        try {
+            this.pendingPlan = this.scheduleGenerator.plan(
+                new Date(values.startDate),
+                new Date(values.endDate),
+                values.mode,
+                values.seed
+            );
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.generateOptions = { ...values, seed: this.pendingPlan.seed };
+        this.renderSchedulePreview(this.pendingPlan);
+    }
+
+    // 用新的种子重新计算方案
+    rerollSchedule() {
+        this.previewSchedule({ ...this.generateOptions, seed: SeededRandom.createSeed() });
+    }
+
+    // 方案与当前排班的差异，按 活动#日期#岗位 对应
+    diffSchedulePlan(plan) {
+        const keyOf = s => `${s.activityId}#${s.date}#${s.slot || 0}`;
+        const removedByKey = new Map(plan.removed.map(s => [keyOf(s), s]));
+        const added = [];
+        const changed = [];
+        let unchanged = 0;
+
+        plan.schedules.forEach(schedule => {
+            const key = keyOf(schedule);
+            const old = removedByKey.get(key);
+            if (!old) {
+                added.push(schedule);
+            } else if (old.memberId === schedule.memberId) {
+                unchanged++;
+            } else {
+                changed.push({ before: old, after: schedule });
+            }
+            removedByKey.delete(key);
+        });
+
+        const byDate = (a, b) => a.date.localeCompare(b.date);
+        return {
+            added: added.sort(byDate),
+            changed: changed.sort((a, b) => byDate(a.after, b.after)),
+            removed: [...removedByKey.values()].sort(byDate),
+            unchanged
+        };
+    }
+
+    renderSchedulePreview(plan) {
+        const diff = this.diffSchedulePlan(plan);
+        const algorithmNames = {
+            rotation: '轮流排班',
+            random: '随机分配',
+            balanced: '均衡分配',
+            optimized: '约束优化'
+        };
+        const unresolved = plan.infeasible.length > 0
+            ? plan.infeasible.map(item => `${item.date} ${item.activityName}：没有满足所有硬性要求的成员`)
+            : plan.warnings;
+        const rows = [
+            ...diff.added.map(s => ({ date: s.date, type: 'added', label: '新增', title: this.getScheduleTitle(s), text: s.memberName })),
+            ...diff.changed.map(c => ({ date: c.after.date, type: 'changed', label: '变更', title: this.getScheduleTitle(c.after), text: `${c.before.memberName} → ${c.after.memberName}` })),
+            ...diff.removed.map(s => ({ date: s.date, type: 'removed', label: '移除', title: this.getScheduleTitle(s), text: s.memberName }))
+        ].sort((a, b) => a.date.localeCompare(b.date));
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>排班预览</h2>
+            <div class="form-hint">
+                ${plan.startDate} 至 ${plan.endDate}，${algorithmNames[plan.algorithm] || plan.algorithm}，
+                ${plan.mode === 'replace' ? '重新生成范围内的排班' : '仅补充空缺'}，随机种子：${plan.seed}
+            </div>
+            <div class="preview-summary">
+                <span class="preview-added">新增 ${diff.added.length}</span>
+                <span class="preview-changed">变更 ${diff.changed.length}</span>
+                <span class="preview-removed">移除 ${diff.removed.length}</span>
+                <span>保留 ${diff.unchanged + plan.kept.length}</span>
+            </div>
+            ${unresolved.length > 0 ? `
+                <div class="conflict-warning" style="display: block;">
+                    以下 ${unresolved.length} 个岗位未能安排：<br>${unresolved.join('<br>')}
+                </div>
+            ` : ''}
+            <div class="preview-list">
+                ${rows.length === 0 ? '<div class="empty-state"><p>与当前排班相比没有变化</p></div>' : `
+                    <table class="schedule-table">
+                        <thead>
+                            <tr><th>日期</th><th>活动</th><th>变化</th><th>负责人</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr class="preview-${row.type}">
+                                    <td>${row.date}</td>
+                                    <td>${row.title}</td>
+                                    <td>${row.label}</td>
+                                    <td>${row.text}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.showGenerateScheduleModal(uiManager.generateOptions)">返回</button>
+                <button type="button" class="btn btn-secondary" onclick="uiManager.rerollSchedule()">换一批</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.commitSchedulePlan()">确认保存</button>
+            </div>
+        `;
+
+        this.openModal();
+    }
+
+    // 保存预览中的方案
+    commitSchedulePlan() {
+        const plan = this.pendingPlan;
+        if (!plan) return;
+
+        this.scheduleGenerator.commit(plan);
+        this.pendingPlan = null;
+        this.closeModal();
+        this.renderAll();
+
+        if (plan.infeasible.length > 0) {
+            this.showInfeasibilityReport(plan.infeasible);
+        } else if (plan.warnings.length > 0) {
+            alert('排班计划已生成，但以下日期未能安排：\n' + plan.warnings.join('\n'));
+        } else {
+            alert('排班计划生成成功！');
+        }
+    }
+
+    // 约束优化算法无法安排的岗位：按硬约束汇总，并列出每个岗位上各成员被排除的原因
+    showInfeasibilityReport(infeasible) {
+        const counts = {};
+        infeasible.forEach(item => {
+            item.reasons.forEach(reason => {
+                counts[reason.type] = (counts[reason.type] || 0) + 1;
+            });
+        });
+        const summary = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>部分岗位无法安排</h2>
+            <div class="conflict-warning" style="display: block;">
+                以下 ${infeasible.length} 个岗位没有任何成员能同时满足所有硬性要求，已留空。
+                主要限制：${summary.map(([type, count]) => `${HARD_CONSTRAINT_NAMES[type]}（排除 ${count} 人次）`).join('、')}
+            </div>
+            <div class="form-hint">可以放宽成员的"每月上限"、"两次负责至少间隔"，调整请假或活动资格后重新生成（选择"仅补充空缺"）</div>
+            <div class="infeasible-list">
+                ${infeasible.map(item => `
+                    <div class="infeasible-item">
+                        <strong>${item.date} ${item.activityName}</strong>
+                        <ul>
+                            ${item.reasons.map(reason => `
+                                <li>${reason.member}：<span class="infeasible-type">${HARD_CONSTRAINT_NAMES[reason.type]}</span> ${reason.text}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="uiManager.closeModal()">知道了</button>
+            </div>
+        `;
+
+        this.openModal();
+    }
+
+    // ==================== 编辑和删除排班 ====================
+    // 编辑一次活动：修改日期会移动该次活动的所有岗位，每个岗位可单独选择负责人
+    editSchedule(id) {
+        const schedule = this.dataManager.schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        const entries = this.dataManager.getOccurrenceSchedules(schedule.activityId, schedule.date);
+
+        // 符合活动资格的成员在前，不符合的单独分组，仍可选择但会提示
+        const activity = this.dataManager.activities.find(a => a.id === schedule.activityId);
+        const activeMembers = this.dataManager.getActiveMembers();
+        const isEligible = member => !activity || this.dataManager.isMemberEligible(member, activity, schedule.date);
+        const ineligibleMembers = activeMembers.filter(m => !isEligible(m));
+        const renderOptions = entry => {
+            const renderOption = member => `
+                <option value="${member.id}" ${member.id === entry.memberId ? 'selected' : ''}>
+                    ${member.name}
+                </option>
+            `;
+            return `
+                ${activeMembers.filter(isEligible).map(renderOption).join('')}
+                ${ineligibleMembers.length > 0 ? `
+                    <optgroup label="不符合活动资格">
+                        ${ineligibleMembers.map(renderOption).join('')}
+                    </optgroup>
+                ` : ''}
+            `;
+        };
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>编辑排班</h2>
+            <form id="editScheduleForm">
+                <div class="form-group">
+                    <label>活动名称</label>
+                    <input type="text" value="${schedule.activityName}" disabled>
+                </div>
+                <div class="form-group">
+                    <label>日期 *</label>
+                    <input type="date" id="scheduleDate" value="${schedule.date}" required>
+                </div>
+                ${entries.map(entry => `
+                    <div class="form-group">
+                        <label>${entry.slotLabel || '负责人'} *</label>
+                        <select class="schedule-slot-member" data-id="${entry.id}" required>
+                            ${renderOptions(entry)}
+                        </select>
+                    </div>
+                `).join('')}
+                <div class="conflict-warning" id="scheduleConflictWarning" style="display: none;"></div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('scheduleDate').addEventListener('change', () => this.showScheduleConflicts(id));
+        document.querySelectorAll('.schedule-slot-member').forEach(select => {
+            select.addEventListener('change', () => this.showScheduleConflicts(id));
+        });
+        this.showScheduleConflicts(id);
+
+        document.getElementById('editScheduleForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateSchedule(id);
+        });
+
+        this.openModal();
+    }
+
+    // 弹窗中各岗位当前选择的负责人：[{ schedule, member }]
+    getEditingAssignments() {
+        return Array.from(document.querySelectorAll('.schedule-slot-member')).map(select => ({
+            schedule: this.dataManager.schedules.find(s => s.id === select.dataset.id),
+            member: this.dataManager.members.find(m => m.id === select.value)
+        }));
+    }
+
+    // 按弹窗中当前选择的日期和负责人检查冲突和活动资格
+    getEditingScheduleConflicts(id) {
+        const schedule = this.dataManager.schedules.find(s => s.id === id);
+        const date = document.getElementById('scheduleDate').value;
+        const assignments = this.getEditingAssignments();
+        const editingIds = assignments.map(a => a.schedule.id);
+        const activity = this.dataManager.activities.find(a => a.id === schedule.activityId);
+        const conflicts = [];
+
+        // 同一次活动的其他岗位按弹窗中的选择参与检查
+        const candidates = assignments.map(({ schedule: entry, member }) => ({
+            ...entry,
+            memberId: member.id,
+            memberName: member.name,
+            date: date
+        }));
+        const others = [
+            ...this.dataManager.schedules.filter(s => !editingIds.includes(s.id)),
+            ...candidates
+        ];
+
+        candidates.forEach((candidate, index) => {
+            const member = assignments[index].member;
+            const prefix = candidates.length > 1 ? `${member.name}：` : '';
+            this.conflictChecker.check(candidate, others).forEach(conflict => {
+                conflicts.push(prefix + conflict);
+            });
+            if (activity) {
+                this.dataManager.getEligibilityIssues(member, activity, date).forEach(issue => {
+                    conflicts.push(`${prefix}不符合活动资格：${issue}`);
+                });
+            }
+        });
+        return [...new Set(conflicts)];
+    }
+
+    showScheduleConflicts(id) {
+        const conflicts = this.getEditingScheduleConflicts(id);
+        const warning = document.getElementById('scheduleConflictWarning');
+
+        warning.style.display = conflicts.length > 0 ? 'block' : 'none';
+        warning.innerHTML = `⚠️ 该安排存在冲突：<br>${conflicts.join('<br>')}`;
+    }
+
+    updateSchedule(id) {
+        const date = document.getElementById('scheduleDate').value;
+        const assignments = this.getEditingAssignments();
+
+        if (assignments.some(a => !a.member)) {
+            alert('未找到选中的成员');
+            return;
+        }
+        if (new Set(assignments.map(a => a.member.id)).size < assignments.length) {
+            alert('同一次活动的不同岗位不能由同一个人担任');
+            return;
+        }
+
+        const conflicts = this.getEditingScheduleConflicts(id);
+        if (conflicts.length > 0 && !confirm('该安排存在冲突：\n' + conflicts.join('\n') + '\n\n仍要保存吗？')) {
+            return;
+        }
+
+        // 手动调整过的排班自动锁定，重新生成时不会被覆盖
+        assignments.forEach(({ schedule, member }) => {
+            this.dataManager.updateSchedule(schedule.id, {
+                date: date,
+                memberId: member.id,
+                memberName: member.name,
+                locked: true
+            });
+        });
+
+        this.dataManager.recalculateParticipation();
+        this.closeModal();
+        this.renderSchedules();
+        this.renderMembers();
+        alert('排班更新成功！');
+    }
+
+    toggleScheduleLock(id) {
+        const schedule = this.dataManager.schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        this.dataManager.updateSchedule(id, { locked: !schedule.locked });
+        this.renderSchedules();
+    }
+
+    deleteSchedule(id) {
+        const schedule = this.dataManager.schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        if (confirm(`确定要删除 ${schedule.date} 的 ${schedule.activityName} 排班吗？`)) {
+            this.dataManager.deleteSchedule(id);
+            this.dataManager.recalculateParticipation();
+            this.renderSchedules();
+            this.renderMembers();
+            alert('排班已删除');
+        }
+    }
+
+    // ==================== 成员管理 ====================
+    renderMembers() {
+        const tbody = document.querySelector('#membersTable tbody');
+        const members = this.dataManager.members;
+
+        document.getElementById('totalMembers').textContent = members.length;
+        document.getElementById('activeMembers').textContent =
+            members.filter(m => m.status === 'active').length;
+
+        if (members.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; padding: 40px;">
+                        <div class="empty-state">
+                            <div class="empty-state-icon">👥</div>
+                            <div class="empty-state-text">暂无成员</div>
+                            <div class="empty-state-subtext">点击上方"添加成员"按钮添加团队成员</div>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const coverBalances = this.swapManager.getCoverBalances();
+
+        tbody.innerHTML = members.map(member => `
+            <tr>
+                <td>
+                    ${member.name}
+                    ${this.renderMemberTags(member)}
+                </td>
+                <td>${member.email || '-'}</td>
+                <td>
+                    <span class="status-badge status-${member.status}">
+                        ${member.status === 'active' ? '活跃' : '暂停'}
+                    </span>
+                    ${this.renderMemberLeave(member)}
+                </td>
+                <td>
+                    ${member.participationCount || 0}
+                    <div class="member-leave">已完成 ${member.completedCount || 0} 次</div>
+                    ${this.renderCoverBalance(coverBalances.get(member.id))}
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-secondary" onclick="uiManager.showMemberHistory('${member.id}')">历史</button>
+                    <button class="btn btn-sm btn-secondary" onclick="uiManager.editMember('${member.id}')">编辑</button>
+                    <button class="btn btn-sm btn-danger" onclick="uiManager.deleteMember('${member.id}')">删除</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // ==================== 出勤历史 ====================
+    showMemberHistory(id) {
+        const member = this.dataManager.members.find(m => m.id === id);
+        if (!member) return;
+        this.showHistoryModal(
+            `${member.name} 的排班历史`,
+            this.dataManager.schedules.filter(s => s.memberId === id),
+            schedule => this.getScheduleTitle(schedule)
+        );
+    }
+
+    showActivityHistory(id) {
+        const activity = this.dataManager.activities.find(a => a.id === id);
+        if (!activity) return;
+        this.showHistoryModal(
+            `${activity.name} 的活动历史`,
+            this.dataManager.schedules.filter(s => s.activityId === id),
+            schedule => schedule.memberName
+        );
+    }
+
+    // 展示今天及以前的排班：状态汇总、按月统计的实际完成次数和明细
+    showHistoryModal(title, schedules, describe) {
+        const today = DateUtils.today();
+        const past = schedules
+            .filter(s => s.date <= today)
+            .sort((a, b) => b.date.localeCompare(a.date));
+        const summary = this.dataManager.summarizeAttendance(past);
+
+        const months = {};
+        past.forEach(s => {
+            const month = s.date.substring(0, 7);
+            months[month] = months[month] || { completed: 0, total: 0 };
+            months[month].total++;
+            if (s.status === 'completed') months[month].completed++;
+        });
+        const maxTotal = Math.max(1, ...Object.values(months).map(m => m.total));
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>${title}</h2>
+            <div class="history-summary">
+                ${Object.entries(ATTENDANCE_STATUSES).map(([status, text]) => `
+                    <div class="history-stat status-${status}"><strong>${summary[status]}</strong>${text}</div>
+                `).join('')}
+                <div class="history-stat"><strong>${summary.pending}</strong>待确认</div>
+            </div>
+            ${past.length === 0 ? `
+                <div class="empty-state-subtext">暂无历史排班</div>
+            ` : `
+                <h3>每月完成情况</h3>
+                <div class="history-months">
+                    ${Object.keys(months).sort().reverse().map(month => `
+                        <div class="history-month">
+                            <span class="history-month-label">${month}</span>
+                            <span class="history-bar">
+                                <span class="history-bar-total" style="width: ${months[month].total / maxTotal * 100}%;">
+                                    <span class="history-bar-completed" style="width: ${months[month].completed / months[month].total * 100}%;"></span>
+                                </span>
+                            </span>
+                            <span>${months[month].completed} / ${months[month].total}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <h3>明细</h3>
+                <table class="schedule-table">
+                    <tbody>
+                        ${past.map(schedule => `
+                            <tr>
+                                <td class="schedule-date">${schedule.date}</td>
+                                <td>${describe(schedule)}</td>
+                                <td>${this.renderStatusSelect(schedule)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">关闭</button>
+            </div>
+        `;
+
+        this.openModal();
+    }
+
+    renderMemberTags(member) {
+        const tags = member.tags || [];
+        const weighted = member.weight > 0 && member.weight !== 1;
+        if (tags.length === 0 && !member.joinDate && !weighted) return '';
+
+        return `
+            <div class="member-leave">
+                ${tags.map(tag => `<span class="tag-chip">${tag}</span>`).join('')}
+                ${member.joinDate ? `<div>入职 ${member.joinDate}</div>` : ''}
+                ${weighted ? `<div>排班权重 ${member.weight}</div>` : ''}
+            </div>
+        `;
+    }
+
+    // 标签输入框支持逗号、顿号和空格分隔
+    parseTags(text) {
+        return [...new Set(text.split(/[,，、\s]+/).map(tag => tag.trim()).filter(Boolean))];
+    }
+
+    renderTagDatalist() {
+        return `
+            <datalist id="tagOptions">
+                ${this.dataManager.getAllTags().map(tag => `<option value="${tag}">`).join('')}
+            </datalist>
+        `;
+    }
+
+    renderMemberProfileFields(member = {}) {
+        return `
+            <div class="form-group">
+                <label>标签/角色</label>
+                <input type="text" id="memberTags" list="tagOptions" value="${(member.tags || []).join('，')}" placeholder="例如：组长，前端">
+                ${this.renderTagDatalist()}
+                <div class="form-hint">多个标签用逗号分隔，活动可以按标签限定负责人</div>
+            </div>
+            <div class="form-group">
+                <label>入职日期</label>
+                <input type="date" id="memberJoinDate" value="${member.joinDate || ''}">
+            </div>
+        `;
+    }
+
+    // 约束优化算法使用的个人偏好
+    renderMemberPreferenceFields(member = {}) {
+        const weekdayOrder = [1, 2, 3, 4, 5, 6, 0];
+        const renderPicker = (name, selected = []) => `
+            <div class="weekday-picker">
+                ${weekdayOrder.map(day => `
+                    <label>
+                        <input type="checkbox" class="${name}" value="${day}" ${selected.includes(day) ? 'checked' : ''}>
+                        ${WEEKDAY_NAMES[day]}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+
+        return `
+            <details class="form-group" ${(member.weight && member.weight !== 1) || member.minGapDays || member.maxPerMonth ? 'open' : ''}>
+                <summary>排班偏好（约束优化算法使用）</summary>
+                <div class="form-group">
+                    <label>排班权重</label>
+                    <input type="number" id="memberWeight" min="0.1" max="5" step="0.1" value="${member.weight || 1}">
+                    <div class="form-hint">1 为正常，0.5 表示只承担一半的次数（如兼职成员）</div>
+                </div>
+                <div class="form-group">
+                    <label>希望安排在</label>
+                    ${renderPicker('member-preferred-weekday', member.preferredWeekdays)}
+                </div>
+                <div class="form-group">
+                    <label>尽量不要安排在</label>
+                    ${renderPicker('member-disliked-weekday', member.dislikedWeekdays)}
+                </div>
+                <div style="display: flex; gap: 10px;">
+                    <div class="form-group" style="flex: 1;">
+                        <label>两次负责至少间隔（天）</label>
+                        <input type="number" id="memberMinGapDays" min="0" value="${member.minGapDays || 0}">
+                    </div>
+                    <div class="form-group" style="flex: 1;">
+                        <label>每月最多负责（次）</label>
+                        <input type="number" id="memberMaxPerMonth" min="0" value="${member.maxPerMonth || 0}">
+                    </div>
+                </div>
+                <div class="form-hint">间隔和每月上限为硬性要求，0 表示不限；星期偏好会尽量满足</div>
+            </details>
+            ${this.renderMemberChatFields(member)}
+        `;
+    }
+
+    // 群聊机器人推送值班汇总时用来 @ 成员的账号
+    renderMemberChatFields(member = {}) {
+        const chatIds = member.chatIds || {};
+        const placeholders = {
+            wecom: '成员 userid 或手机号',
+            dingtalk: '手机号或 userId',
+            feishu: 'open_id（ou_ 开头）',
+            slack: '成员 ID（U 开头）'
+        };
+        return `
+            <details class="form-group" ${Object.values(chatIds).some(Boolean) ? 'open' : ''}>
+                <summary>群聊账号（机器人提醒时 @ 该成员）</summary>
+                ${Object.entries(CHAT_PLATFORMS).map(([platform, name]) => `
+                    <div class="form-group">
+                        <label>${name}</label>
+                        <input type="text" class="member-chat-id" data-platform="${platform}" value="${chatIds[platform] || ''}" placeholder="${placeholders[platform]}">
+                    </div>
+                `).join('')}
+            </details>
+        `;
+    }
+
+    collectMemberPreferences() {
+        const checked = className => Array.from(document.querySelectorAll(`.${className}:checked`))
+            .map(input => parseInt(input.value));
+        return {
+            weight: Math.max(0.1, parseFloat(document.getElementById('memberWeight').value) || 1),
+            preferredWeekdays: checked('member-preferred-weekday'),
+            dislikedWeekdays: checked('member-disliked-weekday'),
+            minGapDays: Math.max(0, parseInt(document.getElementById('memberMinGapDays').value) || 0),
+            maxPerMonth: Math.max(0, parseInt(document.getElementById('memberMaxPerMonth').value) || 0),
+            chatIds: Object.fromEntries(Array.from(document.querySelectorAll('.member-chat-id'))
+                .map(input => [input.dataset.platform, input.value.trim()])
+                .filter(([, value]) => value))
+        };
+    }
+
+    renderCoverBalance(balance) {
+        if (!balance) return '';
+        return balance > 0
+            ? `<div class="member-leave" title="替别人代班的次数多于被代班的次数">代班余额 +${balance}</div>`
+            : `<div class="member-leave" title="被别人代班的次数多于替别人代班的次数">欠代班 ${-balance} 次</div>`;
+    }
+
+    renderMemberLeave(member) {
+        const today = DateUtils.today();
+        const ranges = (member.unavailable || []).filter(range => range.end >= today);
+        if (ranges.length === 0) return '';
+
+        return `
+            <div class="member-leave">
+                ${ranges.map(range => `
+                    <div>🏖️ ${range.start} 至 ${range.end}${range.reason ? `（${range.reason}）` : ''}</div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderUnavailableFields(ranges = []) {
+        return `
+            <div class="form-group">
+                <label>不可用日期（请假）</label>
+                <div id="unavailableList">
+                    ${ranges.map(range => this.renderUnavailableRow(range)).join('')}
+                </div>
+                <button type="button" class="btn btn-sm btn-secondary" onclick="uiManager.addUnavailableRow()">+ 添加时间段</button>
+            </div>
+        `;
+    }
+
+    renderUnavailableRow(range = {}) {
+        return `
+            <div class="unavailable-row">
+                <input type="date" class="unavailable-start" value="${range.start || ''}" required>
+                <span>至</span>
+                <input type="date" class="unavailable-end" value="${range.end || ''}" required>
+                <input type="text" class="unavailable-reason" value="${range.reason || ''}" placeholder="原因（可选）">
+                <button type="button" class="btn btn-sm btn-danger" onclick="this.parentElement.remove()">删除</button>
+            </div>
+        `;
+    }
+
+    addUnavailableRow() {
+        document.getElementById('unavailableList').insertAdjacentHTML('beforeend', this.renderUnavailableRow());
+    }
+
+    // 读取弹窗中的请假时间段，结束日期早于开始日期时返回 null
+    collectUnavailableRanges() {
+        const ranges = [];
+        let valid = true;
+
+        document.querySelectorAll('#unavailableList .unavailable-row').forEach(row => {
+            const start = row.querySelector('.unavailable-start').value;
+            const end = row.querySelector('.unavailable-end').value;
+            const reason = row.querySelector('.unavailable-reason').value.trim();
+
+            if (start > end) {
+                valid = false;
+                return;
+            }
+            ranges.push({ start, end, reason });
+        });
+
+        if (!valid) {
+            alert('请假结束日期不能早于开始日期');
+            return null;
+        }
+
+        return ranges.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    showAddMemberModal() {
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>添加成员</h2>
+            <div class="tabs" style="margin-bottom: 20px;">
+                <button type="button" class="tab-btn active" onclick="uiManager.switchAddMemberTab('single')">单个添加</button>
+                <button type="button" class="tab-btn" onclick="uiManager.switchAddMemberTab('batch')">批量导入</button>
+            </div>
+
+            <div id="singleAddTab">
+                <form id="addMemberForm">
+                    <div class="form-group">
+                        <label>姓名 *</label>
+                        <input type="text" id="memberName" required>
+                    </div>
+                    <div class="form-group">
+                        <label>邮箱</label>
+                        <input type="email" id="memberEmail">
+                    </div>
+                    <div class="form-group">
+                        <label>状态</label>
+                        <select id="memberStatus">
+                            <option value="active">活跃</option>
+                            <option value="inactive">暂停</option>
+                        </select>
+                    </div>
+                    ${this.renderMemberProfileFields()}
+                    ${this.renderUnavailableFields()}
+                    ${this.renderMemberPreferenceFields()}
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                        <button type="submit" class="btn btn-primary">添加</button>
+                    </div>
+                </form>
+            </div>
+
+            <div id="batchAddTab" style="display: none;">
+                <form id="batchAddMemberForm">
+                    <div class="form-group">
+                        <label>批量添加成员</label>
+                        <p style="color: #64748b; font-size: 0.9rem; margin-bottom: 10px;">
+                            每行一个成员，格式：姓名 或 姓名,邮箱<br>
+                            例如：<br>
+                            张三<br>
+                            李四,lisi@example.com<br>
+                            王五,wangwu@example.com
+                        </p>
+                        <textarea id="batchMemberInput" rows="10" placeholder="张三&#10;李四,lisi@example.com&#10;王五,wangwu@example.com" required></textarea>
+                    </div>
+                    <div class="form-group">
+                        <label>默认状态</label>
+                        <select id="batchMemberStatus">
+                            <option value="active">活跃</option>
+                            <option value="inactive">暂停</option>
+                        </select>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                        <button type="submit" class="btn btn-primary">批量添加</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.getElementById('addMemberForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addMember();
+        });
+
+        document.getElementById('batchAddMemberForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.batchAddMembers();
+        });
+
+        this.openModal();
+    }
+
+    switchAddMemberTab(tab) {
+        const singleTab = document.getElementById('singleAddTab');
+        const batchTab = document.getElementById('batchAddTab');
+        const buttons = document.querySelectorAll('#modalBody .tab-btn');
+
+        if (tab === 'single') {
+            singleTab.style.display = 'block';
+            batchTab.style.display = 'none';
+            buttons[0].classList.add('active');
+            buttons[1].classList.remove('active');
+        } else {
+            singleTab.style.display = 'none';
+            batchTab.style.display = 'block';
+            buttons[0].classList.remove('active');
+            buttons[1].classList.add('active');
+        }
+    }
+
+    batchAddMembers() {
+        const input = document.getElementById('batchMemberInput').value;
+        const defaultStatus = document.getElementById('batchMemberStatus').value;
+
+        if (!input.trim()) {
+            alert('请输入成员信息');
+            return;
+        }
+
+        const lines = input.trim().split('\n').filter(line => line.trim());
+        const members = [];
+        const errors = [];
+
+        lines.forEach((line, index) => {
+            const trimmedLine = line.trim();
+            if (!trimmedLine) return;
+
+            const parts = trimmedLine.split(',').map(p => p.trim());
+            const name = parts[0];
+            const email = parts[1] || '';
+
+            if (!name) {
+                errors.push(`第${index + 1}行：姓名不能为空`);
+                return;
+            }
+
+            members.push({
+                name: name,
+                email: email,
+                status: defaultStatus
+            });
+        });
+
+        if (errors.length > 0) {
+            alert('导入出错：\n' + errors.join('\n'));
+            return;
+        }
+
+        if (members.length === 0) {
+            alert('没有有效的成员数据');
+            return;
+        }
+
+        // 添加所有成员
+        members.forEach(member => {
+            this.dataManager.addMember(member);
+        });
+
+        this.closeModal();
+        this.renderMembers();
+        alert(`成功添加 ${members.length} 个成员！`);
+    }
+
+    addMember() {
+        const unavailable = this.collectUnavailableRanges();
+        if (!unavailable) return;
+
+        const member = {
+            name: document.getElementById('memberName').value,
+            email: document.getElementById('memberEmail').value,
+            status: document.getElementById('memberStatus').value,
+            tags: this.parseTags(document.getElementById('memberTags').value),
+            joinDate: document.getElementById('memberJoinDate').value,
+            unavailable: unavailable,
+            ...this.collectMemberPreferences()
+        };
+
+        this.dataManager.addMember(member);
+        this.closeModal();
+        this.renderMembers();
+    }
+
+    editMember(id) {
+        const member = this.dataManager.members.find(m => m.id === id);
+        if (!member) return;
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>编辑成员</h2>
+            <form id="editMemberForm">
+                <div class="form-group">
+                    <label>姓名 *</label>
+                    <input type="text" id="memberName" value="${member.name}" required>
+                </div>
+                <div class="form-group">
+                    <label>邮箱</label>
+                    <input type="email" id="memberEmail" value="${member.email || ''}">
+                </div>
+                <div class="form-group">
+                    <label>状态</label>
+                    <select id="memberStatus">
+                        <option value="active" ${member.status === 'active' ? 'selected' : ''}>活跃</option>
+                        <option value="inactive" ${member.status === 'inactive' ? 'selected' : ''}>暂停</option>
+                    </select>
+                </div>
+                ${this.renderMemberProfileFields(member)}
+                ${this.renderUnavailableFields(member.unavailable)}
+                ${this.renderMemberPreferenceFields(member)}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                    <button type="submit" class="btn btn-primary">保存</button>
+                </div>
+            </form>
+        `;
+
+        document.getElementById('editMemberForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateMember(id);
+        });
+
+        this.openModal();
+    }
+
+    updateMember(id) {
+        const unavailable = this.collectUnavailableRanges();
+        if (!unavailable) return;
+
+        const updates = {
+            name: document.getElementById('memberName').value,
+            email: document.getElementById('memberEmail').value,
+            status: document.getElementById('memberStatus').value,
+            tags: this.parseTags(document.getElementById('memberTags').value),
+            joinDate: document.getElementById('memberJoinDate').value,
+            unavailable: unavailable,
+            ...this.collectMemberPreferences()
+        };
+
+        this.dataManager.updateMember(id, updates);
+        this.closeModal();
+        this.renderMembers();
+    }
+
+    deleteMember(id) {
+        if (confirm('确定要删除这个成员吗？')) {
+            this.dataManager.deleteMember(id);
+            this.renderMembers();
+        }
+    }
+
+    // ==================== 活动管理 ====================
+    renderActivities() {
+        const grid = document.getElementById('activityGrid');
+        const activities = this.dataManager.activities;
+
+        if (activities.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state" style="grid-column: 1/-1;">
+                    <div class="empty-state-icon">🎯</div>
+                    <div class="empty-state-text">暂无活动</div>
+                    <div class="empty-state-subtext">点击上方"添加活动"按钮创建团队活动</div>
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = activities.map(activity => `
+            <div class="activity-card">
+                <h3>${activity.name}</h3>
+                <div class="activity-card-info">
+                    📝 ${activity.description || '暂无描述'}
+                </div>
+                <div class="activity-card-info">
+                    🔄 ${RecurrenceRule.describe(activity)}
+                </div>
+                <div class="activity-card-info">
+                    🏖️ 节假日${this.getBlackoutPolicyText(activity.blackoutPolicy)}
+                </div>
+                ${(activity.slots || []).length > 0 ? `
+                    <div class="activity-card-info">
+                        👥 每次 ${activity.slots.length} 人：${activity.slots.join('、')}
+                    </div>
+                ` : ''}
+                ${this.describeEligibility(activity.eligibility) ? `
+                    <div class="activity-card-info">
+                        👤 ${this.describeEligibility(activity.eligibility)}
+                    </div>
+                ` : ''}
+                ${(activity.reminderOffsets || []).length > 0 ? `
+                    <div class="activity-card-info">
+                        🔔 ${this.describeReminderOffsets(activity.reminderOffsets)}
+                    </div>
+                ` : ''}
+                <div class="activity-card-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="uiManager.showActivityHistory('${activity.id}')">历史</button>
+                    <button class="btn btn-sm btn-secondary" onclick="uiManager.editActivity('${activity.id}')">编辑</button>
+                    <button class="btn btn-sm btn-danger" onclick="uiManager.deleteActivity('${activity.id}')">删除</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    getBlackoutPolicyText(policy) {
+        const policies = {
+            skip: '跳过',
+            next: '顺延',
+            previous: '提前',
+            ignore: '照常安排'
+        };
+        return policies[policy] || policies.skip;
     }
 
-    renderAll() {
-        this.renderScheduleTable();
-        this.renderMembers();
-        this.renderActivities();
-        this.renderSettings();
+    renderRecurrenceFields(activity) {
+        const rule = activity.recurrence || {};
+        const byWeekday = rule.byWeekday || [];
+        const unit = activity.frequencyUnit;
+        // 周一在前
+        const weekdayOrder = [1, 2, 3, 4, 5, 6, 0];
+
+        return `
+            <div class="form-group">
+                <label>活动频率 *</label>
+                <div style="display: flex; gap: 10px;">
+                    <input type="number" id="activityFrequency" value="${activity.frequency}" min="1" required style="flex: 1;">
+                    <select id="activityFrequencyUnit" style="flex: 1;">
+                        <option value="days" ${unit === 'days' ? 'selected' : ''}>天</option>
+                        <option value="weeks" ${unit === 'weeks' ? 'selected' : ''}>周</option>
+                        <option value="months" ${unit === 'months' ? 'selected' : ''}>月</option>
+                    </select>
+                </div>
+            </div>
+            <div class="form-group" id="recurrenceWeeklyGroup">
+                <label>在星期几举行（不选则按开始日期的星期）</label>
+                <div class="weekday-picker">
+                    ${weekdayOrder.map(day => `
+                        <label>
+                            <input type="checkbox" class="recurrence-weekday" value="${day}" ${byWeekday.includes(day) ? 'checked' : ''}>
+                            ${WEEKDAY_NAMES[day]}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="form-group" id="recurrenceMonthlyGroup">
+                <label>每月的哪一天</label>
+                <div style="display: flex; gap: 10px;">
+                    <select id="recurrenceMonthlyBy" style="flex: 1;">
+                        <option value="date" ${rule.monthlyBy !== 'weekday' ? 'selected' : ''}>与开始日期同一天</option>
+                        <option value="weekday" ${rule.monthlyBy === 'weekday' ? 'selected' : ''}>第N个星期几</option>
+                    </select>
+                    <select id="recurrenceSetPos" style="flex: 1;">
+                        ${[1, 2, 3, 4, -1].map(pos => `
+                            <option value="${pos}" ${parseInt(rule.setPos) === pos ? 'selected' : ''}>${pos === -1 ? '最后一个' : `第${pos}个`}</option>
+                        `).join('')}
+                    </select>
+                    <select id="recurrenceWeekday" style="flex: 1;">
+                        ${weekdayOrder.map(day => `
+                            <option value="${day}" ${parseInt(rule.weekday) === day ? 'selected' : ''}>星期${WEEKDAY_NAMES[day]}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>遇到节假日/停摆日</label>
+                <select id="activityBlackoutPolicy">
+                    <option value="skip" ${!activity.blackoutPolicy || activity.blackoutPolicy === 'skip' ? 'selected' : ''}>跳过本次</option>
+                    <option value="next" ${activity.blackoutPolicy === 'next' ? 'selected' : ''}>顺延到下一个工作日</option>
+                    <option value="previous" ${activity.blackoutPolicy === 'previous' ? 'selected' : ''}>提前到上一个工作日</option>
+                    <option value="ignore" ${activity.blackoutPolicy === 'ignore' ? 'selected' : ''}>照常安排</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>开始日期（不填则从生成排班的开始日期起算）</label>
+                <input type="date" id="recurrenceStartDate" value="${rule.startDate || ''}">
+            </div>
+            <div class="form-group">
+                <label>结束条件（可选）</label>
+                <div style="display: flex; gap: 10px;">
+                    <input type="date" id="recurrenceEndDate" value="${rule.endDate || ''}" style="flex: 1;">
+                    <input type="number" id="recurrenceCount" value="${rule.count || ''}" min="1" placeholder="最多次数" style="flex: 1;">
+                </div>
+            </div>
+        `;
     }
 
-    switchTab(tabId) {
-        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    // 根据频率单位显示对应的重复选项
+    bindRecurrenceFields() {
+        const update = () => {
+            const unit = document.getElementById('activityFrequencyUnit').value;
+            const byWeekday = document.getElementById('recurrenceMonthlyBy').value === 'weekday';
+            document.getElementById('recurrenceWeeklyGroup').style.display = unit === 'weeks' ? 'block' : 'none';
+            document.getElementById('recurrenceMonthlyGroup').style.display = unit === 'months' ? 'block' : 'none';
+            document.getElementById('recurrenceSetPos').style.display = byWeekday ? '' : 'none';
+            document.getElementById('recurrenceWeekday').style.display = byWeekday ? '' : 'none';
+        };
 
-        document.querySelector(`[data-tab="${tabId}"]`).classList.add('active');
-        document.getElementById(tabId).classList.add('active');
+        document.getElementById('activityFrequencyUnit').addEventListener('change', update);
+        document.getElementById('recurrenceMonthlyBy').addEventListener('change', update);
+        update();
     }
 
-    // ==================== 排班表格 ====================
-    renderScheduleTable() {
-        const container = document.getElementById('scheduleTableContainer');
-        const schedules = this.dataManager.schedules;
+    // 读取弹窗中的重复规则，校验失败时返回 null
+    collectRecurrence() {
+        const unit = document.getElementById('activityFrequencyUnit').value;
+        const startDate = document.getElementById('recurrenceStartDate').value;
+        const endDate = document.getElementById('recurrenceEndDate').value;
+        const count = parseInt(document.getElementById('recurrenceCount').value) || null;
 
-        if (schedules.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state" style="background: var(--card-bg); border-radius: 12px; padding: 60px 20px; box-shadow: var(--shadow);">
-                    <div class="empty-state-icon">📋</div>
-                    <div class="empty-state-text">暂无排班数据</div>
-                    <div class="empty-state-subtext">点击上方"生成排班"按钮创建排班计划</div>
-                </div>
-            `;
-            return;
+        if (startDate && endDate && startDate > endDate) {
+            alert('结束日期不能早于开始日期');
+            return null;
         }
 
-        // 按活动分组
-        const schedulesByActivity = {};
-        schedules.forEach(schedule => {
-            const key = schedule.activityId;
-            if (!schedulesByActivity[key]) {
-                schedulesByActivity[key] = {
-                    activity: {
-                        id: schedule.activityId,
-                        name: schedule.activityName
-                    },
-                    schedules: []
-                };
+        const recurrence = { startDate, endDate, count };
+
+        if (unit === 'weeks') {
+            recurrence.byWeekday = [...document.querySelectorAll('.recurrence-weekday:checked')]
+                .map(input => parseInt(input.value));
+        } else if (unit === 'months') {
+            recurrence.monthlyBy = document.getElementById('recurrenceMonthlyBy').value;
+            if (recurrence.monthlyBy === 'weekday') {
+                recurrence.setPos = parseInt(document.getElementById('recurrenceSetPos').value);
+                recurrence.weekday = parseInt(document.getElementById('recurrenceWeekday').value);
             }
-            schedulesByActivity[key].schedules.push(schedule);
-        });
+        }
 
-        // 应用日期筛选
-        Object.keys(schedulesByActivity).forEach(key => {
-            let filteredSchedules = schedulesByActivity[key].schedules;
+        return recurrence;
+    }
 
-            if (this.filterStartDate) {
-                filteredSchedules = filteredSchedules.filter(s => s.date >= this.filterStartDate);
-            }
-            if (this.filterEndDate) {
-                filteredSchedules = filteredSchedules.filter(s => s.date <= this.filterEndDate);
-            }
+    renderSlotFields(slots = []) {
+        return `
+            <div class="form-group">
+                <label>每次需要的人数</label>
+                <div style="display: flex; gap: 10px;">
+                    <input type="number" id="activitySlotCount" min="1" max="10" value="${Math.max(1, slots.length)}" style="flex: 1;">
+                    <input type="text" id="activitySlotLabels" value="${slots.filter(Boolean).join('，')}" placeholder="岗位名称，例如：主讲，备份" style="flex: 3;">
+                </div>
+                <div class="form-hint">多人时可按顺序填写各岗位名称，同一次活动不会重复安排同一个人</div>
+            </div>
+        `;
+    }
 
-            schedulesByActivity[key].schedules = filteredSchedules.sort((a, b) =>
-                new Date(a.date) - new Date(b.date)
-            );
-        });
+    // 返回岗位名称列表，只有一个且未命名的岗位时返回空列表
+    collectSlots() {
+        const labels = document.getElementById('activitySlotLabels').value
+            .split(/[,，、]/).map(label => label.trim()).filter(Boolean);
+        const count = Math.max(1, parseInt(document.getElementById('activitySlotCount').value) || 1, labels.length);
+        if (count === 1 && labels.length === 0) return [];
 
-        // 渲染表格
-        let html = '';
-        Object.values(schedulesByActivity).forEach(group => {
-            if (group.schedules.length === 0) return;
+        return Array.from({ length: count }, (_, i) => labels[i] || `第${i + 1}人`);
+    }
 
-            html += `
-                <div class="schedule-group">
-                    <div class="schedule-group-header">
-                        <div>
-                            <div class="schedule-group-title">${group.activity.name}</div>
-                            <div class="schedule-group-info">共 ${group.schedules.length} 次活动</div>
-                        </div>
-                    </div>
-                    <table class="schedule-table">
-                        <thead>
-                            <tr>
-                                <th style="width: 25%">日期</th>
-                                <th style="width: 12%">星期</th>
-                                <th style="width: 25%">负责人</th>
-                                <th style="width: 20%">活动名称</th>
-                                <th style="width: 18%">操作</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${group.schedules.map(schedule => {
-                                const date = new Date(schedule.date);
-                                const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
-                                const weekday = weekdays[date.getDay()];
-                                const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+    renderEligibilityFields(eligibility = {}) {
+        return `
+            <div class="form-group">
+                <label>负责人必须具备的标签</label>
+                <input type="text" id="eligibilityRequiredTags" list="tagOptions" value="${(eligibility.requiredTags || []).join('，')}" placeholder="例如：组长">
+                <div class="form-hint">留空表示不限；填写多个时需要同时具备</div>
+            </div>
+            <div class="form-group">
+                <label>排除带有以下标签的成员</label>
+                <input type="text" id="eligibilityExcludedTags" list="tagOptions" value="${(eligibility.excludedTags || []).join('，')}" placeholder="例如：实习生">
+            </div>
+            <div class="form-group">
+                <label>入职满多少天后才能负责</label>
+                <input type="number" id="eligibilityMinTenureDays" min="0" value="${eligibility.minTenureDays || 0}">
+                <div class="form-hint">按成员的入职日期计算，0 表示不限</div>
+            </div>
+            ${this.renderTagDatalist()}
+        `;
+    }
 
-                                return `
-                                    <tr>
-                                        <td class="schedule-date">${schedule.date}</td>
-                                        <td>
-                                            <span class="schedule-weekday ${isWeekend ? 'weekend' : ''}">
-                                                星期${weekday}
-                                            </span>
-                                        </td>
-                                        <td>
-                                            <span class="schedule-member">${schedule.memberName}</span>
-                                        </td>
-                                        <td>${schedule.activityName}</td>
-                                        <td>
-                                            <button class="btn btn-sm btn-secondary" onclick="uiManager.editSchedule('${schedule.id}')">编辑</button>
-                                            <button class="btn btn-sm btn-danger" onclick="uiManager.deleteSchedule('${schedule.id}')">删除</button>
-                                        </td>
-                                    </tr>
-                                `;
-                            }).join('')}
-                        </tbody>
-                    </table>
-                </div>
-            `;
-        });
+    collectEligibility() {
+        return {
+            requiredTags: this.parseTags(document.getElementById('eligibilityRequiredTags').value),
+            excludedTags: this.parseTags(document.getElementById('eligibilityExcludedTags').value),
+            minTenureDays: Math.max(0, parseInt(document.getElementById('eligibilityMinTenureDays').value) || 0)
+        };
+    }
 
-        container.innerHTML = html || `
-            <div class="empty-state" style="background: var(--card-bg); border-radius: 12px; padding: 60px 20px; box-shadow: var(--shadow);">
-                <div class="empty-state-icon">🔍</div>
-                <div class="empty-state-text">没有符合条件的排班数据</div>
-                <div class="empty-state-subtext">尝试调整筛选条件</div>
+    renderReminderFields(offsets = []) {
+        return `
+            <div class="form-group">
+                <label>提前几天提醒</label>
+                <input type="text" id="activityReminderOffsets" value="${offsets.join('，')}" placeholder="例如：7，1，0">
+                <div class="form-hint">可填写多个，0 表示活动当天提醒；留空时使用设置中的默认提前天数（当前为 ${this.dataManager.settings.notificationDays} 天）</div>
             </div>
         `;
     }
 
-    // ==================== 排班生成 ====================
-    showGenerateScheduleModal() {
-        const today = new Date();
-        const threeMonthsLater = new Date();
-        threeMonthsLater.setMonth(threeMonthsLater.getMonth() + 3);
+    // 返回去重后从大到小的天数列表，留空时返回空列表表示使用默认设置
+    collectReminderOffsets() {
+        const offsets = document.getElementById('activityReminderOffsets').value
+            .split(/[,，、\s]+/).map(value => value.trim()).filter(Boolean)
+            .map(value => parseInt(value))
+            .filter(offset => Number.isInteger(offset) && offset >= 0 && offset <= 365);
+        return [...new Set(offsets)].sort((a, b) => b - a);
+    }
+
+    describeReminderOffsets(offsets) {
+        return '提醒：' + offsets.map(offset => (offset === 0 ? '当天' : `提前 ${offset} 天`)).join('、') +
+            `（${this.dataManager.settings.reminderTime}）`;
+    }
+
+    describeEligibility(eligibility = {}) {
+        const parts = [];
+        if ((eligibility.requiredTags || []).length > 0) {
+            parts.push(`需具备 ${eligibility.requiredTags.join('、')}`);
+        }
+        if ((eligibility.excludedTags || []).length > 0) {
+            parts.push(`排除 ${eligibility.excludedTags.join('、')}`);
+        }
+        if (eligibility.minTenureDays > 0) {
+            parts.push(`入职满 ${eligibility.minTenureDays} 天`);
+        }
+        return parts.join('；');
+    }
 
+    showAddActivityModal() {
         const modalBody = document.getElementById('modalBody');
         modalBody.innerHTML = `
-            <h2>生成排班计划</h2>
-            <form id="generateScheduleForm">
+            <h2>添加活动</h2>
+            <form id="addActivityForm">
                 <div class="form-group">
-                    <label>开始日期</label>
-                    <input type="date" id="startDate" value="${today.toISOString().split('T')[0]}" required>
+                    <label>活动名称 *</label>
+                    <input type="text" id="activityName" placeholder="例如：技术分享会" required>
                 </div>
                 <div class="form-group">
-                    <label>结束日期</label>
-                    <input type="date" id="endDate" value="${threeMonthsLater.toISOString().split('T')[0]}" required>
+                    <label>活动描述</label>
+                    <textarea id="activityDescription" rows="3" placeholder="简要描述活动内容"></textarea>
                 </div>
+                ${this.renderRecurrenceFields({ frequency: 1, frequencyUnit: 'weeks' })}
+                ${this.renderSlotFields()}
+                ${this.renderEligibilityFields()}
+                ${this.renderReminderFields()}
                 <div class="form-actions">
                     <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
-                    <button type="submit" class="btn btn-primary">生成</button>
+                    <button type="submit" class="btn btn-primary">添加</button>
                 </div>
             </form>
         `;
 
-        document.getElementById('generateScheduleForm').addEventListener('submit', (e) => {
+        this.bindRecurrenceFields();
+
+        document.getElementById('addActivityForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.generateSchedule();
+            this.addActivity();
         });
 
         this.openModal();
     }
 
-    generateSchedule() {
-        try {
-            const startDate = new Date(document.getElementById('startDate').value);
-            const endDate = new Date(document.getElementById('endDate').value);
+    addActivity() {
+        const recurrence = this.collectRecurrence();
+        if (!recurrence) return;
 
-            if (startDate > endDate) {
-                alert('开始日期不能晚于结束日期');
-                return;
-            }
+        const activity = {
+            name: document.getElementById('activityName').value,
+            description: document.getElementById('activityDescription').value,
+            frequency: document.getElementById('activityFrequency').value,
+            frequencyUnit: document.getElementById('activityFrequencyUnit').value,
+            recurrence: recurrence,
+            blackoutPolicy: document.getElementById('activityBlackoutPolicy').value,
+            slots: this.collectSlots(),
+            eligibility: this.collectEligibility(),
+            reminderOffsets: this.collectReminderOffsets()
+        };
 
-            this.scheduleGenerator.generate(startDate, endDate);
-            this.closeModal();
-            this.renderAll();
-            alert('排班计划生成成功！');
-        } catch (error) {
-            alert(error.message);
-        }
+        this.dataManager.addActivity(activity);
+        this.closeModal();
+        this.renderActivities();
     }
 
-    // ==================== 编辑和删除排班 ====================
-    editSchedule(id) {
-        const schedule = this.dataManager.schedules.find(s => s.id === id);
-        if (!schedule) return;
-
-        const activeMembers = this.dataManager.getActiveMembers();
+    editActivity(id) {
+        const activity = this.dataManager.activities.find(a => a.id === id);
+        if (!activity) return;
 
         const modalBody = document.getElementById('modalBody');
         modalBody.innerHTML = `
-            <h2>编辑排班</h2>
-            <form id="editScheduleForm">
-                <div class="form-group">
-                    <label>活动名称</label>
-                    <input type="text" value="${schedule.activityName}" disabled>
-                </div>
+            <h2>编辑活动</h2>
+            <form id="editActivityForm">
                 <div class="form-group">
-                    <label>日期 *</label>
-                    <input type="date" id="scheduleDate" value="${schedule.date}" required>
+                    <label>活动名称 *</label>
+                    <input type="text" id="activityName" value="${activity.name}" required>
                 </div>
                 <div class="form-group">
-                    <label>负责人 *</label>
-                    <select id="scheduleMember" required>
-                        ${activeMembers.map(member => `
-                            <option value="${member.id}" ${member.id === schedule.memberId ? 'selected' : ''}>
-                                ${member.name}
-                            </option>
-                        `).join('')}
-                    </select>
+                    <label>活动描述</label>
+                    <textarea id="activityDescription" rows="3">${activity.description || ''}</textarea>
                 </div>
+                ${this.renderRecurrenceFields(activity)}
+                ${this.renderSlotFields(activity.slots)}
+                ${this.renderEligibilityFields(activity.eligibility)}
+                ${this.renderReminderFields(activity.reminderOffsets)}
                 <div class="form-actions">
                     <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
                     <button type="submit" class="btn btn-primary">保存</button>
@@ -638,480 +6983,838 @@ class UIManager {
             </form>
         `;
 
-        document.getElementById('editScheduleForm').addEventListener('submit', (e) => {
+        this.bindRecurrenceFields();
+
+        document.getElementById('editActivityForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.updateSchedule(id);
+            this.updateActivity(id);
         });
 
         this.openModal();
     }
 
-    updateSchedule(id) {
-        const date = document.getElementById('scheduleDate').value;
-        const memberId = document.getElementById('scheduleMember').value;
-        const member = this.dataManager.members.find(m => m.id === memberId);
-
-        if (!member) {
-            alert('未找到选中的成员');
-            return;
-        }
+    updateActivity(id) {
+        const recurrence = this.collectRecurrence();
+        if (!recurrence) return;
 
         const updates = {
-            date: date,
-            memberId: member.id,
-            memberName: member.name
+            name: document.getElementById('activityName').value,
+            description: document.getElementById('activityDescription').value,
+            frequency: document.getElementById('activityFrequency').value,
+            frequencyUnit: document.getElementById('activityFrequencyUnit').value,
+            recurrence: recurrence,
+            blackoutPolicy: document.getElementById('activityBlackoutPolicy').value,
+            slots: this.collectSlots(),
+            eligibility: this.collectEligibility(),
+            reminderOffsets: this.collectReminderOffsets()
         };
 
-        this.dataManager.updateSchedule(id, updates);
+        this.dataManager.updateActivity(id, updates);
         this.closeModal();
-        this.renderScheduleTable();
-        alert('排班更新成功！');
+        this.renderActivities();
     }
 
-    deleteSchedule(id) {
-        const schedule = this.dataManager.schedules.find(s => s.id === id);
-        if (!schedule) return;
-
-        if (confirm(`确定要删除 ${schedule.date} 的 ${schedule.activityName} 排班吗？`)) {
-            this.dataManager.deleteSchedule(id);
-            this.renderScheduleTable();
-            alert('排班已删除');
+    deleteActivity(id) {
+        if (confirm('确定要删除这个活动吗？')) {
+            this.dataManager.deleteActivity(id);
+            this.renderActivities();
         }
     }
 
-    // ==================== 成员管理 ====================
-    renderMembers() {
-        const tbody = document.querySelector('#membersTable tbody');
-        const members = this.dataManager.members;
-
-        document.getElementById('totalMembers').textContent = members.length;
-        document.getElementById('activeMembers').textContent =
-            members.filter(m => m.status === 'active').length;
+    // ==================== 统计分析 ====================
+    renderStatistics() {
+        const activitySelect = document.getElementById('statsActivity');
+        const selectedActivity = activitySelect.value;
+        activitySelect.innerHTML = `
+            <option value="">全部活动</option>
+            ${this.dataManager.activities.map(activity => `
+                <option value="${activity.id}" ${activity.id === selectedActivity ? 'selected' : ''}>${activity.name}</option>
+            `).join('')}
+        `;
 
-        if (members.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="5" style="text-align: center; padding: 40px;">
-                        <div class="empty-state">
-                            <div class="empty-state-icon">👥</div>
-                            <div class="empty-state-text">暂无成员</div>
-                            <div class="empty-state-subtext">点击上方"添加成员"按钮添加团队成员</div>
-                        </div>
-                    </td>
-                </tr>
+        const stats = new StatisticsCalculator(this.dataManager).compute({
+            startDate: document.getElementById('statsStartDate').value,
+            endDate: document.getElementById('statsEndDate').value,
+            activityId: activitySelect.value
+        });
+        const round = n => Math.round(n * 10) / 10;
+
+        document.getElementById('statsTotal').textContent = stats.schedules.length;
+        document.getElementById('statsGap').textContent = stats.gap;
+        document.getElementById('statsGapDetail').textContent = `最多 ${stats.max} 次 / 最少 ${stats.min} 次`;
+        document.getElementById('statsInterval').textContent =
+            stats.averageInterval === null ? '-' : round(stats.averageInterval);
+        document.getElementById('statsOverloaded').textContent = stats.rows.filter(r => r.overloaded).length;
+
+        const content = document.getElementById('statsContent');
+        if (stats.schedules.length === 0) {
+            content.innerHTML = `
+                <div class="empty-state" style="background: var(--card-bg); border-radius: 12px; padding: 60px 20px; box-shadow: var(--shadow);">
+                    <div class="empty-state-icon">📊</div>
+                    <div class="empty-state-text">所选范围内没有排班</div>
+                    <div class="empty-state-subtext">生成排班或调整筛选条件后再查看统计</div>
+                </div>
             `;
             return;
         }
 
-        tbody.innerHTML = members.map(member => `
-            <tr>
-                <td>${member.name}</td>
-                <td>${member.email || '-'}</td>
-                <td>
-                    <span class="status-badge status-${member.status}">
-                        ${member.status === 'active' ? '活跃' : '暂停'}
-                    </span>
-                </td>
-                <td>${member.participationCount || 0}</td>
-                <td>
-                    <button class="btn btn-sm btn-secondary" onclick="uiManager.editMember('${member.id}')">编辑</button>
-                    <button class="btn btn-sm btn-danger" onclick="uiManager.deleteMember('${member.id}')">删除</button>
-                </td>
-            </tr>
-        `).join('');
-    }
-
-    showAddMemberModal() {
-        const modalBody = document.getElementById('modalBody');
-        modalBody.innerHTML = `
-            <h2>添加成员</h2>
-            <div class="tabs" style="margin-bottom: 20px;">
-                <button type="button" class="tab-btn active" onclick="uiManager.switchAddMemberTab('single')">单个添加</button>
-                <button type="button" class="tab-btn" onclick="uiManager.switchAddMemberTab('batch')">批量导入</button>
+        const series = stats.activities.map(activity => ({
+            name: activity.name,
+            color: this.getActivityColor(activity.id)
+        }));
+        const rows = [...stats.rows].sort((a, b) => b.total - a.total);
+
+        content.innerHTML = `
+            <div class="chart-card">
+                <h3>成员负担（按活动）</h3>
+                <div class="form-hint">虚线为活跃成员的平均次数 ${round(stats.mean)}</div>
+                ${SvgChart.stackedBars(
+                    rows.map(row => ({
+                        label: row.member.name,
+                        values: stats.activities.map(a => row.byActivity[a.id])
+                    })),
+                    series,
+                    { marker: stats.mean }
+                )}
+                ${SvgChart.legend(series)}
             </div>
 
-            <div id="singleAddTab">
-                <form id="addMemberForm">
-                    <div class="form-group">
-                        <label>姓名 *</label>
-                        <input type="text" id="memberName" required>
-                    </div>
-                    <div class="form-group">
-                        <label>邮箱</label>
-                        <input type="email" id="memberEmail">
-                    </div>
-                    <div class="form-group">
-                        <label>状态</label>
-                        <select id="memberStatus">
-                            <option value="active">活跃</option>
-                            <option value="inactive">暂停</option>
-                        </select>
-                    </div>
-                    <div class="form-actions">
-                        <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
-                        <button type="submit" class="btn btn-primary">添加</button>
-                    </div>
-                </form>
+            <div class="chart-card">
+                <h3>每月趋势</h3>
+                <div class="form-hint">柱形为当月排班数，折线为当月活跃成员之间最多与最少次数的差距</div>
+                ${SvgChart.stackedColumns(
+                    stats.months.map(month => ({
+                        label: month.month.substring(2).replace('-', '/'),
+                        values: stats.activities.map(a => month.byActivity[a.id])
+                    })),
+                    series,
+                    { name: '差距', values: stats.months.map(month => month.gap) }
+                )}
+                ${SvgChart.legend([...series, { name: '成员差距', color: 'var(--danger-color)' }])}
             </div>
 
-            <div id="batchAddTab" style="display: none;">
-                <form id="batchAddMemberForm">
-                    <div class="form-group">
-                        <label>批量添加成员</label>
-                        <p style="color: #64748b; font-size: 0.9rem; margin-bottom: 10px;">
-                            每行一个成员，格式：姓名 或 姓名,邮箱<br>
-                            例如：<br>
-                            张三<br>
-                            李四,lisi@example.com<br>
-                            王五,wangwu@example.com
-                        </p>
-                        <textarea id="batchMemberInput" rows="10" placeholder="张三&#10;李四,lisi@example.com&#10;王五,wangwu@example.com" required></textarea>
-                    </div>
-                    <div class="form-group">
-                        <label>默认状态</label>
-                        <select id="batchMemberStatus">
-                            <option value="active">活跃</option>
-                            <option value="inactive">暂停</option>
-                        </select>
-                    </div>
-                    <div class="form-actions">
-                        <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
-                        <button type="submit" class="btn btn-primary">批量添加</button>
-                    </div>
-                </form>
+            <div class="table-container">
+                <h3>明细</h3>
+                <div class="form-hint">比平均多 20% 且至少多 2 次的活跃成员标记为超负荷</div>
+                <table class="stats-table">
+                    <thead>
+                        <tr>
+                            <th>成员</th>
+                            ${stats.activities.map(a => `<th>${a.name}</th>`).join('')}
+                            <th>合计</th>
+                            <th>与平均相差</th>
+                            <th>已完成</th>
+                            <th>平均间隔</th>
+                            <th>最短间隔</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr class="${row.overloaded ? 'overloaded-row' : ''}">
+                                <td>
+                                    ${row.member.name}
+                                    ${row.member.status === 'active' ? '' : '<span class="status-badge status-inactive">暂停</span>'}
+                                    ${row.overloaded ? '<span class="conflict-badge">超负荷</span>' : ''}
+                                </td>
+                                ${stats.activities.map(a => `<td>${row.byActivity[a.id]}</td>`).join('')}
+                                <td><strong>${row.total}</strong></td>
+                                <td>${row.deviation > 0 ? '+' : ''}${round(row.deviation)}</td>
+                                <td>${row.completed}</td>
+                                <td>${row.averageInterval === null ? '-' : `${round(row.averageInterval)} 天`}</td>
+                                <td>${row.minInterval === null ? '-' : `${row.minInterval} 天`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td>差距（最多 - 最少）</td>
+                            ${stats.activities.map(a => `<td>${stats.activityGaps[a.id]}</td>`).join('')}
+                            <td>${stats.gap}</td>
+                            <td colspan="4"></td>
+                        </tr>
+                    </tfoot>
+                </table>
             </div>
         `;
+    }
 
-        document.getElementById('addMemberForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addMember();
-        });
+    // ==================== 设置管理 ====================
+    renderSettings() {
+        const settings = this.dataManager.settings;
+        document.getElementById('algorithmSelect').value = settings.algorithm;
+        document.getElementById('notificationEnabled').checked = settings.notificationEnabled;
+        document.getElementById('notificationDays').value = settings.notificationDays;
+        document.getElementById('reminderTime').value = settings.reminderTime;
+        document.getElementById('randomSeed').value = settings.randomSeed || '';
+
+        const email = this.notificationManager.emailReminder.settings;
+        document.getElementById('emailEnabled').checked = email.enabled;
+        document.getElementById('emailRelayUrl').value = email.relayUrl;
+        document.getElementById('emailRelayToken').value = email.relayToken;
+        document.getElementById('emailFrom').value = email.from;
+        document.getElementById('emailSubject').value = email.subject;
+        document.getElementById('emailBody').value = email.body;
+        document.getElementById('webhookProxyUrl').value = settings.webhookProxyUrl || '';
+        this.renderWebhooks();
+        document.getElementById('emailPlaceholderHint').textContent =
+            `可用占位符：${EMAIL_PLACEHOLDERS.map(name => `{${name}}`).join(' ')}`;
+        document.getElementById('lastSeedHint').textContent = settings.lastSeed ? `上次生成使用的种子：${settings.lastSeed}` : '';
+
+        const rules = this.conflictChecker.rules;
+        document.getElementById('conflictSameDay').checked = rules.sameDay;
+        document.getElementById('conflictNoConsecutive').checked = rules.noConsecutive;
+        document.getElementById('conflictMinGapDays').value = rules.minGapDays;
+        document.getElementById('conflictMaxPerWeek').value = rules.maxPerWeek;
+
+        document.getElementById('blockWeekends').checked = settings.blockWeekends;
+        this.renderBlackouts();
+        this.renderSyncStatus();
+    }
 
-        document.getElementById('batchAddMemberForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.batchAddMembers();
+    // ==================== 节假日管理 ====================
+    renderBlackouts() {
+        const list = document.getElementById('blackoutList');
+        const blackouts = this.dataManager.settings.blackouts || [];
+
+        if (blackouts.length === 0) {
+            list.innerHTML = '<div class="empty-state-subtext">暂无停摆日期</div>';
+            return;
+        }
+
+        list.innerHTML = blackouts.map((range, index) => `
+            <div class="blackout-item">
+                <span>${range.start === range.end ? range.start : `${range.start} 至 ${range.end}`}</span>
+                <span class="blackout-name">${range.name || '停摆日'}</span>
+                <button class="btn btn-sm btn-danger" onclick="uiManager.deleteBlackout(${index})">删除</button>
+            </div>
+        `).join('');
+    }
+
+    // 合并新的停摆日期段，完全相同的日期段只保留一个
+    saveBlackouts(ranges) {
+        const blackouts = [...(this.dataManager.settings.blackouts || [])];
+        ranges.forEach(range => {
+            if (!blackouts.some(r => r.start === range.start && r.end === range.end)) {
+                blackouts.push(range);
+            }
         });
+        blackouts.sort((a, b) => a.start.localeCompare(b.start));
 
-        this.openModal();
+        this.dataManager.updateSettings({ blackouts });
+        this.renderBlackouts();
+        this.renderCalendar();
     }
 
-    switchAddMemberTab(tab) {
-        const singleTab = document.getElementById('singleAddTab');
-        const batchTab = document.getElementById('batchAddTab');
-        const buttons = document.querySelectorAll('#modalBody .tab-btn');
+    addBlackout() {
+        const start = document.getElementById('blackoutStart').value;
+        const end = document.getElementById('blackoutEnd').value || start;
+        const name = document.getElementById('blackoutName').value.trim();
 
-        if (tab === 'single') {
-            singleTab.style.display = 'block';
-            batchTab.style.display = 'none';
-            buttons[0].classList.add('active');
-            buttons[1].classList.remove('active');
-        } else {
-            singleTab.style.display = 'none';
-            batchTab.style.display = 'block';
-            buttons[0].classList.remove('active');
-            buttons[1].classList.add('active');
+        if (!start) {
+            alert('请选择开始日期');
+            return;
+        }
+        if (start > end) {
+            alert('结束日期不能早于开始日期');
+            return;
         }
+
+        this.saveBlackouts([{ start, end, name }]);
+        document.getElementById('blackoutStart').value = '';
+        document.getElementById('blackoutEnd').value = '';
+        document.getElementById('blackoutName').value = '';
     }
 
-    batchAddMembers() {
-        const input = document.getElementById('batchMemberInput').value;
-        const defaultStatus = document.getElementById('batchMemberStatus').value;
+    deleteBlackout(index) {
+        const blackouts = [...this.dataManager.settings.blackouts];
+        blackouts.splice(index, 1);
+        this.dataManager.updateSettings({ blackouts });
+        this.renderBlackouts();
+        this.renderCalendar();
+    }
 
+    importBlackoutList() {
+        const input = document.getElementById('blackoutListInput').value;
         if (!input.trim()) {
-            alert('请输入成员信息');
+            alert('请输入停摆日期');
             return;
         }
 
-        const lines = input.trim().split('\n').filter(line => line.trim());
-        const members = [];
-        const errors = [];
+        const { ranges, errors } = HolidayCalendar.parseList(input);
+        if (errors.length > 0) {
+            alert('导入出错：\n' + errors.join('\n'));
+            return;
+        }
 
-        lines.forEach((line, index) => {
-            const trimmedLine = line.trim();
-            if (!trimmedLine) return;
+        this.saveBlackouts(ranges);
+        document.getElementById('blackoutListInput').value = '';
+        alert(`成功导入 ${ranges.length} 个停摆日期`);
+    }
 
-            const parts = trimmedLine.split(',').map(p => p.trim());
-            const name = parts[0];
-            const email = parts[1] || '';
+    importBlackoutFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-            if (!name) {
-                errors.push(`第${index + 1}行：姓名不能为空`);
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+            let ranges;
+            if (text.includes('BEGIN:VCALENDAR')) {
+                ranges = HolidayCalendar.parseICS(text);
+            } else {
+                const result = HolidayCalendar.parseList(text);
+                if (result.errors.length > 0) {
+                    alert('导入出错：\n' + result.errors.join('\n'));
+                    return;
+                }
+                ranges = result.ranges;
+            }
+
+            if (ranges.length === 0) {
+                alert('文件中没有找到日期');
                 return;
             }
 
-            members.push({
-                name: name,
-                email: email,
-                status: defaultStatus
-            });
-        });
+            this.saveBlackouts(ranges);
+            alert(`成功导入 ${ranges.length} 个停摆日期`);
+        };
+        reader.readAsText(file);
 
-        if (errors.length > 0) {
-            alert('导入出错：\n' + errors.join('\n'));
-            return;
-        }
+        // 重置文件输入
+        event.target.value = '';
+    }
 
-        if (members.length === 0) {
-            alert('没有有效的成员数据');
-            return;
-        }
+    updateEmailSettings() {
+        this.dataManager.updateSettings({
+            email: {
+                enabled: document.getElementById('emailEnabled').checked,
+                relayUrl: document.getElementById('emailRelayUrl').value.trim(),
+                relayToken: document.getElementById('emailRelayToken').value.trim(),
+                from: document.getElementById('emailFrom').value.trim(),
+                subject: document.getElementById('emailSubject').value,
+                body: document.getElementById('emailBody').value
+            }
+        });
+    }
 
-        // 添加所有成员
-        members.forEach(member => {
-            this.dataManager.addMember(member);
+    updateConflictRules() {
+        this.dataManager.updateSettings({
+            conflictRules: {
+                sameDay: document.getElementById('conflictSameDay').checked,
+                noConsecutive: document.getElementById('conflictNoConsecutive').checked,
+                minGapDays: parseInt(document.getElementById('conflictMinGapDays').value) || 0,
+                maxPerWeek: parseInt(document.getElementById('conflictMaxPerWeek').value) || 0
+            }
         });
+        this.renderSchedules();
+    }
 
-        this.closeModal();
-        this.renderMembers();
-        alert(`成功添加 ${members.length} 个成员！`);
+    downloadFile(content, filename, type) {
+        const dataBlob = new Blob([content], { type: type });
+
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
     }
 
-    addMember() {
-        const member = {
-            name: document.getElementById('memberName').value,
-            email: document.getElementById('memberEmail').value,
-            status: document.getElementById('memberStatus').value
-        };
+    exportData() {
+        const data = this.dataManager.exportData();
+        const dataStr = JSON.stringify(data, null, 2);
+        this.downloadFile(dataStr, `scheduling-system-backup-${data.teamName}-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        alert('数据导出成功！');
+    }
 
-        this.dataManager.addMember(member);
-        this.closeModal();
-        this.renderMembers();
+    // ==================== 邮件提醒 ====================
+    // 自动发送邮件或机器人汇总时出错的原因，显示在通知提醒设置中
+    renderReminderError() {
+        const error = this.notificationManager.lastError;
+        const element = document.getElementById('reminderError');
+        element.style.display = error ? '' : 'none';
+        if (!error) return;
+        const at = new Date(error.at);
+        const time = `${DateUtils.format(at)} ${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+        element.textContent = `⚠️ ${time} 自动发送${error.channel}出错：${error.message}`;
     }
 
-    editMember(id) {
-        const member = this.dataManager.members.find(m => m.id === id);
-        if (!member) return;
+    showEmailReminderModal() {
+        const today = DateUtils.today();
+        const reminder = this.notificationManager.emailReminder;
 
         const modalBody = document.getElementById('modalBody');
         modalBody.innerHTML = `
-            <h2>编辑成员</h2>
-            <form id="editMemberForm">
-                <div class="form-group">
-                    <label>姓名 *</label>
-                    <input type="text" id="memberName" value="${member.name}" required>
-                </div>
-                <div class="form-group">
-                    <label>邮箱</label>
-                    <input type="email" id="memberEmail" value="${member.email || ''}">
-                </div>
-                <div class="form-group">
-                    <label>状态</label>
-                    <select id="memberStatus">
-                        <option value="active" ${member.status === 'active' ? 'selected' : ''}>活跃</option>
-                        <option value="inactive" ${member.status === 'inactive' ? 'selected' : ''}>暂停</option>
-                    </select>
-                </div>
-                <div class="form-actions">
-                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
-                    <button type="submit" class="btn btn-primary">保存</button>
+            <h2>发送邮件提醒</h2>
+            <div class="schedule-filter">
+                <div style="display: flex; gap: 15px; align-items: center; flex-wrap: wrap;">
+                    <div>
+                        <label>日期：</label>
+                        <input type="date" id="emailStartDate" class="filter-input" value="${today}">
+                        <span>至</span>
+                        <input type="date" id="emailEndDate" class="filter-input" value="${DateUtils.addDays(today, this.dataManager.settings.notificationDays)}">
+                    </div>
+                    <label><input type="checkbox" id="emailIncludeSent"> 包含已发送的</label>
                 </div>
-            </form>
+            </div>
+            <div id="emailReminderList" class="preview-list"></div>
+            <div class="form-hint">
+                ${reminder.hasRelay()
+                    ? `将通过中继 ${reminder.settings.relayUrl} 逐封发送，失败的会记录原因，可再次发送`
+                    : '尚未配置邮件中继，可下载 .eml 文件（用邮件客户端打开后发送）或生成 mailto 链接'}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">关闭</button>
+                <button type="button" class="btn btn-secondary" onclick="uiManager.showMailtoLinks()">生成 mailto 链接</button>
+                <button type="button" class="btn btn-secondary" onclick="uiManager.downloadEmlFiles()">下载 .eml</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.sendEmailsViaRelay()" ${reminder.hasRelay() ? '' : 'disabled'}>通过中继发送</button>
+            </div>
+        `;
+
+        ['emailStartDate', 'emailEndDate', 'emailIncludeSent'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderEmailReminderList());
+        });
+        this.renderEmailReminderList();
+        this.openModal();
+    }
+
+    getEmailReminderSchedules() {
+        return this.notificationManager.emailReminder.getSchedules(
+            document.getElementById('emailStartDate').value,
+            document.getElementById('emailEndDate').value,
+            document.getElementById('emailIncludeSent').checked
+        );
+    }
+
+    describeEmailLog(entry) {
+        if (!entry) return '未发送';
+        const methodText = { relay: '中继', eml: '.eml', mailto: 'mailto' };
+        const statusText = { sent: '✅ 已发送', failed: '❌ 发送失败', generated: '📝 已生成' };
+        const time = `${entry.at.split('T')[0]} ${entry.at.slice(11, 16)}`;
+        return `${statusText[entry.status]}（${methodText[entry.method]}，${time}）${entry.error ? `：${entry.error}` : ''}`;
+    }
+
+    // 排班的邮件提醒记录，悬停查看每次发送的结果
+    renderEmailBadge(schedule) {
+        const log = schedule.emailLog || [];
+        if (log.length === 0) return '';
+        const last = log[log.length - 1];
+        const icon = { sent: '✉️', failed: '⚠️', generated: '📝' }[last.status];
+        return `<span class="email-badge" title="${log.map(entry => this.describeEmailLog(entry)).join('\n')}">${icon}</span>`;
+    }
+
+    renderEmailReminderList() {
+        const reminder = this.notificationManager.emailReminder;
+        const messages = this.getEmailReminderSchedules().map(schedule => reminder.compose(schedule));
+        const list = document.getElementById('emailReminderList');
+
+        if (messages.length === 0) {
+            list.innerHTML = '<div class="empty-state"><p>该日期范围内没有需要提醒的排班</p></div>';
+            return;
+        }
+
+        const sample = messages.find(m => m.to) || messages[0];
+        list.innerHTML = `
+            <table class="schedule-table">
+                <thead>
+                    <tr><th>日期</th><th>活动</th><th>负责人</th><th>邮箱</th><th>发送记录</th></tr>
+                </thead>
+                <tbody>
+                    ${messages.map(message => `
+                        <tr>
+                            <td>${message.schedule.date}</td>
+                            <td>${this.getScheduleTitle(message.schedule)}</td>
+                            <td>${message.schedule.memberName}</td>
+                            <td>${message.to || '<span class="form-hint">未填写邮箱，将跳过</span>'}</td>
+                            <td title="${(message.schedule.emailLog || []).map(entry => this.describeEmailLog(entry)).join('\n')}">
+                                ${this.describeEmailLog(reminder.getLastLog(message.schedule))}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <details class="form-group">
+                <summary>邮件预览（${sample.schedule.memberName}）</summary>
+                <div class="email-preview"><strong>${sample.subject}</strong>\n\n${sample.body}</div>
+            </details>
         `;
+    }
+
+    async sendEmailsViaRelay() {
+        const schedules = this.getEmailReminderSchedules();
+        if (schedules.length === 0) {
+            alert('没有需要发送的提醒');
+            return;
+        }
 
-        document.getElementById('editMemberForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.updateMember(id);
-        });
+        try {
+            const result = await this.notificationManager.emailReminder.sendAll(schedules);
+            this.renderEmailReminderList();
+            this.renderSchedules();
+            const lines = [`已发送 ${result.sent} 封`];
+            if (result.skipped > 0) lines.push(`${result.skipped} 位负责人未填写邮箱，已跳过`);
+            if (result.failed.length > 0) {
+                lines.push(`${result.failed.length} 封发送失败：`);
+                result.failed.forEach(({ message, error }) => lines.push(`${message.schedule.date} ${message.schedule.memberName}：${error}`));
+            }
+            alert(lines.join('\n'));
+        } catch (error) {
+            alert('发送失败：' + error.message);
+        }
+    }
 
-        this.openModal();
+    // 当前选择范围内有邮箱的提醒邮件
+    getEmailReminderMessages() {
+        const reminder = this.notificationManager.emailReminder;
+        return this.getEmailReminderSchedules().map(schedule => reminder.compose(schedule)).filter(m => m.to);
     }
 
-    updateMember(id) {
-        const updates = {
-            name: document.getElementById('memberName').value,
-            email: document.getElementById('memberEmail').value,
-            status: document.getElementById('memberStatus').value
-        };
+    downloadEmlFiles() {
+        const reminder = this.notificationManager.emailReminder;
+        const messages = this.getEmailReminderMessages();
+        if (messages.length === 0) {
+            alert('没有可生成的邮件，请确认负责人填写了邮箱');
+            return;
+        }
 
-        this.dataManager.updateMember(id, updates);
-        this.closeModal();
-        this.renderMembers();
+        messages.forEach(message => {
+            this.downloadFile(
+                reminder.buildEml(message),
+                `排班提醒-${message.schedule.date}-${message.schedule.memberName}.eml`,
+                'message/rfc822'
+            );
+        });
+        reminder.markGenerated(messages, 'eml');
+        this.renderEmailReminderList();
+        this.renderSchedules();
+        alert(`已生成 ${messages.length} 封邮件草稿，用邮件客户端打开后发送`);
     }
 
-    deleteMember(id) {
-        if (confirm('确定要删除这个成员吗？')) {
-            this.dataManager.deleteMember(id);
-            this.renderMembers();
+    showMailtoLinks() {
+        const reminder = this.notificationManager.emailReminder;
+        const messages = this.getEmailReminderMessages();
+        if (messages.length === 0) {
+            alert('没有可生成的邮件，请确认负责人填写了邮箱');
+            return;
         }
+
+        reminder.markGenerated(messages, 'mailto');
+        this.renderSchedules();
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>mailto 链接</h2>
+            <div class="form-hint">逐个点击链接，会在默认邮件客户端中打开填好的邮件</div>
+            <ul class="mailto-list">
+                ${messages.map(message => `
+                    <li>
+                        <a href="${reminder.buildMailto(message)}">✉️ ${message.schedule.date} ${this.getScheduleTitle(message.schedule)} → ${message.schedule.memberName}（${message.to}）</a>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.showEmailReminderModal()">返回</button>
+                <button type="button" class="btn btn-primary" onclick="uiManager.closeModal()">完成</button>
+            </div>
+        `;
+
+        this.openModal();
     }
 
-    // ==================== 活动管理 ====================
-    renderActivities() {
-        const grid = document.getElementById('activityGrid');
-        const activities = this.dataManager.activities;
+    // ==================== 群聊机器人 ====================
+    renderWebhooks() {
+        const list = document.getElementById('webhookList');
+        const webhooks = this.dataManager.settings.webhooks || [];
 
-        if (activities.length === 0) {
-            grid.innerHTML = `
-                <div class="empty-state" style="grid-column: 1/-1;">
-                    <div class="empty-state-icon">🎯</div>
-                    <div class="empty-state-text">暂无活动</div>
-                    <div class="empty-state-subtext">点击上方"添加活动"按钮创建团队活动</div>
-                </div>
-            `;
+        if (webhooks.length === 0) {
+            list.innerHTML = '<div class="empty-state-subtext">暂无机器人</div>';
             return;
         }
 
-        grid.innerHTML = activities.map(activity => `
-            <div class="activity-card">
-                <h3>${activity.name}</h3>
-                <div class="activity-card-info">
-                    📝 ${activity.description || '暂无描述'}
-                </div>
-                <div class="activity-card-info">
-                    🔄 每${activity.frequency}${this.getFrequencyUnitText(activity.frequencyUnit)}
-                </div>
-                <div class="activity-card-actions">
-                    <button class="btn btn-sm btn-secondary" onclick="uiManager.editActivity('${activity.id}')">编辑</button>
-                    <button class="btn btn-sm btn-danger" onclick="uiManager.deleteActivity('${activity.id}')">删除</button>
-                </div>
+        list.innerHTML = webhooks.map(webhook => `
+            <div class="blackout-item">
+                <label>
+                    <input type="checkbox" ${webhook.enabled ? 'checked' : ''} onchange="uiManager.toggleWebhook('${webhook.id}', this.checked)">
+                    ${webhook.name}
+                </label>
+                <span class="blackout-name">${CHAT_PLATFORMS[webhook.platform]}${webhook.secret ? ' · 已加签' : ''}</span>
+                <button class="btn btn-sm btn-secondary" onclick="uiManager.testWebhook('${webhook.id}')">测试</button>
+                <button class="btn btn-sm btn-danger" onclick="uiManager.deleteWebhook('${webhook.id}')">删除</button>
             </div>
         `).join('');
     }
 
-    getFrequencyUnitText(unit) {
-        const units = {
-            'days': '天',
-            'weeks': '周',
-            'months': '月'
-        };
-        return units[unit] || unit;
+    addWebhook() {
+        const platform = document.getElementById('webhookPlatform').value;
+        const name = document.getElementById('webhookName').value.trim();
+        const url = document.getElementById('webhookUrl').value.trim();
+        const secret = document.getElementById('webhookSecret').value.trim();
+
+        if (!/^https?:\/\//.test(url)) {
+            alert('请填写以 http:// 或 https:// 开头的 Webhook 地址');
+            return;
+        }
+
+        const webhooks = [...(this.dataManager.settings.webhooks || []), {
+            id: Date.now().toString(),
+            name: name || CHAT_PLATFORMS[platform],
+            platform,
+            url,
+            secret,
+            enabled: true
+        }];
+        this.dataManager.updateSettings({ webhooks });
+
+        document.getElementById('webhookName').value = '';
+        document.getElementById('webhookUrl').value = '';
+        document.getElementById('webhookSecret').value = '';
+        this.renderWebhooks();
     }
 
-    showAddActivityModal() {
+    toggleWebhook(id, enabled) {
+        this.dataManager.updateSettings({
+            webhooks: this.dataManager.settings.webhooks.map(w => (w.id === id ? { ...w, enabled } : w))
+        });
+    }
+
+    deleteWebhook(id) {
+        const webhook = this.dataManager.settings.webhooks.find(w => w.id === id);
+        if (!webhook || !confirm(`确定要删除机器人"${webhook.name}"吗？`)) return;
+        this.dataManager.updateSettings({
+            webhooks: this.dataManager.settings.webhooks.filter(w => w.id !== id)
+        });
+        this.renderWebhooks();
+    }
+
+    async testWebhook(id) {
+        try {
+            const entry = await this.notificationManager.chatNotifier.sendTest(id);
+            alert(entry.status === 'sent'
+                ? `测试消息已发送到"${entry.webhookName}"`
+                : `发送失败：${entry.error}`);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    showWebhookLog() {
+        const log = this.notificationManager.chatNotifier.loadLog().slice().reverse();
+        const kindText = { digest: '值班汇总', test: '测试' };
+        const formatTime = iso => `${iso.split('T')[0]} ${iso.slice(11, 16)}`;
+
         const modalBody = document.getElementById('modalBody');
         modalBody.innerHTML = `
-            <h2>添加活动</h2>
-            <form id="addActivityForm">
-                <div class="form-group">
-                    <label>活动名称 *</label>
-                    <input type="text" id="activityName" placeholder="例如：技术分享会" required>
-                </div>
-                <div class="form-group">
-                    <label>活动描述</label>
-                    <textarea id="activityDescription" rows="3" placeholder="简要描述活动内容"></textarea>
-                </div>
-                <div class="form-group">
-                    <label>活动频率 *</label>
-                    <div style="display: flex; gap: 10px;">
-                        <input type="number" id="activityFrequency" value="1" min="1" required style="flex: 1;">
-                        <select id="activityFrequencyUnit" style="flex: 1;">
-                            <option value="days">天</option>
-                            <option value="weeks" selected>周</option>
-                            <option value="months">月</option>
-                        </select>
-                    </div>
-                </div>
-                <div class="form-actions">
-                    <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
-                    <button type="submit" class="btn btn-primary">添加</button>
-                </div>
-            </form>
+            <h2>机器人投递记录</h2>
+            <div class="form-hint">失败的值班汇总会在当天自动重试，最多 ${WEBHOOK_MAX_ATTEMPTS} 次；也可以手动重试</div>
+            <div class="preview-list">
+                ${log.length === 0 ? '<div class="empty-state"><p>暂无投递记录</p></div>' : `
+                    <table class="schedule-table">
+                        <thead>
+                            <tr><th>时间</th><th>机器人</th><th>内容</th><th>结果</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${log.map(entry => `
+                                <tr>
+                                    <td>${formatTime(entry.lastAttemptAt || entry.at)}</td>
+                                    <td>${entry.webhookName}（${CHAT_PLATFORMS[entry.platform] || entry.platform}）</td>
+                                    <td>${kindText[entry.kind]}${entry.scheduleIds ? `，${entry.scheduleIds.length} 条排班` : ''}</td>
+                                    <td>
+                                        ${entry.status === 'sent' ? '✅ 成功' : `❌ ${entry.error}`}
+                                        <div class="change-meta">第 ${entry.attempts} 次尝试${entry.nextRetryAt ? `，${formatTime(entry.nextRetryAt)} 自动重试` : ''}</div>
+                                    </td>
+                                    <td>
+                                        ${entry.status === 'failed' && entry.payload ? `<button class="btn btn-sm btn-secondary" onclick="uiManager.retryWebhookDelivery('${entry.id}')">重试</button>` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="uiManager.closeModal()">关闭</button>
+            </div>
         `;
 
-        document.getElementById('addActivityForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addActivity();
-        });
-
         this.openModal();
     }
 
-    addActivity() {
-        const activity = {
-            name: document.getElementById('activityName').value,
-            description: document.getElementById('activityDescription').value,
-            frequency: document.getElementById('activityFrequency').value,
-            frequencyUnit: document.getElementById('activityFrequencyUnit').value
-        };
+    async retryWebhookDelivery(id) {
+        try {
+            const entry = await this.notificationManager.chatNotifier.retry(id);
+            if (entry.status === 'failed') {
+                alert(`重试失败：${entry.error}`);
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+        this.showWebhookLog();
+    }
 
-        this.dataManager.addActivity(activity);
-        this.closeModal();
-        this.renderActivities();
+    // ==================== 同步服务器 ====================
+    renderSyncStatus() {
+        const backend = this.dataManager.backend;
+        const connected = backend instanceof ServerSyncBackend;
+        const config = ServerSyncBackend.loadConfig() || {};
+        const urlInput = document.getElementById('syncServerUrl');
+        // 正在输入时不覆盖
+        if (document.activeElement !== urlInput) urlInput.value = config.url || '';
+        document.getElementById('syncServerToken').value = config.token || '';
+        document.getElementById('connectSyncBtn').textContent = connected ? '更换服务器' : '连接';
+        document.getElementById('syncNowBtn').style.display = connected ? '' : 'none';
+        document.getElementById('disconnectSyncBtn').style.display = connected ? '' : 'none';
+
+        const status = connected ? backend.status : null;
+        const pending = connected && backend.dirty.size > 0 ? `，${backend.dirty.size} 项修改等待推送` : '';
+        document.getElementById('syncStatus').textContent = !status ? '未连接，数据只保存在本机'
+            : status.state === 'syncing' ? '正在同步…'
+            : status.state === 'error' ? `同步失败：${status.error}${pending}，恢复连接后会自动重试`
+            : status.syncedAt ? `已同步（${new Date(status.syncedAt).toLocaleTimeString()}）${pending}`
+            : '等待同步';
     }
 
-    editActivity(id) {
-        const activity = this.dataManager.activities.find(a => a.id === id);
-        if (!activity) return;
+    async connectSyncServer() {
+        const url = document.getElementById('syncServerUrl').value.trim();
+        const token = document.getElementById('syncServerToken').value.trim();
+        if (!url) {
+            alert('请填写同步服务器地址');
+            return;
+        }
+
+        let remoteTeams;
+        try {
+            remoteTeams = (await new ServerSyncBackend({ url, token }).request('GET', '/api/teams')).body;
+        } catch (error) {
+            alert(`无法连接同步服务器：${error.message}`);
+            return;
+        }
+
+        const shared = remoteTeams.filter(team => this.dataManager.teams.some(t => t.id === team.id));
+        const message = shared.length > 0
+            ? `服务器上已有团队"${shared.map(t => t.name).join('、')}"，连接后这些团队以服务器上的数据为准，本机的数据将被替换（建议先导出备份）；其他团队会上传到服务器。确定连接吗？`
+            : `服务器上有 ${remoteTeams.length} 个团队，连接后会下载到本机，本机的团队会上传到服务器。确定连接吗？`;
+        if (!confirm(message)) return;
 
+        ServerSyncBackend.saveConfig({ url, token });
+        location.reload();
+    }
+
+    disconnectSyncServer() {
+        if (!confirm('断开后数据只保存在本机，其他人的修改不再同步过来。确定断开吗？')) return;
+        ServerSyncBackend.saveConfig(null);
+        location.reload();
+    }
+
+    showSyncConflicts(key, conflicts) {
+        const parsed = DataManager.parseTeamKey(key);
+        const team = parsed && this.dataManager.teams.find(t => t.id === parsed.teamId);
+        const name = parsed ? (IMPORT_COLLECTION_NAMES[parsed.key] || '设置') : '数据';
+        alert(`${team ? `团队"${team.name}"的` : ''}${name}同时被其他人修改，以下 ${conflicts.length} 项双方都改过，已保留服务器上的版本：\n${conflicts.slice(0, 10).join('\n')}${conflicts.length > 10 ? '\n…' : ''}`);
+    }
+
+    // ==================== 日历导出 ====================
+    showExportCalendarModal() {
         const modalBody = document.getElementById('modalBody');
         modalBody.innerHTML = `
-            <h2>编辑活动</h2>
-            <form id="editActivityForm">
+            <h2>导出日历（.ics）</h2>
+            <form id="exportCalendarForm">
                 <div class="form-group">
-                    <label>活动名称 *</label>
-                    <input type="text" id="activityName" value="${activity.name}" required>
+                    <label>导出范围</label>
+                    <select id="calendarScope">
+                        <option value="all">全部排班</option>
+                        <option value="member">指定成员</option>
+                        <option value="activity">指定活动</option>
+                        <option value="perMember">每位成员分别导出一个文件</option>
+                    </select>
                 </div>
-                <div class="form-group">
-                    <label>活动描述</label>
-                    <textarea id="activityDescription" rows="3">${activity.description || ''}</textarea>
+                <div class="form-group" id="calendarMemberGroup" style="display: none;">
+                    <label>成员</label>
+                    <select id="calendarMember">
+                        ${this.dataManager.members.map(member => `
+                            <option value="${member.id}">${member.name}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group" id="calendarActivityGroup" style="display: none;">
+                    <label>活动</label>
+                    <select id="calendarActivity">
+                        ${this.dataManager.activities.map(activity => `
+                            <option value="${activity.id}">${activity.name}</option>
+                        `).join('')}
+                    </select>
                 </div>
                 <div class="form-group">
-                    <label>活动频率 *</label>
-                    <div style="display: flex; gap: 10px;">
-                        <input type="number" id="activityFrequency" value="${activity.frequency}" min="1" required style="flex: 1;">
-                        <select id="activityFrequencyUnit" style="flex: 1;">
-                            <option value="days" ${activity.frequencyUnit === 'days' ? 'selected' : ''}>天</option>
-                            <option value="weeks" ${activity.frequencyUnit === 'weeks' ? 'selected' : ''}>周</option>
-                            <option value="months" ${activity.frequencyUnit === 'months' ? 'selected' : ''}>月</option>
-                        </select>
-                    </div>
+                    <label>
+                        <input type="checkbox" id="calendarUpcomingOnly" checked style="width: auto;">
+                        只导出今天及以后的排班
+                    </label>
                 </div>
                 <div class="form-actions">
                     <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
-                    <button type="submit" class="btn btn-primary">保存</button>
+                    <button type="submit" class="btn btn-primary">导出</button>
                 </div>
             </form>
         `;
 
-        document.getElementById('editActivityForm').addEventListener('submit', (e) => {
+        document.getElementById('calendarScope').addEventListener('change', (e) => {
+            document.getElementById('calendarMemberGroup').style.display = e.target.value === 'member' ? 'block' : 'none';
+            document.getElementById('calendarActivityGroup').style.display = e.target.value === 'activity' ? 'block' : 'none';
+        });
+
+        document.getElementById('exportCalendarForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.updateActivity(id);
+            this.exportCalendar();
         });
 
         this.openModal();
     }
 
-    updateActivity(id) {
-        const updates = {
-            name: document.getElementById('activityName').value,
-            description: document.getElementById('activityDescription').value,
-            frequency: document.getElementById('activityFrequency').value,
-            frequencyUnit: document.getElementById('activityFrequencyUnit').value
-        };
-
-        this.dataManager.updateActivity(id, updates);
-        this.closeModal();
-        this.renderActivities();
-    }
-
-    deleteActivity(id) {
-        if (confirm('确定要删除这个活动吗？')) {
-            this.dataManager.deleteActivity(id);
-            this.renderActivities();
+    exportCalendar() {
+        const scope = document.getElementById('calendarScope').value;
+        const today = DateUtils.today();
+        let schedules = this.dataManager.schedules;
+        if (document.getElementById('calendarUpcomingOnly').checked) {
+            schedules = schedules.filter(s => s.date >= today);
         }
-    }
 
-    // ==================== 设置管理 ====================
-    renderSettings() {
-        const settings = this.dataManager.settings;
-        document.getElementById('algorithmSelect').value = settings.algorithm;
-        document.getElementById('notificationEnabled').checked = settings.notificationEnabled;
-        document.getElementById('notificationDays').value = settings.notificationDays;
-    }
+        // 每个文件：{ name, schedules }
+        let files = [];
+        if (scope === 'all') {
+            files = [{ name: '团队排班', schedules }];
+        } else if (scope === 'member') {
+            const member = this.dataManager.members.find(m => m.id === document.getElementById('calendarMember').value);
+            if (!member) {
+                alert('请选择成员');
+                return;
+            }
+            files = [{ name: `${member.name}的排班`, schedules: schedules.filter(s => s.memberId === member.id) }];
+        } else if (scope === 'activity') {
+            const activity = this.dataManager.activities.find(a => a.id === document.getElementById('calendarActivity').value);
+            if (!activity) {
+                alert('请选择活动');
+                return;
+            }
+            files = [{ name: activity.name, schedules: schedules.filter(s => s.activityId === activity.id) }];
+        } else {
+            files = this.dataManager.members
+                .map(member => ({ name: `${member.name}的排班`, schedules: schedules.filter(s => s.memberId === member.id) }))
+                .filter(file => file.schedules.length > 0);
+        }
 
-    exportData() {
-        const data = this.dataManager.exportData();
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        files = files.filter(file => file.schedules.length > 0);
+        if (files.length === 0) {
+            alert('没有可导出的排班');
+            return;
+        }
 
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `scheduling-system-backup-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
+        const exporter = new ICalendarExporter(this.dataManager);
+        files.forEach(file => {
+            this.downloadFile(exporter.build(file.schedules, file.name), `${file.name}.ics`, 'text/calendar;charset=utf-8');
+        });
 
-        URL.revokeObjectURL(url);
-        alert('数据导出成功！');
+        this.closeModal();
+        alert(`已导出 ${files.length} 个日历文件，可导入 Outlook、Google 日历等日历软件`);
     }
 
     importData(event) {
@@ -1120,14 +7823,27 @@ class UIManager {
 
         const reader = new FileReader();
         reader.onload = (e) => {
+            const importer = new DataImporter(this.dataManager);
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (error) {
+                alert('数据导入失败，文件不是有效的JSON');
+                return;
+            }
             try {
-                const data = JSON.parse(e.target.result);
-                this.dataManager.importData(data);
-                this.renderAll();
-                alert('数据导入成功！');
+                data = importer.migrate(data);
             } catch (error) {
-                alert('数据导入失败，请检查文件格式');
+                alert('数据导入失败：' + error.message);
+                return;
+            }
+
+            const errors = importer.validate(data);
+            if (errors.length > 0) {
+                this.showImportErrors(file.name, errors);
+                return;
             }
+            this.showImportPreview(data);
         };
         reader.readAsText(file);
 
@@ -1135,11 +7851,99 @@ class UIManager {
         event.target.value = '';
     }
 
+    showImportErrors(fileName, errors) {
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>无法导入</h2>
+            <div class="conflict-warning" style="display: block;">
+                ${fileName} 中有 ${errors.length} 处问题，请修正后重新导入，当前数据没有改动
+            </div>
+            <div class="infeasible-list">
+                <ul class="import-errors">
+                    ${errors.map(error => `<li>${error}</li>`).join('')}
+                </ul>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="uiManager.closeModal()">知道了</button>
+            </div>
+        `;
+
+        this.openModal();
+    }
+
+    // 选择替换或合并，预览各类数据的变化后再导入
+    showImportPreview(data) {
+        const importer = new DataImporter(this.dataManager);
+        const teamName = this.dataManager.getCurrentTeam().name;
+
+        const modalBody = document.getElementById('modalBody');
+        modalBody.innerHTML = `
+            <h2>导入数据</h2>
+            <div class="form-hint">
+                ${data.teamName ? `来自团队"${data.teamName}"，` : ''}${data.exportDate ? `导出于 ${data.exportDate.split('T')[0]}，` : ''}导入到当前团队"${teamName}"
+            </div>
+            <div class="form-group">
+                <label>导入方式</label>
+                <select id="importMode">
+                    <option value="replace">替换：用文件中的数据覆盖当前团队的数据</option>
+                    <option value="merge">合并：按邮箱/姓名匹配成员、按名称匹配活动，更新已有的并添加新的</option>
+                </select>
+            </div>
+            <div id="importPreview"></div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="uiManager.closeModal()">取消</button>
+                <button type="button" class="btn btn-primary" id="confirmImportBtn">导入</button>
+            </div>
+        `;
+
+        const renderPreview = () => {
+            const plan = importer.plan(data, document.getElementById('importMode').value);
+            const rows = Object.entries(plan.counts);
+            document.getElementById('importPreview').innerHTML = plan.mode === 'replace' ? `
+                <table class="schedule-table">
+                    <thead><tr><th>数据</th><th>当前</th><th>导入后</th></tr></thead>
+                    <tbody>
+                        ${rows.map(([key, count]) => `
+                            <tr><td>${IMPORT_COLLECTION_NAMES[key]}</td><td>${count.before}</td><td>${count.after}</td></tr>
+                        `).join('')}
+                        ${plan.result.settings ? '<tr><td>设置</td><td colspan="2">使用文件中的设置</td></tr>' : ''}
+                    </tbody>
+                </table>
+            ` : `
+                <table class="schedule-table">
+                    <thead><tr><th>数据</th><th>新增</th><th>更新</th><th>跳过（相同）</th></tr></thead>
+                    <tbody>
+                        ${rows.map(([key, count]) => `
+                            <tr><td>${IMPORT_COLLECTION_NAMES[key]}</td><td>${count.added}</td><td>${count.updated}</td><td>${count.skipped}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="form-hint">合并时换班申请和设置保持不变</div>
+            `;
+            return plan;
+        };
+
+        let plan = renderPreview();
+        document.getElementById('importMode').addEventListener('change', () => {
+            plan = renderPreview();
+        });
+        document.getElementById('confirmImportBtn').addEventListener('click', () => {
+            this.dataManager.changeLog.describe(plan.mode === 'merge' ? '合并导入数据' : '导入数据');
+            this.dataManager.importData(plan.result);
+            this.closeModal();
+            this.renderAll();
+            alert('数据导入成功！');
+        });
+
+        this.openModal();
+    }
+
     clearAllData() {
-        if (confirm('确定要清除所有数据吗？此操作不可恢复！')) {
+        const teamName = this.dataManager.getCurrentTeam().name;
+        if (confirm(`确定要清除团队"${teamName}"的所有数据吗？其他团队不受影响，清除后可以撤销`)) {
             this.dataManager.clearAllData();
             this.renderAll();
-            alert('所有数据已清除');
+            alert(`团队"${teamName}"的数据已清除`);
         }
     }
 
@@ -1154,19 +7958,69 @@ class UIManager {
 }
 
 // ==================== 初始化应用 ====================
-let dataManager, scheduleGenerator, notificationManager, uiManager;
+let dataManager, holidayCalendar, conflictChecker, scheduleGenerator, swapManager, notificationManager, uiManager;
 
-document.addEventListener('DOMContentLoaded', () => {
-    dataManager = new DataManager();
-    scheduleGenerator = new ScheduleGenerator(dataManager);
-    notificationManager = new NotificationManager(dataManager);
-    uiManager = new UIManager(dataManager, scheduleGenerator, notificationManager);
+// Service Worker 通过 importScripts 载入本文件以复用提醒逻辑，此时没有页面需要初始化
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        // 优先使用 IndexedDB，不可用时（如部分浏览器的隐私模式）仍保存在 localStorage
+        let storage;
+        try {
+            storage = await IndexedDBBackend.open();
+            storage.onError = error => alert(`数据保存失败：${error.message}`);
+        } catch (error) {
+            console.log('IndexedDB 不可用，数据保存在 localStorage：', error.message);
+            if (error.blocked) alert(`${error.message}。在此之前本页读不到已保存的数据，请不要在本页修改`);
+            storage = new LocalStorageBackend();
+        }
 
-    // 启动通知管理器
-    if (dataManager.settings.notificationEnabled) {
-        notificationManager.start();
-        notificationManager.requestPermission();
-    }
+        const syncConfig = ServerSyncBackend.loadConfig();
+        dataManager = new DataManager(syncConfig ? new ServerSyncBackend(syncConfig, storage) : storage);
+        holidayCalendar = new HolidayCalendar(dataManager);
+        conflictChecker = new ConflictChecker(dataManager);
+        scheduleGenerator = new ScheduleGenerator(dataManager, conflictChecker, holidayCalendar);
+        swapManager = new SwapManager(dataManager);
+        notificationManager = new NotificationManager(dataManager);
+        uiManager = new UIManager(dataManager, scheduleGenerator, notificationManager, conflictChecker, holidayCalendar, swapManager);
+
+        // 启动通知管理器
+        if (dataManager.settings.notificationEnabled) {
+            notificationManager.start();
+            notificationManager.requestPermission();
+        }
+
+        // 连接了同步服务器时拉取其他人的修改并推送本机的修改
+        if (dataManager.backend instanceof ServerSyncBackend) {
+            dataManager.backend.start();
+        }
+
+        // 注册 Service Worker：缓存页面文件以便离线使用，并在页面关闭后发送提醒（需通过 http(s) 访问）
+        if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+            navigator.serviceWorker.register('sw.js')
+                .then(registration => notificationManager.registerBackgroundSync(registration))
+                .catch(error => console.log('Service Worker 注册失败：', error));
+        }
+
+        console.log('团队排班系统已启动！');
+    });
+}
 
-    console.log('团队排班系统已启动！');
-});
+// 在 Node.js 中 require 本文件时导出排班逻辑，供命令行工具使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DateUtils,
+        MemoryBackend,
+        DataManager,
+        DataImporter,
+        HolidayCalendar,
+        ConflictChecker,
+        SeededRandom,
+        ScheduleGenerator,
+        ICalendarExporter,
+        SpreadsheetIO,
+        ScheduleSpreadsheet,
+        ChatWebhookNotifier,
+        NotificationManager,
+        WEEKDAY_NAMES
+    };
+}
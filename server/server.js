@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// 团队排班系统同步服务器：提供团队数据的 REST 接口，多人在"系统设置 → 同步服务器"中连接后共享同一份排班。
+// 同时提供页面文件，启动后直接打开 http://localhost:8030 即可使用。
+//
+// 用法：node server/server.js [端口]
+//
+// 环境变量：
+//   DATA_DIR    数据目录，默认 server/data，每个团队一个 JSON 文件
+//   SYNC_TOKEN  设置后接口要求请求带有 Authorization: Bearer <令牌>
+//
+// 接口（请求和响应均为 JSON）：
+//   GET    /api/teams                      团队列表 [{ id, name, createdAt }]
+//   PUT    /api/teams/:team                新建或修改团队 { name, createdAt }
+//   DELETE /api/teams/:team                删除团队及其数据
+//   GET    /api/teams/:team                团队的全部数据 { members: { version, data }, ... }
+//   GET    /api/teams/:team/:collection    一项数据 { version, data }，ETag 为版本号
+//   PUT    /api/teams/:team/:collection    保存一项数据，请求体为数据本身，必须带 If-Match: "<版本号>"
+//                                          （服务器上还没有时为 "0"）；版本不一致返回 409 和服务器上的 { version, data }
+// collection 为 members、activities、schedules、swapRequests、settings
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8030');
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const token = process.env.SYNC_TOKEN || '';
+const appDir = path.join(__dirname, '..');
+
+const COLLECTIONS = ['members', 'activities', 'schedules', 'swapRequests', 'settings'];
+const MAX_BODY = 20 * 1024 * 1024;
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json',
+    '.json': 'application/json; charset=utf-8'
+};
+
+// 文件存储：写入时先写临时文件再改名，进程中途退出也不会留下半个文件。
+// 请求在单个进程中逐个同步读写，同一团队的版本检查和写入之间不会被其他请求打断
+class FileStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    file(teamId) {
+        return path.join(this.dir, `${encodeURIComponent(teamId)}.json`);
+    }
+
+    read(teamId) {
+        try {
+            return JSON.parse(fs.readFileSync(this.file(teamId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    write(teamId, doc) {
+        const file = this.file(teamId);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(doc));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    listTeams() {
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.read(decodeURIComponent(name.slice(0, -5))))
+            .filter(Boolean)
+            .map(doc => doc.team)
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    saveTeam(teamId, team) {
+        const doc = this.read(teamId) || { collections: {} };
+        const created = !doc.team;
+        doc.team = { ...team, id: teamId };
+        this.write(teamId, doc);
+        return created;
+    }
+
+    deleteTeam(teamId) {
+        try {
+            fs.unlinkSync(this.file(teamId));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    getCollections(teamId) {
+        const doc = this.read(teamId);
+        if (!doc) return null;
+        const result = {};
+        COLLECTIONS.forEach(name => {
+            const { version = 0, data = null } = doc.collections[name] || {};
+            result[name] = { version, data };
+        });
+        return result;
+    }
+
+    // 版本一致时保存并返回新版本，否则返回服务器上的当前内容
+    putCollection(teamId, name, expectedVersion, data) {
+        const doc = this.read(teamId);
+        if (!doc) return null;
+        const current = doc.collections[name] || { version: 0, data: null };
+        if (current.version !== expectedVersion) {
+            return { conflict: true, version: current.version, data: current.data };
+        }
+        doc.collections[name] = { version: current.version + 1, data, updatedAt: new Date().toISOString() };
+        this.write(teamId, doc);
+        return { conflict: false, version: current.version + 1 };
+    }
+}
+
+const store = new FileStore(dataDir);
+
+function reply(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...headers
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(Object.assign(new Error('请求内容过大'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch (error) {
+                reject(Object.assign(new Error('请求内容不是有效的 JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// If-Match: "3" 或 3，缺少或格式不对时返回 null
+function parseVersion(header) {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(header || '').trim());
+    return match ? parseInt(match[1]) : null;
+}
+
+function isValidCollection(name, data) {
+    if (name === 'settings') return data !== null && typeof data === 'object' && !Array.isArray(data);
+    return Array.isArray(data) && data.every(record => record && typeof record === 'object' && typeof record.id === 'string');
+}
+
+async function handleApi(req, res, parts) {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        reply(res, 401, { error: '访问令牌不正确' });
+        return;
+    }
+
+    const [teamId, collection] = parts;
+    if (!teamId) {
+        if (req.method !== 'GET') return reply(res, 405, { error: '不支持的请求方法' });
+        return reply(res, 200, store.listTeams());
+    }
+
+    if (!collection) {
+        if (req.method === 'GET') {
+            const collections = store.getCollections(teamId);
+            return collections ? reply(res, 200, collections) : reply(res, 404, { error: '团队不存在' });
+        }
+        if (req.method === 'PUT') {
+            const team = await readBody(req);
+            if (!team || typeof team !== 'object' || typeof team.name !== 'string' || !team.name.trim()) {
+                return reply(res, 400, { error: '团队名称不能为空' });
+            }
+            const created = store.saveTeam(teamId, team);
+            return reply(res, created ? 201 : 200, { ...team, id: teamId });
+        }
+        if (req.method === 'DELETE') {
+            return store.deleteTeam(teamId) ? reply(res, 204) : reply(res, 404, { error: '团队不存在' });
+        }
+        return reply(res, 405, { error: '不支持的请求方法' });
+    }
+
+    if (!COLLECTIONS.includes(collection)) {
+        return reply(res, 404, { error: `未知的数据"${collection}"` });
+    }
+    const collections = store.getCollections(teamId);
+    if (!collections) {
+        return reply(res, 404, { error: '团队不存在' });
+    }
+
+    if (req.method === 'GET') {
+        const current = collections[collection];
+        return reply(res, 200, current, { 'ETag': `"${current.version}"` });
+    }
+    if (req.method === 'PUT') {
+        const expected = parseVersion(req.headers['if-match']);
+        if (expected === null) {
+            return reply(res, 428, { error: '请在 If-Match 中带上所基于的版本号' });
+        }
+        const data = await readBody(req);
+        if (!isValidCollection(collection, data)) {
+            return reply(res, 400, { error: collection === 'settings' ? '设置应为对象' : '数据应为带 id 的记录列表' });
+        }
+        // 读取请求内容期间团队可能已被删除
+        const result = store.putCollection(teamId, collection, expected, data);
+        if (!result) {
+            return reply(res, 404, { error: '团队不存在' });
+        }
+        if (result.conflict) {
+            return reply(res, 409, { error: '数据已被其他人修改', version: result.version, data: result.data },
+                { 'ETag': `"${result.version}"` });
+        }
+        return reply(res, 200, { version: result.version }, { 'ETag': `"${result.version}"` });
+    }
+    return reply(res, 405, { error: '不支持的请求方法' });
+}
+
+// 路径中的 %xx 编码不完整时 decodeURIComponent 会抛出 URIError，作为请求错误处理
+function decodePath(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        throw Object.assign(new Error('请求路径编码不正确'), { status: 400 });
+    }
+}
+
+// 只提供页面需要的文件，不暴露服务器目录和隐藏文件
+function serveStatic(req, res, pathname) {
+    const relative = pathname === '/' ? 'index.html' : decodePath(pathname).replace(/^\/+/, '');
+    const file = path.join(appDir, relative);
+    const type = STATIC_TYPES[path.extname(file)];
+    if (!file.startsWith(appDir + path.sep) || relative.split('/').some(part => part.startsWith('.')) ||
+        relative.startsWith('server/') || !type) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+async function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        reply(res, 204);
+        return;
+    }
+
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        throw Object.assign(new Error('请求地址不正确'), { status: 400 });
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        const match = /^\/api\/teams(?:\/([^/]+))?(?:\/([^/]+))?\/?$/.exec(url.pathname);
+        if (!match) {
+            reply(res, 404, { error: '接口不存在' });
+            return;
+        }
+        await handleApi(req, res, [match[1], match[2]].map(part => part && decodePath(part)));
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        reply(res, 405, { error: '不支持的请求方法' });
+        return;
+    }
+    serveStatic(req, res, url.pathname);
+}
+
+// 任何请求出错都只影响这一个请求，不能让服务器进程退出
+const server = http.createServer(async (req, res) => {
+    try {
+        await handleRequest(req, res);
+    } catch (error) {
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        reply(res, error.status || 500, { error: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`同步服务器已启动：http://localhost:${server.address().port}`);
+    console.log(`数据目录：${dataDir}${token ? '（已启用访问令牌）' : ''}`);
+});
@@ -0,0 +1,75 @@
+// 团队排班系统 Service Worker：缓存页面文件以便离线使用，并在页面关闭后发送排班提醒。
+// 提醒由页面写入 IndexedDB（见 app.js 的 ReminderQueue），浏览器支持定期后台同步时在这里按时发送。
+importScripts('app.js');
+
+// 修改页面文件列表后更新版本号，旧缓存会在新版本激活时删除
+const CACHE_NAME = 'team-scheduling-v1';
+const APP_SHELL = ['./', 'index.html', 'app.js', 'styles.css', 'manifest.webmanifest', 'icons/icon.svg'];
+
+const reminderQueue = new ReminderQueue();
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 页面文件优先从网络获取最新版本并更新缓存，离线时使用缓存；
+// 其他站点的请求（邮件中继、机器人）和同步服务器的接口不经过缓存
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || caches.match('index.html')))
+    );
+});
+
+// 有打开的页面时由页面自己提醒，这里只处理页面全部关闭的情况
+async function sendDueReminders() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) return;
+
+    const reminders = await reminderQueue.fireDue(new Date());
+    await Promise.all(reminders.map(reminder => {
+        const { title, options } = NotificationManager.buildNotification(reminder);
+        return self.registration.showNotification(title, options);
+    }));
+}
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(sendDueReminders());
+    }
+});
+
+// 点击通知时回到已打开的页面，没有则打开新页面
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (windows.length > 0) return windows[0].focus();
+            return self.clients.openWindow('./');
+        })
+    );
+});
@@ -0,0 +1,106 @@
+// 命令行工具测试：命令行生成的排班应与页面导入同一文件后生成的排班完全相同。
+// 运行：node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DateUtils, MemoryBackend, DataManager, DataImporter, HolidayCalendar, ConflictChecker, ScheduleGenerator
+} = require('../app.js');
+
+const CLI = path.join(__dirname, '..', 'tools', 'schedule-cli.js');
+
+// 设置中没有 blockWeekends 等项，页面导入时会补上默认值
+const TEAM_FILE = {
+    teamName: '平台组',
+    schemaVersion: 3,
+    members: [
+        { id: 'm1', name: '张三', email: 'zs@example.com', status: 'active' },
+        { id: 'm2', name: '李四', email: 'ls@example.com', status: 'active' },
+        { id: 'm3', name: '王五', email: 'ww@example.com', status: 'active' }
+    ],
+    activities: [
+        { id: 'a1', name: '值班', frequency: 1, frequencyUnit: 'days' },
+        { id: 'a2', name: '周会主持', frequency: 1, frequencyUnit: 'weeks', recurrence: { byWeekday: [1] } }
+    ],
+    schedules: [],
+    settings: { algorithm: 'random' }
+};
+
+// 与页面相同的步骤：导入（替换）文件后按默认的"仅补充空缺"生成排班
+function generateLikePage(data, from, to, seed) {
+    const dataManager = new DataManager(new MemoryBackend());
+    const importer = new DataImporter(dataManager);
+    const migrated = importer.migrate(data);
+    assert.deepStrictEqual(importer.validate(migrated), []);
+    dataManager.importData(importer.plan(migrated, 'replace').result);
+    const generator = new ScheduleGenerator(dataManager, new ConflictChecker(dataManager), new HolidayCalendar(dataManager));
+    return generator.plan(new Date(from), new Date(to), 'fill', seed).schedules;
+}
+
+const summary = schedules => schedules
+    .map(s => `${s.date} ${s.activityId} ${s.slot || 0} ${s.memberId}`)
+    .sort();
+
+test('命令行生成的排班与页面相同', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-cli-'));
+    try {
+        const file = path.join(dir, 'team.json');
+        const out = path.join(dir, 'out.json');
+        fs.writeFileSync(file, JSON.stringify(TEAM_FILE));
+        execFileSync(process.execPath, [CLI, 'generate', file, '--from', '2026-01-01', '--to', '2026-03-31',
+            '--seed', 'cli-test', '--out', out], { stdio: 'pipe' });
+
+        const generated = JSON.parse(fs.readFileSync(out, 'utf8')).schedules;
+        const expected = generateLikePage(TEAM_FILE, '2026-01-01', '2026-03-31', 'cli-test');
+        assert.ok(expected.length > 0);
+        assert.deepStrictEqual(summary(generated), summary(expected));
+        // 默认不在周末排班，周会只在星期一
+        assert.ok(generated.every(s => ![0, 6].includes(DateUtils.weekday(s.date))));
+        const meetings = generated.filter(s => s.activityId === 'a2');
+        assert.ok(meetings.length > 0);
+        assert.ok(meetings.every(s => DateUtils.weekday(s.date) === 1));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('命令行导出的数据补上缺少的设置项', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-cli-'));
+    try {
+        const file = path.join(dir, 'team.json');
+        fs.writeFileSync(file, JSON.stringify(TEAM_FILE));
+        const exported = JSON.parse(execFileSync(process.execPath, [CLI, 'export', file, '--format', 'json'], { encoding: 'utf8' }));
+        const defaults = new DataManager(new MemoryBackend()).getDefaultSettings();
+        assert.strictEqual(exported.settings.blockWeekends, defaults.blockWeekends);
+        assert.strictEqual(exported.settings.algorithm, 'random');
+        assert.strictEqual(exported.teamName, '平台组');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('生成排班保留范围以外的已有排班', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-cli-'));
+    try {
+        const file = path.join(dir, 'team.json');
+        const history = [
+            { id: 's1', activityId: 'a1', activityName: '值班', memberId: 'm1', memberName: '张三', date: '2026-01-05' },
+            { id: 's2', activityId: 'a1', activityName: '值班', memberId: 'm2', memberName: '李四', date: '2026-01-06' }
+        ];
+        fs.writeFileSync(file, JSON.stringify({ ...TEAM_FILE, schedules: history }));
+
+        for (const mode of [[], ['--mode', 'replace']]) {
+            execFileSync(process.execPath, [CLI, 'generate', file, '--from', '2026-04-01', '--to', '2026-04-30', ...mode],
+                { stdio: 'pipe' });
+            const schedules = JSON.parse(fs.readFileSync(file, 'utf8')).schedules;
+            assert.deepStrictEqual(schedules.filter(s => s.date < '2026-04-01').map(s => s.id), ['s1', 's2']);
+            assert.ok(schedules.some(s => s.date >= '2026-04-01'));
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
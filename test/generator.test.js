@@ -0,0 +1,52 @@
+// 排班生成测试：重新生成只替换所选范围内今天及以后未锁定的排班。
+// 运行：node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DateUtils, MemoryBackend, DataManager, DataImporter, HolidayCalendar, ConflictChecker, ScheduleGenerator
+} = require('../app.js');
+
+function createDataManager(schedules) {
+    const dataManager = new DataManager(new MemoryBackend());
+    const importer = new DataImporter(dataManager);
+    dataManager.importData(importer.plan({
+        members: [
+            { id: 'm1', name: '张三', status: 'active' },
+            { id: 'm2', name: '李四', status: 'active' }
+        ],
+        activities: [{ id: 'a1', name: '值班', frequency: 1, frequencyUnit: 'days' }],
+        schedules,
+        settings: { blockWeekends: false, algorithm: 'rotation' }
+    }, 'replace').result);
+    return dataManager;
+}
+
+test('重新生成保留范围外、今天以前、锁定和已记录出勤的排班', () => {
+    const today = DateUtils.today();
+    const day = offset => DateUtils.addDays(today, offset);
+    const schedule = (id, date, extra = {}) => ({
+        id, activityId: 'a1', activityName: '值班', memberId: 'm1', memberName: '张三', date, ...extra
+    });
+    const dataManager = createDataManager([
+        schedule('history', day(-30)),
+        schedule('past-in-range', day(-2)),
+        schedule('future-in-range', day(3)),
+        schedule('locked', day(4), { locked: true }),
+        schedule('completed', day(-1), { status: 'completed' }),
+        schedule('after-range', day(60))
+    ]);
+    const generator = new ScheduleGenerator(dataManager, new ConflictChecker(dataManager), new HolidayCalendar(dataManager));
+
+    const plan = generator.plan(new Date(day(-3)), new Date(day(10)), 'replace', 'seed');
+    assert.deepStrictEqual(plan.removed.map(s => s.id), ['future-in-range']);
+
+    generator.commit(plan);
+    const ids = dataManager.schedules.map(s => s.id);
+    ['history', 'past-in-range', 'locked', 'completed', 'after-range'].forEach(id => assert.ok(ids.includes(id), id));
+    assert.ok(!ids.includes('future-in-range'));
+    // 范围内每天仍只有一条排班
+    const dates = dataManager.schedules.filter(s => s.date >= day(-3) && s.date <= day(10)).map(s => s.date);
+    assert.strictEqual(new Set(dates).size, dates.length);
+    assert.strictEqual(dates.length, 14);
+});
@@ -0,0 +1,61 @@
+// 群聊机器人重试测试：失败的汇总在机器人删除或停用后不再安排重试。
+// 运行：node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DateUtils, MemoryBackend, DataManager, NotificationManager } = require('../app.js');
+
+// 今天有一条到期待重试的失败汇总，属于机器人 w1
+function setup() {
+    const dataManager = new DataManager(new MemoryBackend());
+    dataManager.updateSettings({
+        webhooks: [
+            { id: 'w1', name: '钉钉群', platform: 'dingtalk', url: 'http://127.0.0.1:1/ding', secret: '', enabled: true },
+            { id: 'w2', name: 'Slack', platform: 'slack', url: 'http://127.0.0.1:1/slack', secret: '', enabled: true }
+        ]
+    });
+    const manager = new NotificationManager(dataManager);
+    manager.chatNotifier.saveLog([{
+        id: 'e1',
+        at: new Date().toISOString(),
+        webhookId: 'w1',
+        webhookName: '钉钉群',
+        platform: 'dingtalk',
+        kind: 'digest',
+        payload: { msgtype: 'text', text: { content: '值班提醒' } },
+        attempts: 1,
+        status: 'failed',
+        error: 'HTTP 500',
+        nextRetryAt: new Date(Date.now() - 60 * 1000).toISOString(),
+        digestDate: DateUtils.today(),
+        scheduleIds: []
+    }]);
+    manager.running = true;
+    return { dataManager, manager };
+}
+
+async function assertRetryAbandoned(manager) {
+    const results = await manager.sendChatDigests();
+    manager.running = false;
+    clearTimeout(manager.retryTimer);
+
+    assert.deepStrictEqual(results, []);
+    assert.strictEqual(manager.retryTimer, null);
+    const entry = manager.chatNotifier.loadLog().find(e => e.id === 'e1');
+    assert.strictEqual(entry.status, 'failed');
+    assert.strictEqual(entry.nextRetryAt, null);
+}
+
+test('删除机器人后放弃它的待重试汇总', async () => {
+    const { dataManager, manager } = setup();
+    dataManager.updateSettings({ webhooks: dataManager.settings.webhooks.filter(w => w.id !== 'w1') });
+    await assertRetryAbandoned(manager);
+});
+
+test('停用机器人后放弃它的待重试汇总', async () => {
+    const { dataManager, manager } = setup();
+    dataManager.updateSettings({
+        webhooks: dataManager.settings.webhooks.map(w => (w.id === 'w1' ? { ...w, enabled: false } : w))
+    });
+    await assertRetryAbandoned(manager);
+});
@@ -0,0 +1,100 @@
+// 同步服务器的接口测试：在临时数据目录中启动服务器，通过 HTTP 请求检查响应。
+// 运行：node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const SERVER = path.join(__dirname, '..', 'server', 'server.js');
+
+// 端口 0 由系统分配空闲端口，从启动输出中读出实际端口
+function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-server-'));
+    const child = spawn(process.execPath, [SERVER, '0'], { env: { ...process.env, DATA_DIR: dataDir, SYNC_TOKEN: '' } });
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /localhost:(\d+)/.exec(output);
+            if (match) resolve({ child, dataDir, port: parseInt(match[1]) });
+        });
+        child.on('exit', code => reject(new Error(`服务器已退出（${code}）：${output}`)));
+    });
+}
+
+// 按原样发送路径，不经过 URL 的规范化
+function request(port, method, requestPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path: requestPath, headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+test('同步服务器', async t => {
+    const { child, dataDir, port } = await startServer();
+    t.after(() => {
+        child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    await t.test('路径编码不完整时返回 400，服务器继续运行', async () => {
+        assert.strictEqual((await request(port, 'GET', '/%E0%A4%A')).status, 400);
+        assert.strictEqual((await request(port, 'GET', '/api/teams/%E0%A4%A')).status, 400);
+        assert.strictEqual((await request(port, 'GET', '//')).status, 400);
+        assert.strictEqual(child.exitCode, null);
+        assert.strictEqual((await request(port, 'GET', '/api/teams')).status, 200);
+    });
+
+    await t.test('保存数据时检查版本号', async () => {
+        assert.strictEqual((await request(port, 'PUT', '/api/teams/t1', { name: '测试团队' })).status, 201);
+        assert.strictEqual((await request(port, 'PUT', '/api/teams/t1/members', [])).status, 428);
+        const members = [{ id: 'm1', name: '张三' }];
+        assert.strictEqual((await request(port, 'PUT', '/api/teams/t1/members', members, { 'If-Match': '"0"' })).status, 200);
+        assert.strictEqual((await request(port, 'PUT', '/api/teams/t1/members', members, { 'If-Match': '"0"' })).status, 409);
+
+        const collection = JSON.parse((await request(port, 'GET', '/api/teams/t1/members')).body);
+        assert.deepStrictEqual(collection, { version: 1, data: members });
+    });
+
+    await t.test('上传数据期间团队被删除时返回 404', async () => {
+        assert.strictEqual((await request(port, 'PUT', '/api/teams/t2', { name: '临时团队' })).status, 201);
+        const body = JSON.stringify([{ id: 'm1', name: '张三' }]);
+        const pending = new Promise((resolve, reject) => {
+            const req = http.request({
+                port, method: 'PUT', path: '/api/teams/t2/members',
+                headers: { 'Content-Type': 'application/json', 'If-Match': '"0"' }
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+            });
+            req.on('error', reject);
+            // 先发出一半内容，删除团队后再发完
+            req.write(body.slice(0, 5));
+            setTimeout(() => request(port, 'DELETE', '/api/teams/t2').then(deleted => {
+                assert.strictEqual(deleted.status, 204);
+                req.end(body.slice(5));
+            }).catch(reject), 100);
+        });
+
+        const response = await pending;
+        assert.strictEqual(response.status, 404);
+        assert.deepStrictEqual(JSON.parse(response.body), { error: '团队不存在' });
+        assert.strictEqual(child.exitCode, null);
+    });
+
+    await t.test('不提供服务器目录和隐藏文件', async () => {
+        assert.strictEqual((await request(port, 'GET', '/server/server.js')).status, 404);
+        assert.strictEqual((await request(port, 'GET', '/%2e%2e/etc/passwd')).status, 404);
+        assert.strictEqual((await request(port, 'GET', '/index.html')).status, 200);
+    });
+});
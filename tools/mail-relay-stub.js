@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// 本地邮件中继桩：接收排班系统发来的提醒邮件并打印到控制台，不会真的发出邮件，用于测试"邮件中继"配置。
+//
+// 用法：node tools/mail-relay-stub.js [端口]
+// 然后在"系统设置 → 邮件提醒"中把中继地址填为 http://localhost:8025/send
+//
+// 环境变量：
+//   RELAY_TOKEN  设置后要求请求带有 Authorization: Bearer <RELAY_TOKEN>
+//   FAIL_RATE    0~1，按比例随机返回 500，用于测试失败记录和重试
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8025');
+const token = process.env.RELAY_TOKEN || '';
+const failRate = parseFloat(process.env.FAIL_RATE || '0');
+let received = 0;
+
+function reply(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        // 页面直接从 file:// 或其他端口打开，需要允许跨域
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        reply(res, 204);
+        return;
+    }
+    if (req.method !== 'POST') {
+        reply(res, 405, { error: '只接受 POST' });
+        return;
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        reply(res, 401, { error: '令牌不正确' });
+        return;
+    }
+
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+    req.on('end', () => {
+        let mail;
+        try {
+            mail = JSON.parse(raw);
+        } catch (error) {
+            reply(res, 400, { error: '请求不是有效的 JSON' });
+            return;
+        }
+
+        const missing = ['to', 'subject', 'text'].filter(key => typeof mail[key] !== 'string' || !mail[key]);
+        if (missing.length > 0) {
+            reply(res, 400, { error: `缺少字段：${missing.join(', ')}` });
+            return;
+        }
+        if (Math.random() < failRate) {
+            reply(res, 500, { error: '模拟发送失败' });
+            return;
+        }
+
+        received++;
+        console.log(`---------- 第 ${received} 封 ${new Date().toISOString()} ----------`);
+        console.log(`From: ${mail.from || '(未设置)'}`);
+        console.log(`To: ${mail.to}`);
+        console.log(`Subject: ${mail.subject}`);
+        console.log('');
+        console.log(mail.text);
+        reply(res, 200, { ok: true, id: `stub-${received}` });
+    });
+});
+
+server.listen(port, () => {
+    console.log(`邮件中继桩已启动：http://localhost:${port}/send`);
+});
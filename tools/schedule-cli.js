@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// 排班命令行工具：不打开页面，直接对"导出数据"得到的 JSON 文件生成排班、查看近期值班和导出，
+// 排班规则与页面完全相同，可以放进 cron 定期生成排班表。
+//
+// 用法：
+//   node tools/schedule-cli.js generate <数据文件> --from 2025-01-01 --to 2025-03-31
+//        [--algorithm rotation|random|balanced|optimized] [--mode fill|replace] [--seed 种子] [--out 文件]
+//     生成排班并写回数据文件（指定 --out 时写入该文件）；--algorithm 只影响本次生成，不改动文件中的设置。
+//     与页面相同，默认只补充空缺；replace 重新生成范围内今天及以后未锁定的排班，范围外的排班都保留
+//   node tools/schedule-cli.js upcoming <数据文件> [--days 14] [--member 姓名]
+//     列出今天起若干天内的值班
+//   node tools/schedule-cli.js export <数据文件> --format json|csv|ics [--from 日期] [--to 日期] [--out 文件]
+//     json 为完整备份（与页面"导出数据"相同），csv、ics 为排班表和日历，可用 --from、--to 限定日期；
+//     不指定 --out 时输出到标准输出
+//
+// 出错时在标准错误输出原因并以非零状态退出；生成时有岗位因硬约束无法安排，退出状态为 2
+
+const fs = require('fs');
+const {
+    DateUtils, MemoryBackend, DataManager, DataImporter, HolidayCalendar, ConflictChecker,
+    ScheduleGenerator, ICalendarExporter, SpreadsheetIO, ScheduleSpreadsheet, WEEKDAY_NAMES
+} = require('../app.js');
+
+const ALGORITHMS = ['rotation', 'random', 'balanced', 'optimized'];
+const MODES = ['fill', 'replace'];
+const FORMATS = ['json', 'csv', 'ics'];
+
+function fail(message) {
+    console.error(`错误：${message}`);
+    process.exit(1);
+}
+
+// 把 ["a.json", "--from", "2025-01-01"] 解析为 { file: "a.json", options: { from: "2025-01-01" } }
+function parseArgs(args) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const [name, inline] = args[i].slice(2).split(/=(.*)/s);
+            const value = inline !== undefined ? inline : args[++i];
+            if (value === undefined) fail(`--${name} 缺少取值`);
+            options[name] = value;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (positional.length !== 1) fail('请指定一个数据文件');
+    return { file: positional[0], options };
+}
+
+// 读取数据文件，按页面"导入数据"（替换）的步骤升级旧版本格式、逐条校验，
+// 并为文件中缺少的设置项补上默认值后载入内存中的 DataManager
+function loadDataFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        fail(error.code === 'ENOENT' ? `找不到数据文件 ${file}` : `${file} 不是有效的 JSON`);
+    }
+
+    const dataManager = new DataManager(new MemoryBackend());
+    const importer = new DataImporter(dataManager);
+    try {
+        data = importer.migrate(data);
+    } catch (error) {
+        fail(error.message);
+    }
+    const errors = importer.validate(data);
+    if (errors.length > 0) {
+        console.error(`${file} 中有 ${errors.length} 处问题：`);
+        errors.forEach(error => console.error(`  ${error}`));
+        process.exit(1);
+    }
+
+    if (data.teamName) {
+        dataManager.renameTeam(dataManager.currentTeamId, data.teamName);
+    }
+    dataManager.importData(importer.plan(data, 'replace').result);
+    return dataManager;
+}
+
+function checkDate(options, name) {
+    const value = options[name];
+    if (value !== undefined && !new DataImporter(null).isValidDate(value)) {
+        fail(`--${name} 应为 YYYY-MM-DD 格式的日期`);
+    }
+    return value;
+}
+
+function writeOutput(content, out) {
+    if (out) {
+        fs.writeFileSync(out, content);
+        console.error(`已写入 ${out}`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+function filterByDate(schedules, from, to) {
+    return schedules.filter(s => (!from || s.date >= from) && (!to || s.date <= to));
+}
+
+function formatSchedule(schedule) {
+    const weekday = `星期${WEEKDAY_NAMES[DateUtils.weekday(schedule.date)]}`;
+    const activity = schedule.slotLabel ? `${schedule.activityName}（${schedule.slotLabel}）` : schedule.activityName;
+    return `${schedule.date} ${weekday}  ${activity}  ${schedule.memberName}`;
+}
+
+function generate(file, options) {
+    const from = checkDate(options, 'from');
+    const to = checkDate(options, 'to');
+    if (!from || !to) fail('请用 --from 和 --to 指定生成的日期范围');
+    if (from > to) fail('开始日期不能晚于结束日期');
+    const mode = options.mode || 'fill';
+    if (!MODES.includes(mode)) fail(`--mode 应为 ${MODES.join('、')} 之一`);
+    if (options.algorithm && !ALGORITHMS.includes(options.algorithm)) {
+        fail(`--algorithm 应为 ${ALGORITHMS.join('、')} 之一`);
+    }
+
+    const dataManager = loadDataFile(file);
+    const holidayCalendar = new HolidayCalendar(dataManager);
+    const generator = new ScheduleGenerator(dataManager, new ConflictChecker(dataManager), holidayCalendar);
+
+    const algorithm = dataManager.settings.algorithm;
+    let plan;
+    try {
+        dataManager.settings.algorithm = options.algorithm || algorithm;
+        plan = generator.plan(new Date(from), new Date(to), mode, options.seed);
+    } catch (error) {
+        fail(error.message);
+    } finally {
+        dataManager.settings.algorithm = algorithm;
+    }
+    generator.commit(plan);
+
+    const out = options.out || file;
+    fs.writeFileSync(out, JSON.stringify(dataManager.exportData(), null, 2));
+    console.log(`已生成 ${plan.startDate} 至 ${plan.endDate} 的 ${plan.schedules.length} 条排班` +
+        `（算法 ${plan.algorithm}，种子 ${plan.seed}），保留 ${plan.kept.length} 条已有排班，已写入 ${out}`);
+    plan.warnings.forEach(warning => console.error(`警告：${warning}`));
+    plan.infeasible.forEach(item => console.error(`  ${item.date} ${item.activityName}：没有满足所有硬性要求的成员`));
+    if (plan.infeasible.length > 0) process.exitCode = 2;
+}
+
+function upcoming(file, options) {
+    const days = parseInt(options.days || '14');
+    if (isNaN(days) || days < 0) fail('--days 应为不小于 0 的整数');
+
+    const dataManager = loadDataFile(file);
+    const today = DateUtils.today();
+    const schedules = filterByDate(dataManager.schedules, today, DateUtils.addDays(today, days))
+        .filter(s => !options.member || s.memberName === options.member)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.activityName.localeCompare(b.activityName) || (a.slot || 0) - (b.slot || 0));
+
+    if (schedules.length === 0) {
+        console.log(`今天起 ${days} 天内没有值班`);
+        return;
+    }
+    schedules.forEach(schedule => console.log(formatSchedule(schedule)));
+}
+
+function exportData(file, options) {
+    const format = options.format;
+    if (!FORMATS.includes(format)) fail(`--format 应为 ${FORMATS.join('、')} 之一`);
+    const from = checkDate(options, 'from');
+    const to = checkDate(options, 'to');
+
+    const dataManager = loadDataFile(file);
+    if (format === 'json') {
+        writeOutput(JSON.stringify(dataManager.exportData(), null, 2), options.out);
+        return;
+    }
+
+    const schedules = filterByDate(dataManager.schedules, from, to);
+    if (format === 'csv') {
+        writeOutput(SpreadsheetIO.toCSV(new ScheduleSpreadsheet(dataManager).buildRows(schedules)), options.out);
+    } else {
+        writeOutput(new ICalendarExporter(dataManager).build(schedules, dataManager.getCurrentTeam().name), options.out);
+    }
+}
+
+const COMMANDS = { generate, upcoming, export: exportData };
+
+const [command, ...args] = process.argv.slice(2);
+if (!COMMANDS[command]) {
+    console.error('用法：node tools/schedule-cli.js generate|upcoming|export <数据文件> [选项]，详见文件开头的说明');
+    process.exit(1);
+}
+const { file, options } = parseArgs(args);
+COMMANDS[command](file, options);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// 群聊机器人转发服务：企业微信、钉钉、飞书、Slack 的机器人接口不允许浏览器跨域调用，
+// 页面把 { url, body } POST 到这里，由本服务转发给机器人并原样返回机器人的响应。
+//
+// 用法：node tools/webhook-proxy.js [端口]
+// 然后在"系统设置 → 群聊机器人"中把转发地址填为 http://localhost:8026/forward
+//
+// 环境变量：
+//   ALLOW_HOSTS  允许转发的域名，逗号分隔，默认只允许四个平台的机器人域名
+
+const http = require('http');
+const https = require('https');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8026');
+const allowHosts = (process.env.ALLOW_HOSTS ||
+    'qyapi.weixin.qq.com,oapi.dingtalk.com,open.feishu.cn,open.larksuite.com,hooks.slack.com')
+    .split(',').map(host => host.trim()).filter(Boolean);
+
+function reply(res, status, body, contentType = 'application/json; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body);
+}
+
+function forward(target, body) {
+    return new Promise((resolve, reject) => {
+        const data = JSON.stringify(body);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(data)
+            },
+            timeout: 10000
+        }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, text, contentType: res.headers['content-type'] }));
+        });
+        req.on('timeout', () => req.destroy(new Error('机器人接口超时')));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        reply(res, 204, '');
+        return;
+    }
+    if (req.method !== 'POST') {
+        reply(res, 405, JSON.stringify({ error: '只接受 POST' }));
+        return;
+    }
+
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+    req.on('end', async () => {
+        let request;
+        let target;
+        try {
+            request = JSON.parse(raw);
+            target = new URL(request.url);
+        } catch (error) {
+            reply(res, 400, JSON.stringify({ error: '请求应为 { url, body }' }));
+            return;
+        }
+        if (!allowHosts.includes(target.hostname)) {
+            reply(res, 403, JSON.stringify({ error: `不允许转发到 ${target.hostname}` }));
+            return;
+        }
+
+        try {
+            const result = await forward(target, request.body);
+            console.log(`${new Date().toISOString()} ${target.hostname} → ${result.status}`);
+            reply(res, result.status, result.text, result.contentType || 'text/plain; charset=utf-8');
+        } catch (error) {
+            console.log(`${new Date().toISOString()} ${target.hostname} 失败：${error.message}`);
+            reply(res, 502, JSON.stringify({ error: error.message }));
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`群聊机器人转发服务已启动：http://localhost:${port}/forward`);
+    console.log(`允许转发到：${allowHosts.join(', ')}`);
+});